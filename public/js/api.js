@@ -5,6 +5,104 @@
 
 const API = {
     baseUrl: '/api',
+    sessionStorageKey: 'callsheetcraft.sessions',
+    portalStorageKey: 'callsheetcraft.portal',
+
+    /**
+     * Read stored session tokens
+     * @returns {Object} Map of production ID -> { token, expiresAt }
+     */
+    getSessions() {
+        try {
+            return JSON.parse(localStorage.getItem(this.sessionStorageKey)) || {};
+        } catch {
+            return {};
+        }
+    },
+
+    /**
+     * Get a valid (unexpired) session token for a production
+     * Falls back to the crew portal session, which covers every production the person is on
+     * @param {string} id - Production ID
+     */
+    getToken(id) {
+        const session = this.getSessions()[id];
+        if (!session || new Date(session.expiresAt) <= new Date()) return this.getPortalToken();
+        return session.token;
+    },
+
+    /**
+     * Get the valid (unexpired) crew portal session token, if any
+     */
+    getPortalToken() {
+        try {
+            const session = JSON.parse(localStorage.getItem(this.portalStorageKey));
+            if (!session || new Date(session.expiresAt) <= new Date()) return null;
+            return session.token;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Store the crew portal session token
+     */
+    setPortalToken(token, expiresAt) {
+        localStorage.setItem(this.portalStorageKey, JSON.stringify({ token, expiresAt }));
+    },
+
+    /**
+     * Forget the crew portal session token
+     */
+    clearPortalToken() {
+        localStorage.removeItem(this.portalStorageKey);
+    },
+
+    /**
+     * Store a session token for a production
+     */
+    setToken(id, token, expiresAt) {
+        const sessions = this.getSessions();
+        sessions[id] = { token, expiresAt };
+        localStorage.setItem(this.sessionStorageKey, JSON.stringify(sessions));
+    },
+
+    /**
+     * Forget the session token for a production
+     */
+    clearToken(id) {
+        const sessions = this.getSessions();
+        delete sessions[id];
+        localStorage.setItem(this.sessionStorageKey, JSON.stringify(sessions));
+    },
+
+    /**
+     * Reuse a session from another shoot day of the same production
+     * Sessions cover every day of a production, so one login is enough
+     * @param {string} id - Production ID without a stored session
+     * @param {Array<string>} dayIds - IDs of the production's other shoot days
+     * @returns {boolean} Whether a session was found and stored for the day
+     */
+    adoptToken(id, dayIds) {
+        const sessions = this.getSessions();
+        const isValid = dayId => sessions[dayId] && new Date(sessions[dayId].expiresAt) > new Date();
+        if (isValid(id)) return true;
+
+        const sourceId = dayIds.find(dayId => dayId !== id && isValid(dayId));
+        if (!sourceId) return false;
+
+        this.setToken(id, sessions[sourceId].token, sessions[sourceId].expiresAt);
+        return true;
+    },
+
+    /**
+     * Authorization header for a production's session (empty if none)
+     * @param {string} id - Production ID
+     */
+    authHeaders(id) {
+        const token = this.getToken(id);
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    },
 
     /**
      * Fetch all productions grouped by title
@@ -19,13 +117,14 @@ const API = {
 
     /**
      * Fetch a single production with SANITIZED details (no phone numbers)
-     * This is the public endpoint - use authenticate() for full data
+     * Full details are returned if a session token is stored for the production
      * @param {string} id - Production ID
-     * @param {boolean} enrich - Whether to trigger Gemini enrichment
+     * @param {boolean} enrich - Whether to start enriching locations that need it, in the background
+     *   (the response's `enrichmentJob` is then the job to follow with watchEnrichment())
      */
     async getProduction(id, enrich = true) {
         const url = `${this.baseUrl}/production/${id}${!enrich ? '?enrich=false' : ''}`;
-        const response = await fetch(url);
+        const response = await fetch(url, { headers: this.authHeaders(id) });
         if (!response.ok) {
             throw new Error('Failed to fetch production');
         }
@@ -37,7 +136,8 @@ const API = {
      * Server validates phone against crew/cast and only returns sensitive data if valid
      * @param {string} id - Production ID
      * @param {string} phone - Phone number to authenticate with
-     * @returns {Object} { authenticated, userInfo, production, isClosedSet }
+     * Stores the returned session token so later requests are authenticated
+     * @returns {Object} { authenticated, userInfo, production, isClosedSet }, or { retryAfter } when locked out
      */
     async authenticate(id, phone) {
         const response = await fetch(`${this.baseUrl}/production/${id}/authenticate`, {
@@ -47,9 +147,127 @@ const API = {
             },
             body: JSON.stringify({ phone }),
         });
+        if (!response.ok && response.status !== 429) {
+            throw new Error('Failed to authenticate');
+        }
+        const result = await response.json();
+        if (result.token) {
+            this.setToken(id, result.token, result.expiresAt);
+        }
+        return result;
+    },
+
+    /**
+     * Verify a one-time passcode (second login step when authenticate() returns otpRequired)
+     * Stores the returned session token on success
+     * @param {string} id - Production ID
+     * @param {string} challengeId - Challenge ID from authenticate()
+     * @param {string} code - Code the user received by SMS
+     * @returns {Object} Same shape as authenticate(), plus `reason` on failure
+     */
+    async verifyCode(id, challengeId, code) {
+        const response = await fetch(`${this.baseUrl}/production/${id}/verify`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ challengeId, code }),
+        });
+        if (!response.ok && response.status !== 401 && response.status !== 429) {
+            throw new Error('Failed to verify code');
+        }
+        const result = await response.json();
+        if (result.token) {
+            this.setToken(id, result.token, result.expiresAt);
+        }
+        return result;
+    },
+
+    /**
+     * Restore an authenticated session from the stored token
+     * @param {string} id - Production ID
+     * @returns {Object|null} Same shape as authenticate(), or null if there's no valid session
+     */
+    async getSession(id) {
+        if (!this.getToken(id)) return null;
+
+        const response = await fetch(`${this.baseUrl}/production/${id}/session`, {
+            headers: this.authHeaders(id),
+        });
+        if (response.status === 401) {
+            this.clearToken(id);
+            return null;
+        }
         if (!response.ok) {
+            throw new Error('Failed to restore session');
+        }
+        return response.json();
+    },
+
+    /**
+     * Log in to the crew portal with a phone number, across every production
+     * Stores the returned portal session token
+     * @returns {Object} { authenticated, portal }, { otpRequired, challengeId, sentTo }, or { retryAfter }
+     */
+    async authenticatePortal(phone) {
+        const response = await fetch(`${this.baseUrl}/portal/authenticate`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ phone }),
+        });
+        if (!response.ok && response.status !== 429) {
             throw new Error('Failed to authenticate');
         }
+        const result = await response.json();
+        if (result.token) {
+            this.setPortalToken(result.token, result.expiresAt);
+        }
+        return result;
+    },
+
+    /**
+     * Verify a crew portal passcode (when authenticatePortal() returns otpRequired)
+     * Stores the returned portal session token on success
+     * @returns {Object} Same shape as authenticatePortal(), plus `reason` on failure
+     */
+    async verifyPortalCode(challengeId, code) {
+        const response = await fetch(`${this.baseUrl}/portal/verify`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ challengeId, code }),
+        });
+        if (!response.ok && response.status !== 401 && response.status !== 429) {
+            throw new Error('Failed to verify code');
+        }
+        const result = await response.json();
+        if (result.token) {
+            this.setPortalToken(result.token, result.expiresAt);
+        }
+        return result;
+    },
+
+    /**
+     * Fetch every production and upcoming day of the crew portal session's person
+     * @returns {Object|null} { person, productions, upcoming }, or null if there's no valid portal session
+     */
+    async getPortal() {
+        const token = this.getPortalToken();
+        if (!token) return null;
+
+        const response = await fetch(`${this.baseUrl}/portal`, {
+            headers: { 'Authorization': `Bearer ${token}` },
+        });
+        if (response.status === 401) {
+            this.clearPortalToken();
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error('Failed to load your productions');
+        }
         return response.json();
     },
 
@@ -60,6 +278,7 @@ const API = {
     async enrichProduction(id) {
         const response = await fetch(`${this.baseUrl}/production/${id}/enrich`, {
             method: 'POST',
+            headers: this.authHeaders(id),
         });
         if (!response.ok) {
             throw new Error('Failed to enrich production');
@@ -67,6 +286,282 @@ const API = {
         return response.json();
     },
 
+    /**
+     * Follow a background enrichment job's progress with Server-Sent Events
+     * The session token goes in the query string, as EventSource can't send headers
+     * @param {string} id - Production ID
+     * @param {string} jobId - Job ID from the production's `enrichmentJob`
+     * @param {Object} handlers - { onLocation({ position, gemData }), onDone(status) }
+     *   onDone gets null if the stream fails (e.g. the job has expired)
+     * @returns {EventSource} Close it to stop following
+     */
+    watchEnrichment(id, jobId, { onLocation, onDone }) {
+        const token = this.getToken(id);
+        const query = token ? `?token=${encodeURIComponent(token)}` : '';
+        const source = new EventSource(`${this.baseUrl}/production/${id}/enrichment-jobs/${jobId}/events${query}`);
+
+        source.addEventListener('location', event => onLocation(JSON.parse(event.data)));
+        source.addEventListener('done', event => {
+            source.close();
+            onDone(JSON.parse(event.data));
+        });
+        source.onerror = () => {
+            source.close();
+            onDone(null);
+        };
+        return source;
+    },
+
+    /**
+     * Download the call sheet as a PDF rendered on the server
+     * Contacts are only included if the stored session is still valid
+     * @param {string} id - Production ID
+     * @param {Object} options - { personalised, lightMode }
+     * @returns {Object} { blob, filename }
+     */
+    async downloadPdf(id, { personalised = true, lightMode = false } = {}) {
+        const params = new URLSearchParams({
+            personalised: String(personalised),
+            mode: lightMode ? 'light' : 'dark',
+        });
+        const response = await fetch(`${this.baseUrl}/production/${id}/pdf?${params}`, {
+            headers: this.authHeaders(id),
+        });
+        if (!response.ok) {
+            throw new Error('Failed to generate PDF');
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'CallSheet.pdf';
+        return { blob: await response.blob(), filename };
+    },
+
+    /**
+     * Download the authenticated person's calls for every day of the production (.ics)
+     */
+    async downloadCalendar(id) {
+        const response = await fetch(`${this.baseUrl}/production/${id}/calendar.ics`, {
+            headers: this.authHeaders(id),
+        });
+        if (!response.ok) {
+            throw new Error('Failed to generate calendar');
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'CallSheet.ics';
+        return { blob: await response.blob(), filename };
+    },
+
+    /**
+     * Fetch the authenticated person's schedule across every day of the production
+     * @returns {Object} { title, person, days, summary }
+     */
+    async getSchedule(id) {
+        const response = await fetch(`${this.baseUrl}/production/${id}/schedule`, {
+            headers: this.authHeaders(id),
+        });
+        if (!response.ok) {
+            throw new Error('Failed to load schedule');
+        }
+        return response.json();
+    },
+
+    /**
+     * Create a calendar subscription URL for the authenticated person
+     */
+    async getCalendarFeed(id) {
+        const response = await fetch(`${this.baseUrl}/production/${id}/calendar/feed`, {
+            method: 'POST',
+            headers: this.authHeaders(id),
+        });
+        if (!response.ok) {
+            throw new Error('Failed to create calendar feed');
+        }
+        return response.json();
+    },
+
+    /**
+     * List the departments whose contacts the viewer can save
+     */
+    async getContactDepartments(id) {
+        const response = await fetch(`${this.baseUrl}/production/${id}/contacts`, {
+            headers: this.authHeaders(id),
+        });
+        if (!response.ok) {
+            throw new Error('Failed to list contacts');
+        }
+        return response.json();
+    },
+
+    /**
+     * Download crew and cast (or one department) as a .vcf file
+     */
+    async downloadContacts(id, department = '') {
+        const query = department ? `?${new URLSearchParams({ department })}` : '';
+        const response = await fetch(`${this.baseUrl}/production/${id}/contacts.vcf${query}`, {
+            headers: this.authHeaders(id),
+        });
+        if (!response.ok) {
+            throw new Error('Failed to export contacts');
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'Contacts.vcf';
+        return { blob: await response.blob(), filename };
+    },
+
+    /**
+     * Fetch the shooting schedule (stripboard) of every day of the production
+     * @returns {Object} { title, days, issues, summary, colors }
+     */
+    async getStripboard(id) {
+        const response = await fetch(`${this.baseUrl}/production/${id}/stripboard`, {
+            headers: this.authHeaders(id),
+        });
+        if (!response.ok) {
+            throw new Error('Failed to load stripboard');
+        }
+        return response.json();
+    },
+
+    /**
+     * Download the shooting schedule as a CSV or PDF file
+     * @param {string} format - 'csv' or 'pdf'
+     * @param {Object} options - { lightMode } for PDFs
+     */
+    async downloadStripboard(id, format, { lightMode = false } = {}) {
+        const query = format === 'pdf' && lightMode ? '?mode=light' : '';
+        const response = await fetch(`${this.baseUrl}/production/${id}/stripboard.${format}${query}`, {
+            headers: this.authHeaders(id),
+        });
+        if (!response.ok) {
+            throw new Error('Failed to export stripboard');
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `Stripboard.${format}`;
+        return { blob: await response.blob(), filename };
+    },
+
+    /**
+     * Fetch data mistakes found in the call sheet (ADs and producers only)
+     * @returns {Array|null} Warnings, or null if the viewer isn't allowed to see them
+     */
+    async getConsistencyWarnings(id) {
+        const response = await fetch(`${this.baseUrl}/production/${id}/consistency`, {
+            headers: this.authHeaders(id),
+        });
+        if (response.status === 401 || response.status === 403) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error('Failed to check consistency');
+        }
+        return (await response.json()).warnings;
+    },
+
+    /**
+     * Fetch the labour compliance report across shoot days (ADs and producers only)
+     * @returns {Object|null} Report, or null if the viewer isn't allowed to see it
+     */
+    async getCompliance(id) {
+        const response = await fetch(`${this.baseUrl}/production/${id}/compliance`, {
+            headers: this.authHeaders(id),
+        });
+        if (response.status === 401 || response.status === 403) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error('Failed to fetch compliance report');
+        }
+        return response.json();
+    },
+
+    /**
+     * Fetch the cast Day Out of Days report (ADs, producers and casting only)
+     * @returns {Object|null} Report, or null if the viewer isn't allowed to see it
+     */
+    async getDayOutOfDays(id) {
+        const response = await fetch(`${this.baseUrl}/production/${id}/day-out-of-days`, {
+            headers: this.authHeaders(id),
+        });
+        if (response.status === 401 || response.status === 403) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error('Failed to load Day Out of Days');
+        }
+        return response.json();
+    },
+
+    /**
+     * Download the Day Out of Days report as a CSV file
+     */
+    async downloadDayOutOfDays(id) {
+        const response = await fetch(`${this.baseUrl}/production/${id}/day-out-of-days.csv`, {
+            headers: this.authHeaders(id),
+        });
+        if (!response.ok) {
+            throw new Error('Failed to export Day Out of Days');
+        }
+
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = disposition.match(/filename="([^"]+)"/)?.[1] || 'DayOutOfDays.csv';
+        return { blob: await response.blob(), filename };
+    },
+
+    /**
+     * Confirm receipt of a call sheet
+     * @param {number} revision - Revision number the person was shown
+     */
+    async acknowledge(id, revision) {
+        const response = await fetch(`${this.baseUrl}/production/${id}/acknowledge`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...this.authHeaders(id),
+            },
+            body: JSON.stringify({ revision }),
+        });
+        if (!response.ok) {
+            throw new Error('Failed to confirm receipt');
+        }
+        return response.json();
+    },
+
+    /**
+     * Get who has and hasn't confirmed receipt (ADs and producers only)
+     * @returns {Object|null} Report, or null if the viewer isn't allowed to see it
+     */
+    async getAcknowledgements(id) {
+        const response = await fetch(`${this.baseUrl}/production/${id}/acknowledgements`, {
+            headers: this.authHeaders(id),
+        });
+        if (response.status === 401 || response.status === 403) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error('Failed to fetch acknowledgements');
+        }
+        return response.json();
+    },
+
+    /**
+     * Diff two revisions of a production (to defaults to the current revision)
+     */
+    async getRevisionDiff(id, from, to = null) {
+        const params = new URLSearchParams({ from: String(from) });
+        if (to) params.set('to', String(to));
+
+        const response = await fetch(`${this.baseUrl}/production/${id}/revisions/diff?${params}`, {
+            headers: this.authHeaders(id),
+        });
+        if (!response.ok) {
+            throw new Error('Failed to fetch revision changes');
+        }
+        return response.json();
+    },
+
     /**
      * Check API health
      */
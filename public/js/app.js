@@ -14,8 +14,24 @@ const App = {
         userInfo: null,
         isAuthenticated: false,
         isClosedSet: false,
+        otpChallenge: null,
+        revisionDiff: null,
+        acknowledgement: null,
+        portal: null,
+        portalChallenge: null,
+        productionsFilter: 'all',
+        stripboardProduction: null,
+        stripboardReturnScreen: null,
+        dayOutOfDays: null,
+        enrichmentJob: null,
     },
 
+    // Open stream of the current production's enrichment progress
+    enrichmentSource: null,
+
+    // Last revision seen of each production, for highlighting changes on the next visit
+    seenRevisionsKey: 'callsheetcraft.seenRevisions',
+
     // Screen elements
     screens: {},
 
@@ -32,6 +48,10 @@ const App = {
             day: document.getElementById('day-screen'),
             phone: document.getElementById('phone-screen'),
             callsheet: document.getElementById('callsheet-screen'),
+            schedule: document.getElementById('schedule-screen'),
+            portal: document.getElementById('portal-screen'),
+            stripboard: document.getElementById('stripboard-screen'),
+            dood: document.getElementById('dood-screen'),
         };
 
         // Set up event listeners
@@ -44,7 +64,40 @@ const App = {
         } catch (error) {
             console.error('Failed to load productions:', error);
             this.showError('Failed to load productions. Please refresh the page.');
+            return;
+        }
+
+        // Reopen the call sheet from the URL (e.g. after a refresh)
+        this.restoreFromUrl();
+
+        // Restore the crew portal in the background, for the "My productions" filter
+        this.loadPortal();
+    },
+
+    /**
+     * Reopen the production referenced in the URL hash (#/production/<id>)
+     * A stored session token skips the phone screen
+     */
+    restoreFromUrl() {
+        const match = window.location.hash.match(/^#\/production\/([^/]+)$/);
+        if (!match) return;
+
+        this.openProductionDay(decodeURIComponent(match[1]));
+    },
+
+    /**
+     * Open a shoot day's call sheet directly, without going through the production and day screens
+     */
+    openProductionDay(productionId, clickedCard = null) {
+        const group = this.state.grouped?.find(g => g.days.some(d => d.id === productionId));
+        if (!group) {
+            clickedCard?.classList.remove('loading');
+            return;
         }
+
+        this.state.selectedProductionTitle = group.title;
+        document.getElementById('selected-production-title').textContent = group.title;
+        this.selectDay(productionId, clickedCard);
     },
 
     /**
@@ -76,11 +129,142 @@ const App = {
             this.handlePhoneSubmit();
         });
 
+        // Passcode form
+        document.getElementById('otp-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleOtpSubmit();
+        });
+
+        document.getElementById('otp-back-button')?.addEventListener('click', () => {
+            this.showPhoneStep();
+        });
+
         // Skip button
         document.getElementById('skip-button')?.addEventListener('click', () => {
             this.handleSkip();
         });
 
+        // Greeting card actions (delegated, rendered inside the greeting card)
+        document.getElementById('personal-greeting')?.addEventListener('click', (e) => {
+            if (e.target.closest('#sign-out-button')) {
+                this.handleSignOut();
+            } else if (e.target.closest('#calendar-download-button')) {
+                this.downloadCalendar();
+            } else if (e.target.closest('#calendar-subscribe-button')) {
+                this.subscribeCalendar();
+            } else if (e.target.closest('#confirm-receipt-button')) {
+                this.confirmReceipt();
+            } else if (e.target.closest('#schedule-button')) {
+                this.showSchedule();
+            }
+        });
+
+        // Crew portal
+        document.getElementById('portal-button')?.addEventListener('click', () => {
+            this.showPortal();
+        });
+
+        document.getElementById('back-from-portal')?.addEventListener('click', () => {
+            this.showScreen('production');
+        });
+
+        document.getElementById('portal-phone-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handlePortalPhoneSubmit();
+        });
+
+        document.getElementById('portal-otp-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handlePortalOtpSubmit();
+        });
+
+        document.getElementById('portal-otp-back-button')?.addEventListener('click', () => {
+            this.showPortalPhoneStep();
+        });
+
+        document.getElementById('portal-sign-out-button')?.addEventListener('click', () => {
+            this.handlePortalSignOut();
+        });
+
+        document.getElementById('portal-upcoming')?.addEventListener('click', (e) => {
+            const day = e.target.closest('.portal-day');
+            if (day && !day.classList.contains('loading')) {
+                day.classList.add('loading');
+                this.openProductionDay(day.dataset.id, day);
+            }
+        });
+
+        document.getElementById('portal-productions')?.addEventListener('click', (e) => {
+            const card = e.target.closest('.production-card');
+            if (card && !card.classList.contains('loading')) {
+                card.classList.add('loading');
+                this.selectProduction(card.dataset.title, card);
+            }
+        });
+
+        document.getElementById('productions-filter')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-filter]');
+            if (button) {
+                this.state.productionsFilter = button.dataset.filter;
+                this.renderProductionsGrid();
+            }
+        });
+
+        // Shooting schedule (stripboard)
+        document.getElementById('stripboard-button')?.addEventListener('click', () => {
+            this.showStripboard(this.state.selectedProduction, 'callsheet');
+        });
+
+        document.getElementById('day-stripboard-button')?.addEventListener('click', () => {
+            const dayIds = this.getDayIds();
+            // Any day of the production will do; use one we're logged in to if possible
+            const id = dayIds.find(dayId => API.adoptToken(dayId, dayIds)) || dayIds[0];
+            if (id) this.showStripboard(id, 'day');
+        });
+
+        document.getElementById('back-from-stripboard')?.addEventListener('click', () => {
+            this.showScreen(this.state.stripboardReturnScreen || 'production');
+        });
+
+        // Cast Day Out of Days
+        document.getElementById('dood-button')?.addEventListener('click', () => {
+            this.showDayOutOfDays();
+        });
+
+        document.getElementById('back-from-dood')?.addEventListener('click', () => {
+            this.showScreen('callsheet');
+        });
+
+        document.getElementById('dood-csv-button')?.addEventListener('click', () => {
+            this.downloadDayOutOfDays();
+        });
+
+        document.getElementById('stripboard-csv-button')?.addEventListener('click', () => {
+            this.downloadStripboard('csv');
+        });
+
+        document.getElementById('stripboard-pdf-button')?.addEventListener('click', () => {
+            this.downloadStripboard('pdf');
+        });
+
+        // My schedule
+        document.getElementById('back-to-callsheet')?.addEventListener('click', () => {
+            this.showScreen('callsheet');
+        });
+
+        document.getElementById('schedule-days')?.addEventListener('click', (e) => {
+            const day = e.target.closest('.schedule-day.called');
+            if (day && !day.classList.contains('loading')) {
+                day.classList.add('loading');
+                this.selectDay(day.dataset.id, day);
+            }
+        });
+
+        // Contacts export
+        document.getElementById('contacts-download-button')?.addEventListener('click', () => {
+            this.downloadContacts();
+        });
+
         // Production card clicks (delegated)
         document.getElementById('productions-grid')?.addEventListener('click', (e) => {
             const card = e.target.closest('.production-card');
@@ -111,6 +295,11 @@ const App = {
         });
         this.screens[screenName]?.classList.add('active');
 
+        // Only phone and call sheet screens belong to a production URL
+        if (screenName === 'production' || screenName === 'day' || screenName === 'portal') {
+            history.replaceState(null, '', window.location.pathname);
+        }
+
         // Scroll to top on screen change
         window.scrollTo(0, 0);
     },
@@ -131,19 +320,222 @@ const App = {
 
     /**
      * Render the productions grid
+     * After a crew portal login, the grid can be narrowed to the person's own productions
      */
     renderProductionsGrid() {
         const grid = document.getElementById('productions-grid');
         if (!grid || !this.state.grouped) return;
 
+        const filter = document.getElementById('productions-filter');
+        filter?.classList.toggle('hidden', !this.state.portal);
+        if (!this.state.portal) this.state.productionsFilter = 'all';
+        filter?.querySelectorAll('[data-filter]').forEach(button => {
+            button.classList.toggle('active', button.dataset.filter === this.state.productionsFilter);
+        });
+
+        const myTitles = new Set((this.state.portal?.productions || []).map(p => p.title));
+        const showMine = this.state.productionsFilter === 'mine';
+
         const html = this.state.grouped
             .filter(g => g.days.length > 0)
+            .filter(g => !showMine || myTitles.has(g.title))
             .map(g => Components.renderProductionCard(g.title, g.days))
             .join('');
 
         grid.innerHTML = html || '<p style="text-align: center; color: var(--text-tertiary);">No productions found</p>';
     },
 
+    /**
+     * Restore the crew portal from its stored session, if there is one
+     */
+    async loadPortal() {
+        try {
+            this.state.portal = await API.getPortal();
+        } catch (error) {
+            console.error('Failed to load portal:', error);
+            this.state.portal = null;
+        }
+        this.renderProductionsGrid();
+    },
+
+    /**
+     * Show the crew portal, or its login form if there's no portal session
+     */
+    async showPortal() {
+        if (!this.state.portal && API.getPortalToken()) {
+            await this.loadPortal();
+        }
+
+        if (this.state.portal) {
+            this.renderPortal();
+        } else {
+            document.getElementById('portal-login')?.classList.remove('hidden');
+            document.getElementById('portal-content')?.classList.add('hidden');
+            this.showPortalPhoneStep();
+        }
+
+        this.showScreen('portal');
+    },
+
+    /**
+     * Render the person's upcoming days and productions in the crew portal
+     */
+    renderPortal() {
+        const portal = this.state.portal;
+        const firstName = (portal.person.name || '').split(' ')[0];
+
+        document.getElementById('portal-title').textContent = `Hi, ${firstName}`;
+        document.getElementById('portal-subtitle').textContent = portal.upcoming.length
+            ? `You have ${portal.upcoming.length} upcoming call${portal.upcoming.length === 1 ? '' : 's'}.`
+            : 'You have no upcoming calls.';
+
+        document.getElementById('portal-upcoming').innerHTML = Components.renderPortalDays(portal.upcoming);
+        document.getElementById('portal-productions').innerHTML = portal.productions
+            .map(p => Components.renderProductionCard(p.title, p.days))
+            .join('');
+
+        document.getElementById('portal-login')?.classList.add('hidden');
+        document.getElementById('portal-content')?.classList.remove('hidden');
+    },
+
+    /**
+     * Show the phone number step of the crew portal login
+     */
+    showPortalPhoneStep() {
+        this.state.portalChallenge = null;
+        document.getElementById('portal-phone-form')?.classList.remove('hidden');
+        document.getElementById('portal-otp-form')?.classList.add('hidden');
+    },
+
+    /**
+     * Handle crew portal phone form submission
+     */
+    async handlePortalPhoneSubmit() {
+        const phoneInput = document.getElementById('portal-phone-input');
+        const phone = phoneInput?.value?.trim();
+
+        if (!phone) {
+            phoneInput?.focus();
+            return;
+        }
+
+        const submitBtn = document.querySelector('#portal-phone-form button[type="submit"]');
+        const originalText = submitBtn?.textContent;
+        if (submitBtn) {
+            submitBtn.textContent = 'Authenticating...';
+            submitBtn.disabled = true;
+        }
+
+        try {
+            const result = await API.authenticatePortal(phone);
+
+            if (result.retryAfter) {
+                this.showError(this.formatRetryMessage(result.retryAfter));
+                return;
+            }
+
+            if (result.otpRequired) {
+                this.state.portalChallenge = result;
+                document.getElementById('portal-otp-sent-to').textContent =
+                    `We've sent a code to ${result.sentTo}. Enter it below to continue.`;
+                const otpInput = document.getElementById('portal-otp-input');
+                if (otpInput) otpInput.value = '';
+                document.getElementById('portal-phone-form')?.classList.add('hidden');
+                document.getElementById('portal-otp-form')?.classList.remove('hidden');
+                otpInput?.focus();
+                return;
+            }
+
+            if (!result.authenticated) {
+                this.showError('Phone number not found on any call sheet. Please check your number and try again.');
+                phoneInput?.focus();
+                return;
+            }
+
+            this.applyPortal(result.portal);
+        } catch (error) {
+            console.error('Portal authentication failed:', error);
+            this.showError('Failed to authenticate. Please try again.');
+        } finally {
+            if (submitBtn) {
+                submitBtn.textContent = originalText;
+                submitBtn.disabled = false;
+            }
+        }
+    },
+
+    /**
+     * Handle crew portal passcode form submission
+     */
+    async handlePortalOtpSubmit() {
+        const otpInput = document.getElementById('portal-otp-input');
+        const code = otpInput?.value?.trim();
+        const challenge = this.state.portalChallenge;
+
+        if (!code || !challenge) {
+            otpInput?.focus();
+            return;
+        }
+
+        const submitBtn = document.querySelector('#portal-otp-form button[type="submit"]');
+        const originalText = submitBtn?.textContent;
+        if (submitBtn) {
+            submitBtn.textContent = 'Verifying...';
+            submitBtn.disabled = true;
+        }
+
+        try {
+            const result = await API.verifyPortalCode(challenge.challengeId, code);
+
+            if (result.retryAfter) {
+                this.showError(this.formatRetryMessage(result.retryAfter));
+                return;
+            }
+
+            if (!result.authenticated) {
+                if (result.reason === 'invalid') {
+                    this.showError('Incorrect code. Please try again.');
+                    otpInput?.select();
+                } else {
+                    this.showError('That code has expired. Please enter your phone number again.');
+                    this.showPortalPhoneStep();
+                }
+                return;
+            }
+
+            this.applyPortal(result.portal);
+        } catch (error) {
+            console.error('Portal verification failed:', error);
+            this.showError('Failed to verify code. Please try again.');
+        } finally {
+            if (submitBtn) {
+                submitBtn.textContent = originalText;
+                submitBtn.disabled = false;
+            }
+        }
+    },
+
+    /**
+     * Update state with a successful crew portal login
+     */
+    applyPortal(portal) {
+        this.state.portal = portal;
+        this.state.portalChallenge = null;
+        this.state.productionsFilter = 'mine';
+        this.renderProductionsGrid();
+        this.renderPortal();
+    },
+
+    /**
+     * Sign out of the crew portal
+     */
+    handlePortalSignOut() {
+        API.clearPortalToken();
+        this.state.portal = null;
+        this.renderProductionsGrid();
+        this.showPortal();
+    },
+
     /**
      * Select a production title
      */
@@ -180,30 +572,31 @@ const App = {
      */
     async selectDay(productionId, clickedCard = null) {
         this.state.selectedProduction = productionId;
+        history.replaceState(null, '', `#/production/${encodeURIComponent(productionId)}`);
+
+        // A login on another day of this production also covers this day
+        API.adoptToken(productionId, this.getDayIds());
 
         // Fetch sanitized production data (phone numbers stripped server-side)
         try {
-            // Quick fetch without enrichment to check status
-            const productionPreview = await API.getProduction(productionId, false);
-
-            // Check if any locations need enrichment
-            const needsEnrichment = productionPreview.locations?.some(loc => {
-                const gemData = loc.gemData || {};
-                return !gemData.GEMnearestHospital || gemData.GEMnearestHospital.trim() === '';
-            });
-
-            // Show enrichment loader if needed
-            if (needsEnrichment) {
-                document.getElementById('enrichment-loader')?.classList.remove('hidden');
-            }
-
-            // Fetch with enrichment enabled (still sanitized - no phone numbers)
+            // Locations that need enriching are filled in as results arrive (sanitized unless we hold a session token)
             this.state.currentProduction = await API.getProduction(productionId, true);
+            this.watchEnrichment(productionId, this.state.currentProduction.enrichmentJob);
             // closed_set IS available in sanitized data (needed for UI enforcement)
             this.state.isClosedSet = this.state.currentProduction.properties?.closed_set === true;
 
-            // Hide enrichment loader
-            document.getElementById('enrichment-loader')?.classList.add('hidden');
+            // Skip the phone screen if we already have a session for this production
+            const session = await API.getSession(productionId);
+            if (session?.authenticated) {
+                this.state.isAuthenticated = true;
+                this.state.userPhone = session.userInfo.phone;
+                this.state.userInfo = session.userInfo;
+                this.state.isClosedSet = session.isClosedSet;
+                this.state.acknowledgement = session.acknowledgement || null;
+                clickedCard?.classList.remove('loading');
+                this.renderCallSheet();
+                return;
+            }
 
             // Update phone screen UI based on closed set status
             this.updatePhoneScreen();
@@ -214,7 +607,6 @@ const App = {
             this.showScreen('phone');
         } catch (error) {
             console.error('Failed to load production:', error);
-            document.getElementById('enrichment-loader')?.classList.add('hidden');
             this.showError('Failed to load call sheet data.');
             clickedCard?.classList.remove('loading');
         }
@@ -227,6 +619,9 @@ const App = {
         const closedWarning = document.getElementById('closed-set-warning');
         const skipOption = document.getElementById('skip-option');
 
+        // Always start at the phone number step
+        this.showPhoneStep();
+
         if (this.state.isClosedSet) {
             // Show closed set warning, hide skip option
             closedWarning?.classList.remove('hidden');
@@ -263,6 +658,18 @@ const App = {
             // Authenticate via server - phone validated server-side
             const result = await API.authenticate(this.state.selectedProduction, phone);
 
+            // Too many failed attempts from this device or for this production
+            if (result.retryAfter) {
+                this.showError(this.formatRetryMessage(result.retryAfter));
+                return;
+            }
+
+            // Phone matched but a passcode was texted to it
+            if (result.otpRequired) {
+                this.showOtpStep(result);
+                return;
+            }
+
             // Check if phone was found in crew/cast
             if (!result.authenticated) {
                 this.showError('Phone number not found. Please check your number and try again.');
@@ -270,15 +677,7 @@ const App = {
                 return;
             }
 
-            // Phone validated - update state with full data
-            this.state.userPhone = phone;
-            this.state.isAuthenticated = true;
-            this.state.userInfo = result.userInfo;
-            this.state.currentProduction = result.production;
-            this.state.isClosedSet = result.isClosedSet;
-
-            // Render call sheet with full data
-            this.renderCallSheet();
+            this.applyAuthentication(result, phone);
         } catch (error) {
             console.error('Authentication failed:', error);
             this.showError('Failed to authenticate. Please try again.');
@@ -290,11 +689,131 @@ const App = {
         }
     },
 
+    /**
+     * Update state with a successful login result and render the full call sheet
+     */
+    async applyAuthentication(result, phone) {
+        // Closed sets aren't enriched for anonymous visitors, so enrich now we're authenticated
+        const wasRestricted = this.state.currentProduction?.restricted === true;
+
+        this.state.userPhone = phone;
+        this.state.isAuthenticated = true;
+        this.state.userInfo = result.userInfo;
+        this.state.currentProduction = result.production;
+        this.state.isClosedSet = result.isClosedSet;
+        this.state.otpChallenge = null;
+        this.state.acknowledgement = result.acknowledgement || null;
+
+        if (wasRestricted) {
+            try {
+                this.state.currentProduction = await API.getProduction(this.state.selectedProduction, true);
+                this.watchEnrichment(this.state.selectedProduction, this.state.currentProduction.enrichmentJob);
+            } catch (error) {
+                console.error('Failed to enrich production:', error);
+            }
+        }
+
+        // Render call sheet with full data
+        this.renderCallSheet();
+    },
+
+    /**
+     * Message shown when login is temporarily locked
+     * @param {number} retryAfter - Seconds until another attempt is allowed
+     */
+    formatRetryMessage(retryAfter) {
+        const minutes = Math.ceil(retryAfter / 60);
+        return `Too many attempts. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+    },
+
+    /**
+     * Show the phone number step of the phone screen
+     */
+    showPhoneStep() {
+        this.state.otpChallenge = null;
+        document.getElementById('phone-form')?.classList.remove('hidden');
+        document.getElementById('otp-form')?.classList.add('hidden');
+    },
+
+    /**
+     * Show the passcode step after a code has been texted
+     */
+    showOtpStep(challenge) {
+        this.state.otpChallenge = challenge;
+
+        const sentTo = document.getElementById('otp-sent-to');
+        if (sentTo) {
+            sentTo.textContent = `We've sent a code to ${challenge.sentTo}. Enter it below to continue.`;
+        }
+
+        const otpInput = document.getElementById('otp-input');
+        if (otpInput) otpInput.value = '';
+
+        document.getElementById('phone-form')?.classList.add('hidden');
+        document.getElementById('otp-form')?.classList.remove('hidden');
+        otpInput?.focus();
+    },
+
+    /**
+     * Handle passcode form submission
+     */
+    async handleOtpSubmit() {
+        const otpInput = document.getElementById('otp-input');
+        const code = otpInput?.value?.trim();
+        const challenge = this.state.otpChallenge;
+
+        if (!code || !challenge) {
+            otpInput?.focus();
+            return;
+        }
+
+        const submitBtn = document.querySelector('#otp-form button[type="submit"]');
+        const originalText = submitBtn?.textContent;
+        if (submitBtn) {
+            submitBtn.textContent = 'Verifying...';
+            submitBtn.disabled = true;
+        }
+
+        try {
+            const result = await API.verifyCode(this.state.selectedProduction, challenge.challengeId, code);
+
+            if (result.retryAfter) {
+                this.showError(this.formatRetryMessage(result.retryAfter));
+                return;
+            }
+
+            if (!result.authenticated) {
+                if (result.reason === 'invalid') {
+                    this.showError('Incorrect code. Please try again.');
+                    otpInput?.select();
+                } else {
+                    this.showError('That code has expired. Please enter your phone number again.');
+                    this.showPhoneStep();
+                }
+                return;
+            }
+
+            const phone = document.getElementById('phone-input')?.value?.trim();
+            this.applyAuthentication(result, phone);
+        } catch (error) {
+            console.error('Verification failed:', error);
+            this.showError('Failed to verify code. Please try again.');
+        } finally {
+            if (submitBtn) {
+                submitBtn.textContent = originalText;
+                submitBtn.disabled = false;
+            }
+        }
+    },
+
     /**
      * Handle skip button
      * Uses sanitized data (no phone numbers) from initial load
      */
     handleSkip() {
+        // Closed sets only send a minimal shell until authenticated - there's nothing to show
+        if (this.state.isClosedSet || this.state.currentProduction?.restricted) return;
+
         this.state.isAuthenticated = false;
         this.state.userPhone = null;
         this.state.userInfo = null;
@@ -304,9 +823,433 @@ const App = {
         this.renderCallSheet();
     },
 
+    /**
+     * Handle sign out
+     * Forgets the session token and returns to the phone screen
+     */
+    handleSignOut() {
+        // The session covers every day of the production, so sign out of all of them
+        API.clearToken(this.state.selectedProduction);
+        this.getDayIds().forEach(id => API.clearToken(id));
+        // A crew portal session would sign straight back in
+        API.clearPortalToken();
+        this.state.portal = null;
+        this.renderProductionsGrid();
+        this.state.isAuthenticated = false;
+        this.state.userPhone = null;
+        this.state.userInfo = null;
+        this.state.acknowledgement = null;
+
+        // Drop the full production data fetched with the old session
+        this.selectDay(this.state.selectedProduction);
+    },
+
+    /**
+     * IDs of every shoot day of the selected production
+     */
+    getDayIds() {
+        const group = this.state.grouped?.find(g => g.title === this.state.selectedProductionTitle);
+        return group ? group.days.map(d => d.id) : [];
+    },
+
+    /**
+     * Show the person's calls across every day of the production
+     */
+    async showSchedule() {
+        const container = document.getElementById('schedule-days');
+        if (!container) return;
+
+        try {
+            const schedule = await API.getSchedule(this.state.selectedProduction);
+            document.getElementById('schedule-title').textContent = schedule.title;
+            document.getElementById('schedule-subtitle').textContent =
+                `Called on ${schedule.summary.called} of ${schedule.summary.total} day${schedule.summary.total === 1 ? '' : 's'}.`;
+            container.innerHTML = Components.renderSchedule(schedule, this.state.selectedProduction);
+            this.showScreen('schedule');
+        } catch (error) {
+            console.error('Failed to load schedule:', error);
+            this.showError('Failed to load your schedule. Please try again.');
+        }
+    },
+
+    /**
+     * Show the shooting schedule of every day of the production as a stripboard
+     * @param {string} productionId - Any shoot day of the production
+     * @param {string} returnScreen - Screen the back button returns to
+     */
+    async showStripboard(productionId, returnScreen) {
+        try {
+            const stripboard = await API.getStripboard(productionId);
+            this.state.stripboardProduction = productionId;
+            this.state.stripboardReturnScreen = returnScreen;
+
+            document.getElementById('stripboard-title').textContent = stripboard.title;
+            document.getElementById('stripboard-subtitle').textContent =
+                `${stripboard.summary.scenes} scene${stripboard.summary.scenes === 1 ? '' : 's'} over ${stripboard.summary.days} day${stripboard.summary.days === 1 ? '' : 's'}.`;
+
+            const issues = document.getElementById('stripboard-issues');
+            const issuesHtml = Components.renderStripboardIssues(stripboard.issues);
+            issues.innerHTML = issuesHtml;
+            issues.classList.toggle('hidden', !issuesHtml);
+
+            document.getElementById('stripboard').innerHTML = Components.renderStripboard(stripboard);
+            this.showScreen('stripboard');
+        } catch (error) {
+            console.error('Failed to load stripboard:', error);
+            this.showError('Failed to load the shooting schedule. Please try again.');
+        }
+    },
+
+    /**
+     * Download the shooting schedule (PDFs use print-friendly colours)
+     * @param {string} format - 'csv' or 'pdf'
+     */
+    async downloadStripboard(format) {
+        try {
+            const { blob, filename } = await API.downloadStripboard(
+                this.state.stripboardProduction, format, { lightMode: true }
+            );
+            this.downloadBlob(blob, filename);
+        } catch (error) {
+            console.error('Stripboard export failed:', error);
+            this.showError('Failed to export the shooting schedule. Please try again.');
+        }
+    },
+
+    /**
+     * Show the Day Out of Days button to those allowed to see the report (ADs, producers and casting)
+     */
+    async renderDayOutOfDaysButton() {
+        const button = document.getElementById('dood-button');
+        if (!button) return;
+
+        button.classList.add('hidden');
+        this.state.dayOutOfDays = null;
+        if (this.state.userInfo?.type !== 'crew') return;
+
+        try {
+            const report = await API.getDayOutOfDays(this.state.selectedProduction);
+            if (!report) return;
+
+            this.state.dayOutOfDays = report;
+            button.classList.remove('hidden');
+        } catch (error) {
+            console.error('Failed to load Day Out of Days:', error);
+        }
+    },
+
+    /**
+     * Show which days each cast member works or is held
+     */
+    showDayOutOfDays() {
+        const report = this.state.dayOutOfDays;
+        if (!report) return;
+
+        document.getElementById('dood-title').textContent = `${report.title} – Day Out of Days`;
+        document.getElementById('dood-subtitle').textContent =
+            `${report.cast.length} cast member${report.cast.length === 1 ? '' : 's'} over ${report.days.length} day${report.days.length === 1 ? '' : 's'}.`;
+        document.getElementById('dood').innerHTML = Components.renderDayOutOfDays(report);
+        this.showScreen('dood');
+    },
+
+    /**
+     * Download the Day Out of Days report as CSV
+     */
+    async downloadDayOutOfDays() {
+        try {
+            const { blob, filename } = await API.downloadDayOutOfDays(this.state.selectedProduction);
+            this.downloadBlob(blob, filename);
+        } catch (error) {
+            console.error('Day Out of Days export failed:', error);
+            this.showError('Failed to export the Day Out of Days. Please try again.');
+        }
+    },
+
+    /**
+     * Download the person's calls for every day of the production as an .ics file
+     */
+    async downloadCalendar() {
+        try {
+            const { blob, filename } = await API.downloadCalendar(this.state.selectedProduction);
+            this.downloadBlob(blob, filename);
+        } catch (error) {
+            console.error('Calendar export failed:', error);
+            this.showError('Failed to create calendar. Please try again.');
+        }
+    },
+
+    /**
+     * Subscribe to the person's calls, so calendar apps pick up call sheet revisions
+     */
+    async subscribeCalendar() {
+        try {
+            const { url } = await API.getCalendarFeed(this.state.selectedProduction);
+            // webcal:// hands the feed to the device's calendar app as a subscription
+            window.location.href = url.replace(/^https?:/, 'webcal:');
+        } catch (error) {
+            console.error('Calendar subscription failed:', error);
+            this.showError('Failed to create calendar subscription. Please try again.');
+        }
+    },
+
+    /**
+     * Show the contacts export picker when the viewer can see any phone numbers
+     */
+    async renderContactsExport() {
+        const container = document.getElementById('contacts-export');
+        if (!container) return;
+
+        container.classList.add('hidden');
+        if (!this.state.isAuthenticated) return;
+
+        try {
+            const { departments } = await API.getContactDepartments(this.state.selectedProduction);
+            if (departments.length === 0) return;
+
+            document.getElementById('contacts-department').innerHTML = Components.renderContactOptions(departments);
+            container.classList.remove('hidden');
+        } catch (error) {
+            console.error('Failed to list contacts:', error);
+        }
+    },
+
+    /**
+     * Save the selected department's contacts as a .vcf file
+     */
+    async downloadContacts() {
+        const department = document.getElementById('contacts-department')?.value || '';
+        try {
+            const { blob, filename } = await API.downloadContacts(this.state.selectedProduction, department);
+            this.downloadBlob(blob, filename);
+        } catch (error) {
+            console.error('Contacts export failed:', error);
+            this.showError('Failed to export contacts. Please try again.');
+        }
+    },
+
+    /**
+     * Confirm receipt of the call sheet at the revision being shown
+     */
+    async confirmReceipt() {
+        const button = document.getElementById('confirm-receipt-button');
+        if (button) button.disabled = true;
+
+        try {
+            const result = await API.acknowledge(
+                this.state.selectedProduction,
+                this.state.currentProduction?.revision?.number
+            );
+            this.state.acknowledgement = result.acknowledgement;
+            this.renderCallSheet();
+        } catch (error) {
+            console.error('Failed to confirm receipt:', error);
+            this.showError('Failed to confirm receipt. Please try again.');
+            if (button) button.disabled = false;
+        }
+    },
+
+    /**
+     * Show ADs and producers who has and hasn't confirmed receipt
+     * The server decides who may see the report; everyone else gets a 403 and sees nothing
+     */
+    async renderAcknowledgements() {
+        const section = document.getElementById('acknowledgements-section');
+        if (!section) return;
+
+        if (this.state.userInfo?.type !== 'crew') {
+            section.classList.add('hidden');
+            return;
+        }
+
+        const report = await API.getAcknowledgements(this.state.selectedProduction);
+        if (!report) {
+            section.classList.add('hidden');
+            return;
+        }
+
+        section.innerHTML = Components.renderAcknowledgementReport(report);
+        section.classList.remove('hidden');
+    },
+
+    /**
+     * Show ADs and producers the data mistakes to fix before the call sheet goes out
+     */
+    async renderConsistency() {
+        const banner = document.getElementById('consistency-banner');
+        if (!banner) return;
+
+        banner.classList.add('hidden');
+        if (this.state.userInfo?.type !== 'crew') return;
+
+        try {
+            const warnings = await API.getConsistencyWarnings(this.state.selectedProduction);
+            if (!warnings || warnings.length === 0) return;
+
+            banner.innerHTML = Components.renderConsistencyWarnings(warnings);
+            banner.classList.remove('hidden');
+        } catch (error) {
+            console.error('Failed to check consistency:', error);
+        }
+    },
+
+    /**
+     * Show the labour compliance report to ADs and producers
+     */
+    async renderCompliance() {
+        const section = document.getElementById('compliance-section');
+        if (!section) return;
+
+        section.classList.add('hidden');
+        if (this.state.userInfo?.type !== 'crew') return;
+
+        try {
+            const report = await API.getCompliance(this.state.selectedProduction);
+            if (!report) return;
+
+            section.innerHTML = Components.renderComplianceReport(report);
+            section.classList.remove('hidden');
+        } catch (error) {
+            console.error('Failed to load compliance report:', error);
+        }
+    },
+
+    /**
+     * Get the last revision of a production this browser has seen
+     */
+    getSeenRevision(id) {
+        try {
+            return (JSON.parse(localStorage.getItem(this.seenRevisionsKey)) || {})[id] || null;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Remember the revision of a production this browser has seen
+     */
+    setSeenRevision(id, number) {
+        let seen;
+        try {
+            seen = JSON.parse(localStorage.getItem(this.seenRevisionsKey)) || {};
+        } catch {
+            seen = {};
+        }
+        seen[id] = number;
+        localStorage.setItem(this.seenRevisionsKey, JSON.stringify(seen));
+    },
+
+    /**
+     * Show what changed since the viewer last saw this production, and highlight it
+     * The diff is kept in state so re-renders (e.g. after enrichment) keep the highlights
+     */
+    async renderRevisionChanges(production) {
+        const notice = document.getElementById('revision-notice');
+        const revision = production.revision;
+        if (!notice || !revision) return;
+
+        const seen = this.getSeenRevision(production.id);
+        const hasDiff = this.state.revisionDiff?.productionId === production.id
+            && this.state.revisionDiff.to.number === revision.number;
+
+        if (!hasDiff && seen && seen < revision.number) {
+            try {
+                this.state.revisionDiff = await API.getRevisionDiff(production.id, seen, revision.number);
+            } catch (error) {
+                console.error('Failed to load revision changes:', error);
+            }
+        }
+        this.setSeenRevision(production.id, revision.number);
+
+        const diff = this.state.revisionDiff;
+        if (diff?.productionId !== production.id || diff.to.number !== revision.number) {
+            notice.classList.add('hidden');
+            return;
+        }
+
+        notice.innerHTML = Components.renderRevisionNotice(diff);
+        notice.classList.remove('hidden');
+        this.highlightChanges(diff);
+    },
+
+    /**
+     * Mark changed cells, rows and locations from a revision diff
+     */
+    highlightChanges(diff) {
+        const markChanged = (element, change) => {
+            if (!element) return;
+            element.classList.add('changed');
+            if (change) element.title = `Was: ${change.before || '(empty)'}`;
+        };
+
+        for (const change of diff.properties) {
+            markChanged(document.querySelector(`#info-bar [data-field="${CSS.escape(change.field)}"]`), change);
+        }
+
+        const tables = { crew: '#crew-table', cast: '#cast-table', scenes: '#scenes-table' };
+        for (const [section, selector] of Object.entries(tables)) {
+            const rowFor = key => document.querySelector(`${selector} tr[data-key="${CSS.escape(key)}"]`);
+
+            for (const { key } of diff[section].added) {
+                rowFor(key)?.classList.add('added');
+            }
+            for (const { key, changes } of diff[section].changed) {
+                for (const change of changes) {
+                    markChanged(rowFor(key)?.querySelector(`[data-field="${CSS.escape(change.field)}"]`), change);
+                }
+            }
+        }
+
+        for (const { key } of [...diff.locations.added, ...diff.locations.changed]) {
+            markChanged(document.querySelector(`#locations-section [data-key="${CSS.escape(key)}"]`));
+        }
+    },
+
     // Note: findUser function removed - authentication now happens server-side
     // This prevents client-side access to phone numbers
 
+    /**
+     * Follow a production's background enrichment, filling in location cards as results arrive
+     * Stops following the previous production's, if any
+     * @param {Object|null} job - The production's `enrichmentJob`
+     */
+    watchEnrichment(productionId, job) {
+        this.enrichmentSource?.close();
+        this.enrichmentSource = null;
+        this.state.enrichmentJob = job?.status === 'running' ? job : null;
+        if (!this.state.enrichmentJob) return;
+
+        this.enrichmentSource = API.watchEnrichment(productionId, job.id, {
+            onLocation: ({ position, gemData }) => {
+                const location = this.state.currentProduction?.locations?.[position];
+                if (this.state.selectedProduction !== productionId || !location) return;
+
+                location.gemData = gemData;
+                this.renderLocations();
+            },
+            onDone: () => {
+                if (this.state.selectedProduction !== productionId) return;
+
+                this.enrichmentSource = null;
+                this.state.enrichmentJob = null;
+                this.renderLocations();
+            },
+        });
+    },
+
+    /**
+     * Render the location cards (again as enrichment results arrive)
+     */
+    renderLocations() {
+        const locationsSection = document.getElementById('locations-section');
+        const locations = this.state.currentProduction?.locations;
+        if (!locationsSection || !locations) return;
+
+        const enriching = !!this.state.enrichmentJob;
+        locationsSection.innerHTML = locations
+            .map((loc, i) => Components.renderLocationCard(loc, i + 1, { enriching }))
+            .join('');
+    },
+
     /**
      * Render the call sheet view
      */
@@ -322,17 +1265,44 @@ const App = {
             headerTitle.textContent = `${production.title} • Day ${dayNum} • ${date}`;
         }
 
+        // Current revision badge
+        const revisionBadge = document.getElementById('callsheet-revision');
+        if (revisionBadge) {
+            if (production.revision) {
+                revisionBadge.textContent = production.revision.label;
+                revisionBadge.style.setProperty('--revision-color', production.revision.hex);
+                revisionBadge.classList.remove('hidden');
+            } else {
+                revisionBadge.classList.add('hidden');
+            }
+        }
+
         // Render greeting (if authenticated and matched)
         const greetingSection = document.getElementById('personal-greeting');
         if (greetingSection) {
             if (this.state.userInfo) {
-                greetingSection.innerHTML = Components.renderGreeting(this.state.userInfo);
+                greetingSection.innerHTML = Components.renderGreeting(this.state.userInfo, {
+                    acknowledgement: this.state.acknowledgement,
+                    revision: production.revision,
+                });
                 greetingSection.classList.remove('hidden');
             } else {
                 greetingSection.classList.add('hidden');
             }
         }
 
+        this.renderAcknowledgements();
+        this.renderConsistency();
+        this.renderCompliance();
+
+        // Labour compliance warnings for this day
+        const complianceWarnings = document.getElementById('compliance-warnings');
+        if (complianceWarnings) {
+            const warningsHtml = Components.renderComplianceWarnings(production.complianceWarnings || []);
+            complianceWarnings.innerHTML = warningsHtml;
+            complianceWarnings.classList.toggle('hidden', !warningsHtml);
+        }
+
         // Show/hide closed set warning
         const closedWarning = document.getElementById('callsheet-closed-warning');
         if (closedWarning) {
@@ -384,14 +1354,10 @@ const App = {
             );
         }
 
-        // Render locations
-        const locationsSection = document.getElementById('locations-section');
-        if (locationsSection) {
-            const locationsHtml = production.locations
-                .map((loc, i) => Components.renderLocationCard(loc, i + 1))
-                .join('');
-            locationsSection.innerHTML = locationsHtml;
-        }
+        this.renderContactsExport();
+        this.renderDayOutOfDaysButton();
+
+        this.renderLocations();
 
         // Render scenes
         const scenesTable = document.getElementById('scenes-table');
@@ -405,6 +1371,19 @@ const App = {
             );
         }
 
+        // Render the next shoot day's advance schedule
+        const advanceSection = document.getElementById('advance-section');
+        if (advanceSection) {
+            if (production.advance) {
+                advanceSection.innerHTML = Components.renderAdvanceSchedule(production.advance);
+                advanceSection.classList.remove('hidden');
+            } else {
+                advanceSection.classList.add('hidden');
+            }
+        }
+
+        this.renderRevisionChanges(production);
+
         this.showScreen('callsheet');
     },
 
@@ -513,7 +1492,21 @@ const App = {
     },
 
     /**
-     * Generate PDF from call sheet
+     * Save a downloaded file
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Download the call sheet PDF (laid out on the server)
      */
     async generatePDF() {
         const production = this.state.currentProduction;
@@ -525,81 +1518,13 @@ const App = {
         confirmBtn.disabled = true;
 
         try {
-            // Store original state
-            const wasAuthenticated = this.state.isAuthenticated;
-            const originalUserInfo = this.state.userInfo;
-
-            // Apply export settings
-            if (!this.exportSettings.includeContacts) {
-                // Temporarily hide contacts
-                this.state.isAuthenticated = false;
-                this.state.userInfo = null;
-            }
-
-            // Re-render with export settings
-            this.renderCallSheetForExport();
-
-            // Apply light mode if selected
-            const callsheetContent = document.querySelector('.callsheet-content');
-            if (this.exportSettings.useLightMode) {
-                callsheetContent.classList.add('light-mode');
-            }
-
-            // Hide elements not needed in PDF
-            const header = document.querySelector('.callsheet-header');
-            const aiDisclosure = document.querySelector('.ai-disclosure');
-            header?.classList.add('hidden');
-
-            // Wait for styles to apply
-            await new Promise(resolve => setTimeout(resolve, 100));
-
-            // Capture with html2canvas
-            const canvas = await html2canvas(callsheetContent, {
-                scale: 2,
-                useCORS: true,
-                backgroundColor: this.exportSettings.useLightMode ? '#ffffff' : '#0a0a0a',
-                logging: false,
+            const { blob, filename } = await API.downloadPdf(this.state.selectedProduction, {
+                personalised: this.exportSettings.includeContacts,
+                lightMode: this.exportSettings.useLightMode,
             });
 
-            // Generate PDF with jsPDF
-            const { jsPDF } = window.jspdf;
-            const imgWidth = 210; // A4 width in mm
-            const pageHeight = 297; // A4 height in mm
-            const imgHeight = (canvas.height * imgWidth) / canvas.width;
-
-            const pdf = new jsPDF('p', 'mm', 'a4');
-            let heightLeft = imgHeight;
-            let position = 0;
-
-            // Add first page
-            pdf.addImage(canvas.toDataURL('image/jpeg', 0.95), 'JPEG', 0, position, imgWidth, imgHeight);
-            heightLeft -= pageHeight;
-
-            // Add additional pages if needed
-            while (heightLeft > 0) {
-                position = heightLeft - imgHeight;
-                pdf.addPage();
-                pdf.addImage(canvas.toDataURL('image/jpeg', 0.95), 'JPEG', 0, position, imgWidth, imgHeight);
-                heightLeft -= pageHeight;
-            }
-
-            // Generate filename
-            const dayNum = production.properties.shoot_day_ || 1;
-            const filename = `${production.title.replace(/[^a-z0-9]/gi, '_')}_Day${dayNum}_CallSheet.pdf`;
-
-            // Download
-            pdf.save(filename);
-
-            // Restore original state
-            this.state.isAuthenticated = wasAuthenticated;
-            this.state.userInfo = originalUserInfo;
-            callsheetContent.classList.remove('light-mode');
-            header?.classList.remove('hidden');
-
-            // Re-render with original settings
-            this.renderCallSheet();
+            this.downloadBlob(blob, filename);
             this.closeExportModal();
-
         } catch (error) {
             console.error('PDF generation failed:', error);
             this.showError('Failed to generate PDF. Please try again.');
@@ -607,47 +1532,6 @@ const App = {
             confirmBtn.textContent = originalText;
             confirmBtn.disabled = false;
         }
-    },
-
-    /**
-     * Render call sheet specifically for export (without navigating)
-     */
-    renderCallSheetForExport() {
-        const production = this.state.currentProduction;
-        if (!production) return;
-
-        // Render greeting (if authenticated and matched)
-        const greetingSection = document.getElementById('personal-greeting');
-        if (greetingSection) {
-            if (this.state.userInfo && this.exportSettings.includeContacts) {
-                greetingSection.innerHTML = Components.renderGreeting(this.state.userInfo);
-                greetingSection.classList.remove('hidden');
-            } else {
-                greetingSection.classList.add('hidden');
-            }
-        }
-
-        // Render crew table
-        const crewTable = document.getElementById('crew-table');
-        if (crewTable) {
-            crewTable.innerHTML = Components.renderPeopleTable(
-                production.crew,
-                ['Role', 'Name', 'Phone', 'Call Time'],
-                this.state.userPhone,
-                this.exportSettings.includeContacts
-            );
-        }
-
-        // Render cast table
-        const castTable = document.getElementById('cast-table');
-        if (castTable) {
-            castTable.innerHTML = Components.renderPeopleTable(
-                production.cast,
-                ['Character', 'Name', 'Phone', 'Call Time'],
-                this.state.userPhone,
-                this.exportSettings.includeContacts
-            );
-        }
     }
 };
 
@@ -10,12 +10,17 @@ const Components = {
   formatPhoneForLink(phone) {
     // Remove all non-digit characters
     const digits = phone.replace(/\D/g, '');
-    // Add Australian country code if not present
-    if (digits.startsWith('04') || digits.startsWith('1300') || digits.startsWith('1800')) {
+    // Already international
+    if (phone.trim().startsWith('+') || digits.startsWith('61')) {
+      return `+${digits}`;
+    }
+    // Swap the leading 0 of area and mobile numbers (02, 04, ...) for the country code
+    if (digits.startsWith('0')) {
       return `+61${digits.slice(1)}`;
     }
-    if (digits.startsWith('61')) {
-      return `+${digits}`;
+    // 13, 1300 and 1800 numbers only work locally
+    if (digits.startsWith('1')) {
+      return digits;
     }
     return `+61${digits}`;
   },
@@ -35,10 +40,11 @@ const Components = {
   },
 
   /**
-   * Create Google Maps URL for an address
+   * Create Google Maps URL for an address, pinned to its coordinates when geocoded
    */
-  createMapUrl(address) {
-    return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(address)}`;
+  createMapUrl(address, latitude, longitude) {
+    const query = latitude && longitude ? `${latitude},${longitude}` : address;
+    return `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(query)}`;
   },
 
   /**
@@ -54,6 +60,22 @@ const Components = {
     `;
   },
 
+  /**
+   * Render a person's upcoming shoot days in the crew portal, soonest first
+   * @param {Array} days - Upcoming days from the portal endpoint
+   */
+  renderPortalDays(days) {
+    if (days.length === 0) return '';
+
+    return days.map(day => `
+      <div class="portal-day" data-id="${day.id}">
+        <div class="portal-day-date">${this.formatDate(day.date) || 'Date TBC'}</div>
+        <div class="portal-day-title">${day.title} <span class="portal-day-number">Day ${day.shootDay}</span></div>
+        <div class="portal-day-meta">${[day.character || day.role, day.callTime ? `Call ${day.callTime}` : ''].filter(Boolean).join(' • ')}</div>
+      </div>
+    `).join('');
+  },
+
   /**
    * Render a day selection card
    */
@@ -72,12 +94,12 @@ const Components = {
    */
   renderInfoBar(properties, userCallTime = null) {
     const items = [
-      { label: 'Crew Call', value: properties.crew_call_time, highlight: false },
-      { label: 'Cast Call', value: properties.cast_call_time, highlight: false },
-      { label: 'Breakfast', value: properties.time_of_breakfast, highlight: false },
-      { label: 'Lunch', value: properties.time_of_lunch, highlight: false },
-      { label: 'Dinner', value: properties.time_of_dinner, highlight: false },
-      { label: 'Est. Wrap', value: properties.estimated_wrap, highlight: false },
+      { label: 'Crew Call', field: 'crew_call_time', value: properties.crew_call_time, highlight: false },
+      { label: 'Cast Call', field: 'cast_call_time', value: properties.cast_call_time, highlight: false },
+      { label: 'Breakfast', field: 'time_of_breakfast', value: properties.time_of_breakfast, highlight: false },
+      { label: 'Lunch', field: 'time_of_lunch', value: properties.time_of_lunch, highlight: false },
+      { label: 'Dinner', field: 'time_of_dinner', value: properties.time_of_dinner, highlight: false },
+      { label: 'Est. Wrap', field: 'estimated_wrap', value: properties.estimated_wrap, highlight: false },
     ];
 
     // Highlight user's call time if matched
@@ -88,7 +110,7 @@ const Components = {
     const itemsHtml = items
       .filter(item => item.value)
       .map(item => `
-        <div class="info-item">
+        <div class="info-item"${item.field ? ` data-field="${item.field}"` : ''}>
           <div class="info-label">${item.label}</div>
           <div class="info-value${item.highlight ? ' highlight' : ''}">${item.value}</div>
         </div>
@@ -110,12 +132,90 @@ const Components = {
     `;
   },
 
+  /**
+   * Render the advance schedule: the next shoot day's crew call, locations and scenes
+   * @param {Object} advance - { shootDay, date, restricted, crewCall, locations, scenes } from the server
+   */
+  renderAdvanceSchedule(advance) {
+    const when = [`Day ${advance.shootDay}`, this.formatDate(advance.date)].filter(Boolean).join(' • ');
+    const heading = `<h2 class="section-title">Advance Schedule – ${when}</h2>`;
+
+    if (advance.restricted) {
+      return `${heading}<p class="advance-call">Closed set – log in to Day ${advance.shootDay} to see its schedule.</p>`;
+    }
+
+    const locations = advance.locations.map(loc => `
+      <li>${[loc.name, loc.address].filter(Boolean).join(' – ')}</li>
+    `).join('');
+
+    const scenes = advance.scenes.map(scene => `
+      <tr>
+        <td>${scene.number || ''}</td>
+        <td>${scene.description || ''}</td>
+        <td>${scene.characters || ''}</td>
+        <td>${scene.intExt || ''}</td>
+        <td>${scene.location || ''}</td>
+      </tr>
+    `).join('');
+
+    return `
+      ${heading}
+      <p class="advance-call">Crew call <strong>${advance.crewCall || 'TBC'}</strong></p>
+      ${locations ? `<ul class="advance-locations">${locations}</ul>` : ''}
+      <div class="scenes-table">
+        ${scenes ? `
+          <table>
+            <thead><tr><th>#</th><th>Description</th><th>Characters</th><th>Int/Ext</th><th>Location</th></tr></thead>
+            <tbody>${scenes}</tbody>
+          </table>
+        ` : '<p style="color: var(--text-tertiary); text-align: center;">No scenes scheduled</p>'}
+      </div>
+    `;
+  },
+
+  /**
+   * Render the notice listing what changed since the viewer's last visit
+   * @param {Object} diff - Revision diff from the server
+   */
+  renderRevisionNotice(diff) {
+    const sections = { crew: 'crew', cast: 'cast', scenes: 'scenes', locations: 'locations' };
+    const items = [];
+
+    if (diff.properties.length > 0) {
+      items.push(`${diff.properties.length} time${diff.properties.length > 1 ? 's' : ''} or detail${diff.properties.length > 1 ? 's' : ''} updated`);
+    }
+    for (const [section, label] of Object.entries(sections)) {
+      const changes = diff[section];
+      const describe = entries => entries.map(e => e.row.Name || e.row['Scene Number'] || e.key).join(', ');
+      if (changes.added.length) items.push(`Added ${label}: ${describe(changes.added)}`);
+      if (changes.removed.length) items.push(`Removed ${label}: ${describe(changes.removed)}`);
+      if (changes.changed.length) items.push(`${changes.changed.length} ${label} ${changes.changed.length > 1 ? 'entries' : 'entry'} changed`);
+      if (changes.reordered) items.push(`${label.charAt(0).toUpperCase()}${label.slice(1)} reordered`);
+    }
+
+    return `
+      <div class="revision-notice">
+        <strong>Updated since you last viewed</strong>
+        <p>${diff.from.label} → ${diff.to.label}. Changes are highlighted below.</p>
+        ${items.length ? `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>` : ''}
+      </div>
+    `;
+  },
+
   /**
    * Render personal greeting
+   * @param {Object} receipt - { acknowledgement, revision } for the Confirm receipt button
    */
-  renderGreeting(user) {
+  renderGreeting(user, { acknowledgement = null, revision = null } = {}) {
     // Extract first name only
     const firstName = (user.name || '').split(' ')[0];
+
+    // Confirmations of an earlier revision need confirming again
+    const isConfirmed = acknowledgement
+      && (!revision || !acknowledgement.revision || acknowledgement.revision >= revision.number);
+    const receipt = isConfirmed
+      ? '<span class="receipt-confirmed">✓ Receipt confirmed</span>'
+      : `<button id="confirm-receipt-button" class="btn btn-primary btn-small">${acknowledgement && revision ? `Confirm ${revision.label}` : 'Confirm receipt'}</button>`;
     return `
       <div class="greeting-card">
         <h2 class="greeting-title">Welcome, <span>${firstName}</span>!</h2>
@@ -129,10 +229,284 @@ const Components = {
             <span class="greeting-detail-value">${user.callTime}</span>
           </div>
         </div>
+        <div class="greeting-actions">
+          ${receipt}
+          <button id="schedule-button" class="btn btn-ghost btn-small">My schedule</button>
+          <button id="calendar-download-button" class="btn btn-ghost btn-small">Add to calendar</button>
+          <button id="calendar-subscribe-button" class="btn btn-ghost btn-small">Subscribe</button>
+          <button id="sign-out-button" class="btn btn-ghost btn-small">Not you? Sign out</button>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Render a person's schedule across every day of a production
+   * @param {Object} schedule - { title, person, days, summary } from the server
+   * @param {string} currentId - ID of the day being viewed
+   */
+  renderSchedule(schedule, currentId = null) {
+    return schedule.days.map(day => {
+      const header = `
+        <div class="schedule-day-header">
+          <span class="schedule-day-number">Day ${day.shootDay}</span>
+          <span class="schedule-day-date">${this.formatDate(day.date)}</span>
+          ${day.id === currentId ? '<span class="schedule-day-current">Viewing</span>' : ''}
+        </div>
+      `;
+
+      if (!day.called) {
+        return `
+          <div class="schedule-day not-called" data-id="${day.id}">
+            ${header}
+            <p class="schedule-not-called">Not called</p>
+          </div>
+        `;
+      }
+
+      const calls = [
+        day.callTime ? `<strong>Your call ${day.callTime}</strong>` : '',
+        day.crewCall ? `Crew call ${day.crewCall}` : '',
+        day.castCall ? `Cast call ${day.castCall}` : '',
+        day.estimatedWrap ? `Est. wrap ${day.estimatedWrap}` : '',
+      ].filter(Boolean).join(' • ');
+
+      const locations = day.locations.map(loc => `
+        <li>${loc.name ? `<strong>${loc.name}</strong>` : ''}${loc.name && loc.address ? ' – ' : ''}${loc.address || ''}</li>
+      `).join('');
+
+      const scenes = day.scenes.map(scene => `
+        <li>Sc ${scene.number || '?'}${scene.intExt ? ` ${scene.intExt}` : ''}${scene.location ? ` ${scene.location}` : ''}${scene.onSetTime ? ` (on set ${scene.onSetTime})` : ''}</li>
+      `).join('');
+
+      return `
+        <div class="schedule-day called" data-id="${day.id}">
+          ${header}
+          <div class="schedule-role">${day.character || day.role || ''}</div>
+          ${calls ? `<div class="schedule-calls">${calls}</div>` : ''}
+          ${locations ? `<div class="schedule-label">Locations</div><ul class="schedule-list">${locations}</ul>` : ''}
+          ${scenes ? `<div class="schedule-label">${day.type === 'cast' ? 'Your scenes' : 'Scenes'}</div><ul class="schedule-list">${scenes}</ul>` : ''}
+        </div>
+      `;
+    }).join('');
+  },
+
+  /**
+   * Render the shooting schedule as a stripboard, one strip per scene with a break between days
+   * @param {Object} stripboard - { days, colors } from the server
+   */
+  renderStripboard(stripboard) {
+    const legend = Object.entries(stripboard.colors).map(([key, color]) => `
+      <span class="strip-legend-item strip-${key}">${color.label}</span>
+    `).join('');
+
+    const days = stripboard.days.map(day => {
+      const strips = day.strips.map(strip => `
+        <div class="strip strip-${strip.color}" data-key="${strip.sceneNumber}">
+          <span class="strip-scene">${strip.sceneNumber || '–'}</span>
+          <span class="strip-int-ext">${strip.intExt} / ${strip.dayNight}</span>
+          <span class="strip-location">${strip.location}</span>
+          <span class="strip-description">${strip.description}</span>
+          <span class="strip-characters">${strip.characters.join(', ')}</span>
+        </div>
+      `).join('');
+
+      const empty = day.restricted ? 'Closed set – log in to this day to see its scenes' : 'No scenes scheduled';
+
+      return `
+        <div class="strip-day-break">
+          <strong>Day ${day.shootDay}</strong>
+          <span>${this.formatDate(day.date)}</span>
+          <span class="strip-day-count">${day.strips.length} scene${day.strips.length === 1 ? '' : 's'}</span>
+        </div>
+        ${strips || `<p class="strip-empty">${empty}</p>`}
+      `;
+    }).join('');
+
+    return `<div class="strip-legend">${legend}</div>${days}`;
+  },
+
+  /**
+   * Render scheduling issues found in the stripboard (empty string when there are none)
+   * @param {Object} issues - { duplicates, missing, unnumbered, incomplete } from the server
+   */
+  renderStripboardIssues(issues) {
+    const items = [
+      ...issues.duplicates.map(({ sceneNumber, shootDays }) =>
+        `Scene ${sceneNumber} is scheduled ${shootDays.length} times (Day ${shootDays.join(', Day ')})`),
+      issues.missing.length ? `Not scheduled: scene${issues.missing.length > 1 ? 's' : ''} ${issues.missing.join(', ')}` : '',
+      issues.unnumbered.length ? `${issues.unnumbered.length} scene${issues.unnumbered.length > 1 ? 's have' : ' has'} no scene number` : '',
+    ].filter(Boolean);
+
+    if (items.length === 0) return '';
+
+    return `
+      <strong>Check the schedule</strong>
+      <ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>
+      ${issues.incomplete ? '<p>Some days are closed sets you can\'t see, so not every scene is shown.</p>' : ''}
+    `;
+  },
+
+  /**
+   * Render the cast Day Out of Days: one row per cast member, one column per shoot day
+   * @param {Object} report - { days, cast, codes } from the server
+   */
+  renderDayOutOfDays(report) {
+    if (report.cast.length === 0) {
+      return '<p class="strip-empty">No cast on any shoot day</p>';
+    }
+
+    const legend = Object.entries(report.codes).map(([code, label]) => `
+      <span class="dood-legend-item"><span class="dood-code dood-${code.toLowerCase()}">${code}</span> ${label}</span>
+    `).join('');
+
+    const dayHeaders = report.days.map(day => `
+      <th class="dood-day">Day ${day.shootDay}${day.date ? `<span>${this.formatDate(day.date)}</span>` : ''}</th>
+    `).join('');
+
+    const rows = report.cast.map(member => `
+      <tr>
+        <td>${member.number}</td>
+        <td>${member.name}${member.character ? `<span class="dood-character">${member.character}</span>` : ''}</td>
+        ${member.days.map(code => `<td class="dood-day">${code ? `<span class="dood-code dood-${code.toLowerCase()}">${code}</span>` : ''}</td>`).join('')}
+        <td class="dood-total">${member.totals.work}</td>
+        <td class="dood-total">${member.totals.hold}</td>
+        <td class="dood-total">${member.totals.total}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="strip-legend">${legend}</div>
+      <div class="people-table">
+        <table>
+          <thead><tr><th>#</th><th>Cast</th>${dayHeaders}<th>Work</th><th>Hold</th><th>Total</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </div>
+    `;
+  },
+
+  /**
+   * Render the data mistakes found in the call sheet, grouped by section
+   * @param {Array} warnings - [{ code, section, message }] from the server
+   */
+  renderConsistencyWarnings(warnings) {
+    const sections = { properties: 'Schedule', cast: 'Cast', scenes: 'Scenes' };
+    const groups = Object.entries(sections)
+      .map(([section, label]) => [label, warnings.filter(warning => warning.section === section)])
+      .filter(([, items]) => items.length > 0);
+
+    return `
+      <strong>Check before sending: ${warnings.length} possible mistake${warnings.length === 1 ? '' : 's'}</strong>
+      ${groups.map(([label, items]) => `
+        <div class="consistency-group">
+          <span class="consistency-label">${label}</span>
+          <ul>${items.map(warning => `<li>${warning.message}</li>`).join('')}</ul>
+        </div>
+      `).join('')}
+    `;
+  },
+
+  /**
+   * Render a day's labour compliance warnings (empty string when there are none)
+   * @param {Array} warnings - [{ rule, message, people }] from the server
+   */
+  renderComplianceWarnings(warnings) {
+    if (warnings.length === 0) return '';
+
+    const items = warnings.map(warning => `
+      <li>${warning.message}${warning.people.length ? ` <span class="compliance-people">– ${warning.people.join(', ')}</span>` : ''}</li>
+    `).join('');
+
+    return `
+      <strong>Labour compliance</strong>
+      <ul>${items}</ul>
+    `;
+  },
+
+  /**
+   * Render the labour compliance report across shoot days for ADs
+   * @param {Object} report - { limits, people, unchecked, summary } from the server
+   */
+  renderComplianceReport(report) {
+    const ruleLabels = { turnaround: 'Turnaround', meal: 'Meal break', workday: 'Day length' };
+    const { limits, summary } = report;
+
+    const rows = report.people.flatMap(person => person.violations.map(violation => `
+      <tr>
+        <td>${person.name}</td>
+        <td>${person.role}</td>
+        <td>Day ${violation.shootDay}</td>
+        <td>${ruleLabels[violation.rule]}</td>
+        <td>${violation.message}</td>
+      </tr>
+    `)).join('');
+
+    const unchecked = report.unchecked.length
+      ? `<p class="receipt-summary">Not checked: ${report.unchecked.map(entry => `${entry.name} (Day ${entry.shootDay}: ${entry.reason})`).join('; ')}</p>`
+      : '';
+
+    return `
+      <div class="card">
+        <h2 class="section-title">Labour Compliance</h2>
+        <p class="receipt-summary">
+          ${summary.violations} breach${summary.violations === 1 ? '' : 'es'} for ${summary.people} ${summary.people === 1 ? 'person' : 'people'} across ${summary.checked} checked shift${summary.checked === 1 ? '' : 's'} ·
+          limits: ${limits.minTurnaroundHours}h turnaround, meal within ${limits.maxHoursToMeal}h, ${limits.maxWorkdayHours}h day
+        </p>
+        ${rows ? `
+          <div class="people-table">
+            <table>
+              <thead><tr><th>Name</th><th>Role</th><th>Day</th><th>Rule</th><th>Breach</th></tr></thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </div>
+        ` : ''}
+        ${unchecked}
+      </div>
+    `;
+  },
+
+  /**
+   * Render the receipt acknowledgement report for ADs
+   * @param {Object} report - { revision, summary, people } from the server
+   */
+  renderAcknowledgementReport(report) {
+    const statusLabels = { confirmed: 'Confirmed', outdated: 'Earlier revision', pending: 'Not yet' };
+
+    const rows = report.people.map(person => `
+      <tr class="receipt-${person.status}">
+        <td>${person.name || ''}</td>
+        <td>${person.role || ''}</td>
+        <td><span class="receipt-status">${statusLabels[person.status]}</span></td>
+        <td>${person.acknowledgedAt ? new Date(person.acknowledgedAt).toLocaleString('en-AU', { dateStyle: 'short', timeStyle: 'short' }) : ''}${person.revision ? ` (Rev ${person.revision})` : ''}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <div class="card">
+        <h2 class="section-title">Receipt Confirmations</h2>
+        <p class="receipt-summary">
+          ${report.summary.confirmed} confirmed · ${report.summary.outdated} on an earlier revision · ${report.summary.pending} not yet
+        </p>
+        <div class="people-table">
+          <table>
+            <thead><tr><th>Name</th><th>Role</th><th>Status</th><th>Confirmed</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
       </div>
     `;
   },
 
+  /**
+   * Render the options for the contacts export picker
+   */
+  renderContactOptions(departments) {
+    const total = departments.reduce((sum, d) => sum + d.count, 0);
+    const options = departments.map(d => `<option value="${d.name}">${d.name} (${d.count})</option>`);
+    return [`<option value="">Everyone (${total})</option>`, ...options].join('');
+  },
+
   /**
    * Render people table (crew or cast)
    */
@@ -152,23 +526,28 @@ const Components = {
         // Map header display name to object key
         const key = header;
         let value = person[key] || '';
+        const redaction = person._redacted?.[key];
 
-        // Handle phone column
-        if (header.toLowerCase() === 'phone') {
+        if (redaction) {
+          // Hidden by the server - say why
+          value = this.renderRedacted(redaction);
+        } else if (header.toLowerCase() === 'phone') {
           if (value && showContacts) {
             // Show clickable phone link when authenticated
             const telLink = this.formatPhoneForLink(value);
             value = `<a href="tel:${telLink}" class="phone-link">📞 ${value}</a>`;
-          } else {
-            // Show prompt when not authenticated (phone either missing or hidden)
-            value = `<span class="phone-obscured">Enter phone to view</span>`;
+          } else if (value || !showContacts) {
+            // Contacts left out (e.g. non-personalised export)
+            value = `<span class="phone-obscured">Hidden</span>`;
           }
         }
 
-        return `<td>${value}</td>`;
+        return `<td data-field="${header}">${value}</td>`;
       }).join('');
 
-      return `<tr class="${isHighlighted ? 'highlighted' : ''}">${cells}</tr>`;
+      // Row keys match the server's revision diff, so changed cells can be found later
+      const rowKey = (person.Name || '').trim().toLowerCase();
+      return `<tr class="${isHighlighted ? 'highlighted' : ''}" data-key="${rowKey}">${cells}</tr>`;
     }).join('');
 
     return `
@@ -179,6 +558,37 @@ const Components = {
     `;
   },
 
+  /**
+   * Explain a value hidden by the server's visibility policy
+   * @param {Object} redaction - { reason, visibleTo }
+   */
+  renderRedacted(redaction) {
+    const audienceLabels = {
+      authenticated: 'signed-in crew & cast',
+      crew: 'crew',
+      cast: 'cast',
+      ad: 'ADs',
+      producer: 'producers',
+      self: 'this person',
+    };
+
+    let label;
+    if (redaction.reason === 'authentication') {
+      label = 'Enter phone to view';
+    } else if (redaction.reason === 'opt_out') {
+      label = 'Not shared';
+    } else {
+      const audiences = (redaction.visibleTo || [])
+        .map(a => audienceLabels[a])
+        .filter(Boolean);
+      label = audiences.length > 0
+        ? `Visible to ${audiences.slice(0, -1).join(', ')}${audiences.length > 1 ? ' & ' : ''}${audiences[audiences.length - 1]}`
+        : 'Restricted';
+    }
+
+    return `<span class="phone-obscured">${label}</span>`;
+  },
+
   /**
    * Normalize phone number for comparison
    */
@@ -186,25 +596,42 @@ const Components = {
     return phone?.replace(/\D/g, '') || '';
   },
 
+  /**
+   * Read a location's enrichment status (field -> 'ok' | 'retried' | 'failed', no entry if not enriched yet)
+   */
+  getEnrichmentStatus(gemData) {
+    try {
+      return JSON.parse(gemData?.GEMenrichmentStatus || '{}') || {};
+    } catch {
+      return {};
+    }
+  },
+
   /**
    * Render location card
+   * @param {Object} options - { enriching } while its details are being looked up in the background
    */
-  renderLocationCard(location, index) {
+  renderLocationCard(location, index, { enriching = false } = {}) {
     const data = location.data || {};
     const gemData = location.gemData || {};
+    const status = this.getEnrichmentStatus(gemData);
+    const failed = field => status[field] === 'failed';
+    // Nothing looked up yet (sun times may already be calculated, so only looked-up fields count)
+    const notEnriched = ['nearestHospital', 'weatherDesc', 'publicTransportInfo']
+      .every(field => !gemData[`GEM${field}`] && !status[field]);
     const address = data['Location Address'] || '';
     const unitBase = data['Unit Base Address'] || '';
     const scriptLocation = data['Script Location'] || `Location ${index}`;
 
     return `
-      <article class="location-card">
+      <article class="location-card" data-key="${(data['Script Location'] || address).trim()}">
         <header class="location-header">
           <div class="location-title-group">
             <div class="location-number">${index}</div>
             <h3 class="location-name">${scriptLocation}</h3>
           </div>
           ${address ? `
-            <a href="${this.createMapUrl(address)}" target="_blank" rel="noopener" class="map-link">
+            <a href="${this.createMapUrl(address, gemData.GEMlatitude, gemData.GEMlongitude)}" target="_blank" rel="noopener" class="map-link">
               <svg width="16" height="16" viewBox="0 0 16 16" fill="none">
                 <path d="M8 1C5.23858 1 3 3.23858 3 6C3 9.5 8 15 8 15C8 15 13 9.5 13 6C13 3.23858 10.7614 1 8 1Z" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/>
                 <circle cx="8" cy="6" r="2" stroke="currentColor" stroke-width="1.5"/>
@@ -225,32 +652,46 @@ const Components = {
             ${unitBase && unitBase !== address ? `
               <div class="address-item">
                 <span class="address-label">Unit Base</span>
-                <span class="address-value">${unitBase}</span>
+                <a href="${this.createMapUrl(unitBase, gemData.GEMunitBaseLatitude, gemData.GEMunitBaseLongitude)}" target="_blank" rel="noopener" class="address-value">${unitBase}</a>
               </div>
             ` : ''}
           </div>
           
           <div class="location-gem-data">
+            ${notEnriched ? `
+              <p class="gem-pending${enriching ? ' enriching' : ''}">
+                ${enriching ? 'Looking up emergency services, weather and transport…' : 'Emergency services, weather and transport haven\'t been looked up yet.'}
+              </p>
+            ` : ''}
             ${this.renderGemSection('Emergency Services', [
-      { label: 'Nearest Hospital', value: gemData.GEMnearestHospital },
-      { label: 'Fire Station', value: gemData.GEMnearestFireStation },
-      { label: 'Police Station', value: gemData.GEMnearestPoliceStation },
-      { label: '24hr Emergency', value: gemData.GEMnearestEmergencyAfterHours },
+      { label: 'Nearest Hospital', value: gemData.GEMnearestHospital, failed: failed('nearestHospital') },
+      { label: 'Fire Station', value: gemData.GEMnearestFireStation, failed: failed('nearestFireStation') },
+      { label: 'Police Station', value: gemData.GEMnearestPoliceStation, failed: failed('nearestPoliceStation') },
+      { label: '24hr Emergency', value: gemData.GEMnearestEmergencyAfterHours, failed: failed('nearestEmergencyAfterHours') },
     ])}
             
             ${this.renderGemSection('Weather & Sun Times', [
-      { label: 'Sunrise', value: gemData.GEMsunriseTime },
-      { label: 'Sunset', value: gemData.GEMsunsetTime },
-      { label: 'Temperature', value: gemData.GEMweatherTemp },
-      { label: 'Conditions', value: gemData.GEMweatherDesc, isWarning: gemData.GEMweatherDesc?.toLowerCase().includes('warning') },
+      { label: 'Sunrise', value: gemData.GEMsunriseTime, failed: failed('sunriseTime') },
+      { label: 'Sunset', value: gemData.GEMsunsetTime, failed: failed('sunsetTime') },
+      { label: 'Civil Dawn', value: gemData.GEMcivilDawn },
+      { label: 'Civil Dusk', value: gemData.GEMcivilDusk },
+      { label: 'Golden Hour (AM)', value: gemData.GEMgoldenHourMorning },
+      { label: 'Golden Hour (PM)', value: gemData.GEMgoldenHourEvening },
+      { label: 'Blue Hour (AM)', value: gemData.GEMblueHourMorning },
+      { label: 'Blue Hour (PM)', value: gemData.GEMblueHourEvening },
+      { label: 'Moon', value: gemData.GEMmoonPhase },
+      { label: 'Moonrise', value: gemData.GEMmoonrise },
+      { label: 'Moonset', value: gemData.GEMmoonset },
+      { label: 'Temperature', value: gemData.GEMweatherTemp, failed: failed('weatherTemp') },
+      { label: 'Conditions', value: gemData.GEMweatherDesc, failed: failed('weatherDesc'), isWarning: gemData.GEMweatherDesc?.toLowerCase().includes('warning') },
     ])}
             
-            ${gemData.GEMpublicTransportInfo ? this.renderGemSection('Public Transport', [
-      { label: '', value: gemData.GEMpublicTransportInfo, fullWidth: true },
+            ${gemData.GEMpublicTransportInfo || failed('publicTransportInfo') ? this.renderGemSection('Public Transport', [
+      { label: '', value: gemData.GEMpublicTransportInfo, failed: failed('publicTransportInfo'), fullWidth: true },
     ]) : ''}
             
-            ${gemData.GEMtransportDesc && gemData.GEMtransportDesc !== 'N/A' ? this.renderGemSection('Transport to Next Location', [
-      { label: '', value: gemData.GEMtransportDesc, fullWidth: true },
+            ${(gemData.GEMtransportDesc && gemData.GEMtransportDesc !== 'N/A') || failed('transportDesc') ? this.renderGemSection('Transport to Next Location', [
+      { label: '', value: gemData.GEMtransportDesc, failed: failed('transportDesc'), fullWidth: true },
     ]) : ''}
           </div>
         </div>
@@ -260,9 +701,12 @@ const Components = {
 
   /**
    * Render a GEM data section
+   * Items whose enrichment failed are shown as not found, rather than left out like ones not enriched yet
    */
   renderGemSection(title, items) {
-    const filteredItems = items.filter(item => item.value);
+    const filteredItems = items
+      .filter(item => item.value || item.failed)
+      .map(item => item.value ? item : { ...item, value: 'Couldn\'t be found', isFailed: true });
     if (filteredItems.length === 0) return '';
 
     const icon = title.includes('Emergency') ? '🏥' :
@@ -273,14 +717,14 @@ const Components = {
       if (item.fullWidth) {
         return `
           <div class="gem-item" style="grid-column: 1 / -1;">
-            <span class="gem-value${item.isWarning ? ' warning' : ''}">${item.value}</span>
+            <span class="gem-value${item.isWarning ? ' warning' : ''}${item.isFailed ? ' failed' : ''}">${item.value}</span>
           </div>
         `;
       }
       return `
         <div class="gem-item">
           <span class="gem-label">${item.label}</span>
-          <span class="gem-value${item.isWarning ? ' warning' : ''}">${item.value}</span>
+          <span class="gem-value${item.isWarning ? ' warning' : ''}${item.isFailed ? ' failed' : ''}">${item.value}</span>
         </div>
       `;
     }).join('');
@@ -308,6 +752,9 @@ const Components = {
       const sceneNum = scene['Scene Number'] || '';
       const desc = scene['Scene Description'] || '';
       const characters = scene['Characters'] || '';
+      const charactersCell = scene._redacted?.['Characters']
+        ? this.renderRedacted(scene._redacted['Characters'])
+        : characters;
       const mwTime = scene['Makeup & Wardrobe Time'] || '';
       const onSetTime = scene['On-Set Time'] || '';
       const intExt = scene['Int/Ext'] || '';
@@ -322,14 +769,14 @@ const Components = {
         `<span class="scene-tag ${intExt.toLowerCase()}">${intExt}</span>` : '';
 
       return `
-        <tr class="${isUserScene ? 'user-scene' : ''}">
-          <td><span class="scene-number">${sceneNum}</span></td>
-          <td>${desc}</td>
-          <td>${characters}</td>
-          <td>${mwTime}</td>
-          <td>${onSetTime}</td>
-          <td>${intExtTag}</td>
-          <td>${location}</td>
+        <tr class="${isUserScene ? 'user-scene' : ''}" data-key="${sceneNum.trim()}">
+          <td data-field="Scene Number"><span class="scene-number">${sceneNum}</span></td>
+          <td data-field="Scene Description">${desc}</td>
+          <td data-field="Characters">${charactersCell}</td>
+          <td data-field="Makeup & Wardrobe Time">${mwTime}</td>
+          <td data-field="On-Set Time">${onSetTime}</td>
+          <td data-field="Int/Ext">${intExtTag}</td>
+          <td data-field="Script Location">${location}</td>
         </tr>
       `;
     }).join('');
@@ -6,6 +6,13 @@ const apiRoutes = require('./routes/api');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Trust X-Forwarded-For from a reverse proxy / tunnel so req.ip is the real client
+// (needed for per-IP login limits). Set TRUST_PROXY to "true", a hop count, or a subnet list.
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
@@ -5,80 +5,266 @@
 
 const express = require('express');
 const router = express.Router();
-const craftService = require('../services/craftService');
-const geminiService = require('../services/geminiService');
+const dataSource = require('../services/dataSource');
+const enrichmentService = require('../services/enrichmentService');
+const enrichmentJobService = require('../services/enrichmentJobService');
+const solarService = require('../services/solarService');
+const geocodingService = require('../services/geocodingService');
+const sessionService = require('../services/sessionService');
+const otpService = require('../services/otpService');
+const rateLimiter = require('../services/rateLimiter');
+const redactionService = require('../services/redactionService');
+const pdfService = require('../services/pdfService');
+const calendarService = require('../services/calendarService');
+const scheduleService = require('../services/scheduleService');
+const portalService = require('../services/portalService');
+const stripboardService = require('../services/stripboardService');
+const dayOutOfDaysService = require('../services/dayOutOfDaysService');
+const advanceService = require('../services/advanceService');
+const complianceService = require('../services/complianceService');
+const consistencyService = require('../services/consistencyService');
+const vcardService = require('../services/vcardService');
+const revisionService = require('../services/revisionService');
+const acknowledgementService = require('../services/acknowledgementService');
+const { normalizePhone, findUserByPhone, getBaseTitle } = require('../services/productionUtils');
+
+// Scope of crew portal logins, used for passcodes and login rate limits in place of a production ID
+const PORTAL_SCOPE = 'portal';
 
 /**
- * Normalize phone number for comparison
- * Strips all non-digit characters
+ * Check whether a production is a closed set
  */
-function normalizePhone(phone) {
-    return phone?.replace(/\D/g, '') || '';
+function isClosedSet(production) {
+    return production.properties?.closed_set === true;
 }
 
 /**
- * Strip sensitive data from production for unauthenticated access
- * Removes: phone numbers from crew/cast
+ * Minimal shell of a closed-set production for unauthenticated access
+ * Keeps only what the phone screen needs: title, date and the closed-set flag
+ */
+function buildClosedSetShell(production) {
+    return {
+        id: production.id,
+        title: production.title,
+        properties: {
+            date_of_shoot: production.properties?.date_of_shoot,
+            shoot_day_: production.properties?.shoot_day_,
+            closed_set: true,
+        },
+        crew: [],
+        cast: [],
+        locations: [],
+        scenes: [],
+        restricted: true,
+    };
+}
+
+/**
+ * Prepare a production for a viewer
+ * Closed sets: anonymous viewers only get a minimal shell (see buildClosedSetShell)
+ * Otherwise: fields are hidden according to the production's visibility policy
+ * (by default, phone numbers are only shown to authenticated viewers)
  * Keeps: closed_set (needed for UI to enforce no-skip behavior)
+ * @param {Object|null} viewer - userInfo of the authenticated viewer, or null
+ */
+function prepareForViewer(production, viewer) {
+    if (!viewer && isClosedSet(production)) {
+        return buildClosedSetShell(production);
+    }
+
+    return redactionService.applyPolicy(production, viewer);
+}
+
+/**
+ * Prepare every shoot day of a production for a viewer, as they appear on each day's call sheet
+ * Closed-set days the viewer isn't on, or their session doesn't cover, come back as the minimal shell
+ * @param {Function} getViewer - Resolves the viewer's userInfo on a day (null if not covered)
+ */
+async function prepareGroupForViewer(id, getViewer) {
+    const days = await dataSource.getProductionGroup(id);
+    return days.map(day => prepareForViewer(day, getViewer(day)));
+}
+
+/**
+ * Prepare a production's call sheet for a viewer, with the details that come from its other shoot days:
+ * - advance: the next day's advance schedule, prepared for its own viewer so its closed-set
+ *   and visibility rules apply
+ * - complianceWarnings: labour limit breaches on this day; ADs and producers see everyone's,
+ *   others only their own, and anonymous viewers none
+ * @param {Object|null} viewer - userInfo of the authenticated viewer, or null
+ * @param {Function} getNextDayViewer - Resolves the viewer's userInfo on the next day (null if not covered)
+ */
+async function prepareCallSheet(production, viewer, getNextDayViewer) {
+    const prepared = prepareForViewer(production, viewer);
+
+    // Closed-set shells stay minimal
+    if (prepared.restricted) return prepared;
+
+    // Only the days either side matter: the next for the advance, the previous for turnaround
+    const { previous, next: nextDay } = await dataSource.getAdjacentDays(production);
+    const seesAllWarnings = ['ad', 'producer'].some(audience => redactionService.hasAudience(viewer, audience));
+
+    return {
+        ...prepared,
+        advance: nextDay ? advanceService.buildAdvance(prepareForViewer(nextDay, getNextDayViewer(nextDay))) : null,
+        complianceWarnings: viewer
+            ? complianceService.getDayWarnings([previous, production].filter(Boolean), production.id, {
+                phone: seesAllWarnings ? null : viewer.phone,
+            })
+            : [],
+    };
+}
+
+/**
+ * Strip sensitive data from production for unauthenticated access
  */
 function sanitizeProduction(production) {
-    const sanitized = JSON.parse(JSON.stringify(production)); // Deep clone
+    return prepareForViewer(production, null);
+}
 
-    // Remove phone numbers from crew
-    if (sanitized.crew) {
-        sanitized.crew = sanitized.crew.map(member => {
-            const { Phone, phone, ...rest } = member;
-            return rest;
-        });
-    }
+/**
+ * Check whether a session covers a production
+ * Sessions (and the calendar feeds issued from them) cover the day they were issued for,
+ * and other shoot days of the same production (same base title); crew portal sessions
+ * cover every production. Either way, not a day that requires a passcode the login didn't use
+ */
+function sessionCovers(session, production) {
+    if (session.productionId === production.id) return true;
+    if (session.scope === PORTAL_SCOPE) return session.verified || !otpService.isRequired(production);
+    if (!['session', 'calendar'].includes(session.scope) || !session.group) return false;
+    if (session.group !== getBaseTitle(production.title)) return false;
+    return session.verified || !otpService.isRequired(production);
+}
 
-    // Remove phone numbers from cast
-    if (sanitized.cast) {
-        sanitized.cast = sanitized.cast.map(member => {
-            const { Phone, phone, ...rest } = member;
-            return rest;
-        });
+/**
+ * Read a request's session token
+ * Pass feedScope to also accept a token of that scope, or one of a list of scopes, in ?token=
+ * (e.g. "calendar"), for clients such as calendar apps and EventSource that can't send
+ * an Authorization header
+ * Returns the session if the token is valid, null otherwise
+ */
+function getSession(req, { feedScope } = {}) {
+    let session = sessionService.verifyToken(sessionService.getTokenFromRequest(req));
+    if (session && session.scope !== 'session' && session.scope !== PORTAL_SCOPE) session = null;
+
+    if (!session && feedScope && typeof req.query.token === 'string') {
+        session = sessionService.verifyToken(req.query.token);
+        if (session && ![].concat(feedScope).includes(session.scope)) session = null;
     }
 
-    // Note: closed_set is intentionally NOT removed
-    // It's needed client-side to enforce authentication requirement
+    return session;
+}
+
+/**
+ * Resolve the person behind a request's session token
+ * The token must cover this production (see sessionCovers) and the phone must still be on its crew/cast
+ * Takes the same options as getSession()
+ * Returns user info if the session is valid, null otherwise
+ */
+function getSessionUser(req, production, options) {
+    const session = getSession(req, options);
+    if (!session || !sessionCovers(session, production)) return null;
 
-    return sanitized;
+    return findUserByPhone(production, session.phone);
 }
 
 /**
- * Find a user by phone number in crew or cast
- * Returns user info if found, null otherwise
+ * Middleware: reject or slow down login attempts from clients with too many failures
+ * Responds 429 with Retry-After while an IP, or a phone number on this production
+ * (or the crew portal), is locked out
+ * The attempt counts as a failure from here on, so parallel guesses can't all get past
+ * the check; it's refunded when the request ends without recordFailedLogin()
+ * The attempt's phone number (typed in, or the one a passcode was sent to) is kept in req.loginPhone
  */
-function findUserByPhone(production, phone) {
-    const normalizedPhone = normalizePhone(phone);
-    if (!normalizedPhone) return null;
+async function limitAuthAttempts(req, res, next) {
+    try {
+        const scope = req.params.id || PORTAL_SCOPE;
+        req.loginPhone = typeof req.body.phone === 'string'
+            ? req.body.phone
+            : otpService.getChallengePhone(req.body.challengeId);
+
+        const limit = await rateLimiter.reserveAuthAttempt(req.ip, scope, req.loginPhone);
 
-    // Check crew
-    for (const member of production.crew || []) {
-        if (normalizePhone(member.Phone) === normalizedPhone) {
-            return {
-                name: member.Name,
-                role: member.Role,
-                callTime: member['Call Time'],
-                type: 'crew',
-            };
+        if (!limit.allowed) {
+            return sendTooManyAttempts(res, limit);
         }
-    }
 
-    // Check cast
-    for (const member of production.cast || []) {
-        if (normalizePhone(member.Phone) === normalizedPhone) {
-            return {
-                name: member.Name,
-                character: member.Character,
-                callTime: member['Call Time'],
-                type: 'cast',
-            };
+        res.on('close', () => {
+            if (req.loginOutcome) return;
+            rateLimiter.releaseAuthAttempt(req.ip, scope, req.loginPhone)
+                .catch(error => console.error('Error releasing login attempt:', error));
+        });
+
+        // Progressive delay after repeated failures
+        if (limit.delayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, limit.delayMs));
         }
+
+        next();
+    } catch (error) {
+        next(error);
     }
+}
+
+/**
+ * Respond 429 with Retry-After for a refused login attempt or passcode send
+ */
+function sendTooManyAttempts(res, limit) {
+    res.set('Retry-After', String(limit.retryAfterSeconds));
+    return res.status(429).json({
+        error: 'Too many attempts. Please try again later.',
+        retryAfter: limit.retryAfterSeconds,
+        authenticated: false
+    });
+}
+
+/**
+ * Record a failed login attempt against the requesting IP, phone number and production
+ */
+function recordFailedLogin(req, reason) {
+    req.loginOutcome = 'failure';
+    return rateLimiter.recordAuthFailure(req.ip, req.params.id || PORTAL_SCOPE, {
+        phone: req.loginPhone,
+        reason,
+        userAgent: req.get('User-Agent'),
+    });
+}
 
-    return null;
+/**
+ * Clear the requesting IP's and phone number's failure counts after a successful login
+ */
+function recordSuccessfulLogin(req) {
+    req.loginOutcome = 'success';
+    return rateLimiter.recordAuthSuccess(req.ip, req.params.id || PORTAL_SCOPE, req.loginPhone);
+}
+
+/**
+ * Build the response for a successful login: issue a session and return full data
+ * The session also covers the production's other shoot days (see sessionCovers)
+ * @param {Object} options - { verified } whether the login was confirmed with a passcode
+ */
+async function buildAuthenticatedResponse(production, userInfo, { verified = false } = {}) {
+    const session = {
+        productionId: production.id,
+        phone: normalizePhone(userInfo.phone),
+        group: getBaseTitle(production.title),
+        verified,
+    };
+    const { token, expiresAt } = sessionService.issueToken(session);
+
+    // The new session reaches the next day just as it would on a later request
+    const getNextDayViewer = day =>
+        sessionCovers({ ...session, scope: 'session' }, day) ? findUserByPhone(day, userInfo.phone) : null;
+
+    return {
+        authenticated: true,
+        userInfo,
+        production: await prepareCallSheet(production, userInfo, getNextDayViewer),
+        isClosedSet: isClosedSet(production),
+        acknowledgement: await acknowledgementService.getAcknowledgement(production.id, userInfo.phone),
+        token,
+        expiresAt,
+    };
 }
 
 /**
@@ -89,7 +275,7 @@ function findUserByPhone(production, phone) {
  */
 router.get('/productions', async (req, res) => {
     try {
-        const data = await craftService.getProductions();
+        const data = await dataSource.getProductions();
         // Only return grouped data - NOT the full productions array
         // This prevents exposing sensitive crew/cast data
         res.json({ grouped: data.grouped });
@@ -101,31 +287,41 @@ router.get('/productions', async (req, res) => {
 
 /**
  * GET /api/production/:id
- * Get a single production with SANITIZED details (no phone numbers, no closed_set)
- * This is the public endpoint for unauthenticated access
+ * Get a single production with SANITIZED details (no phone numbers)
+ * This is the public endpoint for unauthenticated access - closed sets only get a minimal shell
+ * Returns full details when called with a valid session token
+ * Locations that need enriching are enriched in the background; `enrichmentJob` is then the
+ * job's status, and its progress can be followed at /production/:id/enrichment-jobs/:jobId/events
  */
 router.get('/production/:id', async (req, res) => {
     try {
         const { id } = req.params;
         const { enrich } = req.query;
 
-        let production = await craftService.getProductionById(id);
+        const production = await dataSource.getProductionById(id);
+        const userInfo = getSessionUser(req, production);
+        let enrichmentJob = null;
 
-        // Enrich location data if requested or if any GEM fields are empty
-        if (enrich !== 'false') {
+        // Enrich location data if requested or if any GEM fields are empty, or sun times could be calculated
+        // (never on behalf of anonymous callers to a closed set - they only get the shell)
+        if (enrich !== 'false' && (userInfo || !isClosedSet(production))) {
             const needsEnrich = production.locations?.some(loc =>
-                geminiService.needsEnrichment(loc.gemData)
+                enrichmentService.needsEnrichment(loc.gemData)
+                    || geocodingService.needsGeocoding(loc)
+                    || solarService.needsSunTimes(production, loc)
             );
 
             if (needsEnrich) {
-                console.log('Production needs enrichment, calling Gemini...');
-                production = await geminiService.enrichProduction(production);
+                // Joins the job already running for this production, if there is one
+                enrichmentJob = enrichmentJobService.startJob(production);
             }
         }
 
-        // Sanitize data before sending to client
-        const sanitized = sanitizeProduction(production);
-        res.json(sanitized);
+        // Apply the visibility policy for this viewer before sending
+        res.json({
+            ...await prepareCallSheet(production, userInfo, day => getSessionUser(req, day)),
+            enrichmentJob: enrichmentJob ? enrichmentJobService.toStatus(enrichmentJob) : null,
+        });
     } catch (error) {
         console.error('Error fetching production:', error);
         res.status(500).json({ error: 'Failed to fetch production' });
@@ -137,7 +333,7 @@ router.get('/production/:id', async (req, res) => {
  * Authenticate with phone number to get full production details
  * Returns full data only if phone matches a crew/cast member
  */
-router.post('/production/:id/authenticate', async (req, res) => {
+router.post('/production/:id/authenticate', limitAuthAttempts, async (req, res) => {
     try {
         const { id } = req.params;
         const { phone } = req.body;
@@ -149,12 +345,26 @@ router.post('/production/:id/authenticate', async (req, res) => {
             });
         }
 
-        let production = await craftService.getProductionById(id);
+        let production = await dataSource.getProductionById(id);
 
         // Check if phone matches a crew/cast member
         const userInfo = findUserByPhone(production, phone);
 
         if (!userInfo) {
+            await recordFailedLogin(req, 'unknown_phone');
+
+            // Look the same as a real passcode challenge so numbers can't be tested
+            if (otpService.isRequired(production)) {
+                const sendLimit = await rateLimiter.reservePasscodeSend(req.ip, phone);
+                if (!sendLimit.allowed) return sendTooManyAttempts(res, sendLimit);
+
+                return res.json({
+                    authenticated: false,
+                    otpRequired: true,
+                    ...otpService.createDecoyChallenge({ scope: production.id, phone }),
+                });
+            }
+
             // Phone doesn't match - return sanitized data
             const sanitized = sanitizeProduction(production);
             return res.json({
@@ -165,53 +375,890 @@ router.post('/production/:id/authenticate', async (req, res) => {
             });
         }
 
-        // Phone matches - return full data
+        // Phone matches - send a passcode first if this production requires one
+        if (otpService.isRequired(production)) {
+            const sendLimit = await rateLimiter.reservePasscodeSend(req.ip, phone);
+            if (!sendLimit.allowed) return sendTooManyAttempts(res, sendLimit);
+
+            const challenge = await otpService.createChallenge({
+                scope: production.id,
+                phone: normalizePhone(userInfo.phone),
+                destination: userInfo.phone,
+                label: production.title,
+            });
+
+            return res.json({
+                authenticated: false,
+                otpRequired: true,
+                ...challenge,
+            });
+        }
+
+        // Otherwise issue a session and return full data
+        await recordSuccessfulLogin(req);
+        res.json(await buildAuthenticatedResponse(production, userInfo));
+    } catch (error) {
+        console.error('Error authenticating:', error);
+        res.status(500).json({ error: 'Failed to authenticate' });
+    }
+});
+
+/**
+ * POST /api/production/:id/verify
+ * Second login step when a passcode is required
+ * Returns full data and a session token if the code matches the challenge
+ */
+router.post('/production/:id/verify', limitAuthAttempts, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { challengeId, code } = req.body;
+
+        if (!challengeId || !code) {
+            return res.status(400).json({
+                error: 'Challenge ID and code required',
+                authenticated: false
+            });
+        }
+
+        const result = otpService.verifyChallenge(challengeId, code, id);
+        if (!result.ok) {
+            await recordFailedLogin(req, `otp_${result.reason}`);
+            return res.status(401).json({
+                error: result.reason === 'invalid' ? 'Incorrect code' : 'Code expired, please request a new one',
+                reason: result.reason,
+                authenticated: false
+            });
+        }
+
+        const production = await dataSource.getProductionById(id);
+        const userInfo = findUserByPhone(production, result.phone);
+
+        // The person may have been removed from the call sheet since the code was sent
+        if (!userInfo) {
+            return res.status(401).json({
+                error: 'Phone number no longer on this call sheet',
+                authenticated: false
+            });
+        }
+
+        await recordSuccessfulLogin(req);
+        res.json(await buildAuthenticatedResponse(production, userInfo, { verified: true }));
+    } catch (error) {
+        console.error('Error verifying code:', error);
+        res.status(500).json({ error: 'Failed to verify code' });
+    }
+});
+
+/**
+ * GET /api/production/:id/session
+ * Restore an authenticated session from a token (e.g. after a page refresh)
+ * Returns the same shape as /authenticate, or 401 if the token is missing or invalid
+ */
+router.get('/production/:id/session', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const production = await dataSource.getProductionById(id);
+        const userInfo = getSessionUser(req, production);
+
+        if (!userInfo) {
+            return res.status(401).json({
+                error: 'Session expired or invalid',
+                authenticated: false
+            });
+        }
+
         res.json({
             authenticated: true,
             userInfo,
-            production,
-            isClosedSet: production.properties?.closed_set === true
+            production: await prepareCallSheet(production, userInfo, day => getSessionUser(req, day)),
+            isClosedSet: isClosedSet(production),
+            acknowledgement: await acknowledgementService.getAcknowledgement(production.id, userInfo.phone)
         });
     } catch (error) {
-        console.error('Error authenticating:', error);
-        res.status(500).json({ error: 'Failed to authenticate' });
+        console.error('Error restoring session:', error);
+        res.status(500).json({ error: 'Failed to restore session' });
     }
 });
 
 /**
  * POST /api/production/:id/enrich
- * Force re-enrichment of location data
+ * Force re-enrichment of location data, responding once it's done
+ * Joins the enrichment job already running for the production instead, if there is one
+ * Open to anonymous callers, except on closed sets
  */
 router.post('/production/:id/enrich', async (req, res) => {
     try {
         const { id } = req.params;
 
-        let production = await craftService.getProductionById(id);
+        let production = await dataSource.getProductionById(id);
+        const userInfo = getSessionUser(req, production);
+
+        if (!userInfo && isClosedSet(production)) {
+            return res.status(401).json({ error: 'Authentication required for closed sets' });
+        }
 
         // Clear existing GEM data to force refresh
         for (const location of production.locations || []) {
             location.gemData = {};
         }
 
-        production = await geminiService.enrichProduction(production);
+        production = await enrichmentJobService.startJob(production).promise;
 
-        // Return sanitized data (enrich doesn't require auth)
-        const sanitized = sanitizeProduction(production);
-        res.json({ success: true, production: sanitized });
+        res.json({
+            success: true,
+            production: await prepareCallSheet(production, userInfo, day => getSessionUser(req, day)),
+        });
     } catch (error) {
         console.error('Error enriching production:', error);
         res.status(500).json({ error: 'Failed to enrich production' });
     }
 });
 
+/**
+ * Resolve the enrichment job of a request's production
+ * Closed sets need a session covering the production, which may be sent in ?token=
+ * as EventSource can't send an Authorization header
+ * Responds 404 for unknown or expired jobs, or 401 without a session on a closed set
+ * @returns {Object|null} Job, or null once responded
+ */
+function getEnrichmentJobForRequest(req, res) {
+    const job = enrichmentJobService.getJob(req.params.jobId);
+
+    if (!job || job.productionId !== req.params.id) {
+        res.status(404).json({ error: 'Enrichment job not found' });
+        return null;
+    }
+    if (isClosedSet(job.production) && !getSessionUser(req, job.production, { feedScope: ['session', PORTAL_SCOPE] })) {
+        res.status(401).json({ error: 'Authentication required for closed sets' });
+        return null;
+    }
+
+    return job;
+}
+
+/**
+ * GET /api/production/:id/enrichment-jobs/:jobId
+ * Status of a background enrichment job
+ */
+router.get('/production/:id/enrichment-jobs/:jobId', (req, res) => {
+    try {
+        const job = getEnrichmentJobForRequest(req, res);
+        if (!job) return;
+
+        res.json(enrichmentJobService.toStatus(job));
+    } catch (error) {
+        console.error('Error fetching enrichment job:', error);
+        res.status(500).json({ error: 'Failed to fetch enrichment job' });
+    }
+});
+
+/**
+ * GET /api/production/:id/enrichment-jobs/:jobId/events
+ * Server-Sent Events stream of a background enrichment job's progress:
+ *   location - { position, gemData } each time a location's GEM data changes
+ *               (locations already updated are sent on connecting)
+ *   done     - the job's final status, after which the stream ends
+ */
+router.get('/production/:id/enrichment-jobs/:jobId/events', (req, res) => {
+    try {
+        const job = getEnrichmentJobForRequest(req, res);
+        if (!job) return;
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+        });
+        res.flushHeaders();
+
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+        for (const position of job.updated) {
+            send('location', { position, gemData: job.production.locations[position].gemData });
+        }
+
+        if (job.status !== 'running') {
+            send('done', enrichmentJobService.toStatus(job));
+            return res.end();
+        }
+
+        const unsubscribe = enrichmentJobService.subscribe(job, (event, data) => {
+            send(event, data);
+            if (event === 'done') res.end();
+        });
+        req.on('close', unsubscribe);
+    } catch (error) {
+        console.error('Error streaming enrichment job:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to stream enrichment job' });
+        }
+    }
+});
+
+/**
+ * GET /api/production/:id/pdf
+ * Download the call sheet as a text PDF laid out on the server
+ * Query: personalised=false for a general copy, mode=light for printer-friendly colours
+ * Phone numbers and the personal greeting are only included for authenticated viewers
+ */
+router.get('/production/:id/pdf', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { personalised, mode } = req.query;
+
+        const production = await dataSource.getProductionById(id);
+        const userInfo = getSessionUser(req, production);
+
+        if (!userInfo && isClosedSet(production)) {
+            return res.status(401).json({ error: 'Authentication required for closed sets' });
+        }
+
+        // General copies are rendered as an anonymous viewer would see them (minus the closed-set shell)
+        const includeContacts = !!userInfo && personalised !== 'false';
+        const viewable = redactionService.applyPolicy(production, includeContacts ? userInfo : null);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${pdfService.getFilename(production)}"`);
+
+        pdfService.renderCallSheet(viewable, {
+            userInfo,
+            includeContacts,
+            lightMode: mode === 'light',
+        }).pipe(res);
+    } catch (error) {
+        console.error('Error generating PDF:', error);
+        res.status(500).json({ error: 'Failed to generate PDF' });
+    }
+});
+
+/**
+ * Resolve the stripboard of a request's production, or respond 401 for anonymous viewers of a closed set
+ * @returns {Promise<Object|null>} Stripboard from stripboardService.buildStripboard(), or null once responded
+ */
+async function getStripboardForRequest(req, res) {
+    const production = await dataSource.getProductionById(req.params.id);
+    const userInfo = getSessionUser(req, production);
+
+    if (!userInfo && isClosedSet(production)) {
+        res.status(401).json({ error: 'Authentication required for closed sets' });
+        return null;
+    }
+
+    return stripboardService.buildStripboard(await prepareGroupForViewer(production.id, day => getSessionUser(req, day)));
+}
+
+/**
+ * GET /api/production/:id/stripboard
+ * Shooting schedule of every scene across the production's shoot days, with scheduling issues
+ */
+router.get('/production/:id/stripboard', async (req, res) => {
+    try {
+        const stripboard = await getStripboardForRequest(req, res);
+        if (!stripboard) return;
+
+        res.json(stripboard);
+    } catch (error) {
+        console.error('Error building stripboard:', error);
+        res.status(500).json({ error: 'Failed to build stripboard' });
+    }
+});
+
+/**
+ * GET /api/production/:id/stripboard.csv
+ * Download the shooting schedule as CSV, one row per scene
+ */
+router.get('/production/:id/stripboard.csv', async (req, res) => {
+    try {
+        const stripboard = await getStripboardForRequest(req, res);
+        if (!stripboard) return;
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${stripboardService.getFilename(stripboard, 'csv')}"`);
+        res.send(stripboardService.toCsv(stripboard));
+    } catch (error) {
+        console.error('Error exporting stripboard CSV:', error);
+        res.status(500).json({ error: 'Failed to export stripboard' });
+    }
+});
+
+/**
+ * GET /api/production/:id/stripboard.pdf
+ * Download the shooting schedule as a PDF (mode=light for printer-friendly colours)
+ */
+router.get('/production/:id/stripboard.pdf', async (req, res) => {
+    try {
+        const stripboard = await getStripboardForRequest(req, res);
+        if (!stripboard) return;
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${stripboardService.getFilename(stripboard, 'pdf')}"`);
+        stripboardService.renderPdf(stripboard, { lightMode: req.query.mode === 'light' }).pipe(res);
+    } catch (error) {
+        console.error('Error exporting stripboard PDF:', error);
+        res.status(500).json({ error: 'Failed to export stripboard' });
+    }
+});
+
+/**
+ * GET /api/production/:id/revisions
+ * List the production's revisions, oldest first
+ */
+router.get('/production/:id/revisions', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const production = await dataSource.getProductionById(id);
+        const userInfo = getSessionUser(req, production);
+
+        if (!userInfo && isClosedSet(production)) {
+            return res.status(401).json({ error: 'Authentication required for closed sets' });
+        }
+
+        res.json({
+            current: production.revision || null,
+            revisions: await revisionService.listRevisions(id),
+        });
+    } catch (error) {
+        console.error('Error listing revisions:', error);
+        res.status(500).json({ error: 'Failed to list revisions' });
+    }
+});
+
+/**
+ * GET /api/production/:id/revisions/diff?from=2&to=5
+ * Diff two revisions (to defaults to the current one)
+ * Both revisions are prepared for the viewer first, so the diff never reveals hidden fields
+ */
+router.get('/production/:id/revisions/diff', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const from = parseInt(req.query.from, 10);
+
+        const production = await dataSource.getProductionById(id);
+        const userInfo = getSessionUser(req, production);
+
+        if (!userInfo && isClosedSet(production)) {
+            return res.status(401).json({ error: 'Authentication required for closed sets' });
+        }
+
+        const to = req.query.to ? parseInt(req.query.to, 10) : production.revision?.number;
+        if (!Number.isInteger(from) || !Number.isInteger(to)) {
+            return res.status(400).json({ error: 'Revision numbers required (from, to)' });
+        }
+
+        const [before, after] = await Promise.all([
+            revisionService.getRevision(id, from),
+            revisionService.getRevision(id, to),
+        ]);
+        if (!before || !after) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        const { snapshot: beforeSnapshot, ...fromMeta } = before;
+        const { snapshot: afterSnapshot, ...toMeta } = after;
+
+        res.json({
+            productionId: id,
+            from: fromMeta,
+            to: toMeta,
+            ...revisionService.diffSnapshots(
+                redactionService.applyPolicy({ id, ...beforeSnapshot }, userInfo),
+                redactionService.applyPolicy({ id, ...afterSnapshot }, userInfo)
+            ),
+        });
+    } catch (error) {
+        console.error('Error diffing revisions:', error);
+        res.status(500).json({ error: 'Failed to diff revisions' });
+    }
+});
+
+/**
+ * POST /api/production/:id/acknowledge
+ * Confirm receipt of the call sheet
+ * Body: { revision } - the revision number the person was shown
+ */
+router.post('/production/:id/acknowledge', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const production = await dataSource.getProductionById(id);
+        const userInfo = getSessionUser(req, production);
+
+        if (!userInfo) {
+            return res.status(401).json({ error: 'Session expired or invalid' });
+        }
+
+        // Only record revisions that exist, defaulting to the current one
+        const revision = parseInt(req.body?.revision, 10);
+        const current = production.revision?.number;
+        const seen = Number.isInteger(revision) && revision > 0 && (!current || revision <= current) ? revision : current;
+
+        const acknowledgement = await acknowledgementService.acknowledge(production, userInfo, seen);
+        res.json({ success: true, acknowledgement });
+    } catch (error) {
+        console.error('Error recording acknowledgement:', error);
+        res.status(500).json({ error: 'Failed to record acknowledgement' });
+    }
+});
+
+/**
+ * GET /api/production/:id/acknowledgements
+ * List who has and hasn't confirmed receipt (ADs and producers only)
+ */
+router.get('/production/:id/acknowledgements', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const production = await dataSource.getProductionById(id);
+        const userInfo = getSessionUser(req, production);
+
+        if (!userInfo) {
+            return res.status(401).json({ error: 'Session expired or invalid' });
+        }
+        if (!redactionService.hasAudience(userInfo, 'ad') && !redactionService.hasAudience(userInfo, 'producer')) {
+            return res.status(403).json({ error: 'Only ADs and producers can view acknowledgements' });
+        }
+
+        res.json(await acknowledgementService.getReport(production));
+    } catch (error) {
+        console.error('Error listing acknowledgements:', error);
+        res.status(500).json({ error: 'Failed to list acknowledgements' });
+    }
+});
+
+/**
+ * GET /api/production/:id/compliance
+ * Labour compliance report across every shoot day: turnaround, meal break and day length
+ * breaches per person (ADs and producers only)
+ */
+router.get('/production/:id/compliance', async (req, res) => {
+    try {
+        const production = await dataSource.getProductionById(req.params.id);
+        const userInfo = getSessionUser(req, production);
+
+        if (!userInfo) {
+            return res.status(401).json({ error: 'Session expired or invalid' });
+        }
+        if (!redactionService.hasAudience(userInfo, 'ad') && !redactionService.hasAudience(userInfo, 'producer')) {
+            return res.status(403).json({ error: 'Only ADs and producers can view the compliance report' });
+        }
+
+        res.json(complianceService.buildReport(await dataSource.getProductionGroup(production.id)));
+    } catch (error) {
+        console.error('Error checking compliance:', error);
+        res.status(500).json({ error: 'Failed to check compliance' });
+    }
+});
+
+/**
+ * GET /api/production/:id/consistency
+ * Data mistakes within the day (call times, scene times, characters, locations, meals),
+ * for ADs and producers to fix before the call sheet goes out
+ */
+router.get('/production/:id/consistency', async (req, res) => {
+    try {
+        const production = await dataSource.getProductionById(req.params.id);
+        const userInfo = getSessionUser(req, production);
+
+        if (!userInfo) {
+            return res.status(401).json({ error: 'Session expired or invalid' });
+        }
+        if (!redactionService.hasAudience(userInfo, 'ad') && !redactionService.hasAudience(userInfo, 'producer')) {
+            return res.status(403).json({ error: 'Only ADs and producers can view consistency checks' });
+        }
+
+        res.json({ warnings: consistencyService.checkProduction(production) });
+    } catch (error) {
+        console.error('Error checking consistency:', error);
+        res.status(500).json({ error: 'Failed to check consistency' });
+    }
+});
+
+/**
+ * Resolve the Day Out of Days report of a request's production
+ * Responds 401 without a session, or 403 unless the viewer is an AD, producer or casting
+ * @returns {Promise<Object|null>} Report from dayOutOfDaysService.buildReport(), or null once responded
+ */
+async function getDayOutOfDaysForRequest(req, res) {
+    const production = await dataSource.getProductionById(req.params.id);
+    const userInfo = getSessionUser(req, production);
+
+    if (!userInfo) {
+        res.status(401).json({ error: 'Session expired or invalid' });
+        return null;
+    }
+    if (!['ad', 'producer', 'casting'].some(audience => redactionService.hasAudience(userInfo, audience))) {
+        res.status(403).json({ error: 'Only ADs, producers and casting can view the Day Out of Days' });
+        return null;
+    }
+
+    return dayOutOfDaysService.buildReport(await dataSource.getProductionGroup(production.id));
+}
+
+/**
+ * GET /api/production/:id/day-out-of-days
+ * Day Out of Days report: which shoot days each cast member works or is held, with totals
+ */
+router.get('/production/:id/day-out-of-days', async (req, res) => {
+    try {
+        const report = await getDayOutOfDaysForRequest(req, res);
+        if (!report) return;
+
+        res.json(report);
+    } catch (error) {
+        console.error('Error building Day Out of Days:', error);
+        res.status(500).json({ error: 'Failed to build Day Out of Days' });
+    }
+});
+
+/**
+ * GET /api/production/:id/day-out-of-days.csv
+ * Download the Day Out of Days report as CSV
+ */
+router.get('/production/:id/day-out-of-days.csv', async (req, res) => {
+    try {
+        const report = await getDayOutOfDaysForRequest(req, res);
+        if (!report) return;
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${dayOutOfDaysService.getFilename(report)}"`);
+        res.send(dayOutOfDaysService.toCsv(report));
+    } catch (error) {
+        console.error('Error exporting Day Out of Days:', error);
+        res.status(500).json({ error: 'Failed to export Day Out of Days' });
+    }
+});
+
+/**
+ * Get every shoot day of a production, each prepared for a person as they appear on that day's call sheet
+ * The person is found before the visibility policy is applied, since it may hide their own phone number
+ * @param {Function} getViewer - Resolves the person on a day, null if they're not called or their session doesn't cover it
+ * @returns {Promise<Array>} [{ production, person }], person null on days they're not called or can't see
+ */
+async function getDaysForPerson(id, getViewer) {
+    return (await dataSource.getProductionGroup(id)).map(day => {
+        const person = getViewer(day);
+        return { production: prepareForViewer(day, person), person };
+    });
+}
+
+/**
+ * GET /api/production/:id/schedule
+ * A person's calls across every shoot day of the production, with days they're not called flagged
+ */
+router.get('/production/:id/schedule', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const production = await dataSource.getProductionById(id);
+        const userInfo = getSessionUser(req, production);
+
+        if (!userInfo) {
+            return res.status(401).json({ error: 'Session expired or invalid' });
+        }
+
+        const days = await getDaysForPerson(id, day => getSessionUser(req, day));
+
+        res.json(scheduleService.buildSchedule(days, userInfo));
+    } catch (error) {
+        console.error('Error building schedule:', error);
+        res.status(500).json({ error: 'Failed to build schedule' });
+    }
+});
+
+/**
+ * GET /api/production/:id/calendar.ics
+ * Download a person's calls across every day of the production as an iCalendar file
+ * Authenticate with a session token, or a calendar feed token in ?token= for subscriptions
+ */
+router.get('/production/:id/calendar.ics', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const production = await dataSource.getProductionById(id);
+        const userInfo = getSessionUser(req, production, { feedScope: 'calendar' });
+
+        if (!userInfo) {
+            return res.status(401).json({ error: 'Session expired or invalid' });
+        }
+
+        const days = await getDaysForPerson(id, day => getSessionUser(req, day, { feedScope: 'calendar' }));
+
+        const calendar = calendarService.buildCalendar(days, userInfo.phone, {
+            appUrl: `${req.protocol}://${req.get('host')}`,
+        });
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${calendarService.getFilename(production)}"`);
+        res.setHeader('Cache-Control', 'private, no-cache');
+        res.send(calendar);
+    } catch (error) {
+        console.error('Error generating calendar:', error);
+        res.status(500).json({ error: 'Failed to generate calendar' });
+    }
+});
+
+/**
+ * POST /api/production/:id/calendar/feed
+ * Create a subscription URL for the calendar, carrying a long-lived calendar-only token
+ */
+router.post('/production/:id/calendar/feed', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const production = await dataSource.getProductionById(id);
+        const userInfo = getSessionUser(req, production);
+
+        if (!userInfo) {
+            return res.status(401).json({ error: 'Session expired or invalid' });
+        }
+
+        // The feed covers the same days as the session it's created from
+        const { token, expiresAt } = calendarService.issueFeedToken({
+            productionId: production.id,
+            phone: userInfo.phone,
+            group: getBaseTitle(production.title),
+            verified: getSession(req).verified,
+        });
+
+        res.json({
+            url: `${req.protocol}://${req.get('host')}/api/production/${encodeURIComponent(id)}/calendar.ics?token=${token}`,
+            expiresAt,
+        });
+    } catch (error) {
+        console.error('Error creating calendar feed:', error);
+        res.status(500).json({ error: 'Failed to create calendar feed' });
+    }
+});
+
+/**
+ * GET /api/production/:id/contacts
+ * List the departments whose contacts this viewer can export
+ * Follows the same rules as the crew and cast tables (see prepareForViewer)
+ */
+router.get('/production/:id/contacts', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const production = await dataSource.getProductionById(id);
+        const userInfo = getSessionUser(req, production);
+
+        if (!userInfo && isClosedSet(production)) {
+            return res.status(401).json({ error: 'Authentication required for closed sets' });
+        }
+
+        res.json({ departments: vcardService.getDepartments(prepareForViewer(production, userInfo)) });
+    } catch (error) {
+        console.error('Error listing contacts:', error);
+        res.status(500).json({ error: 'Failed to list contacts' });
+    }
+});
+
+/**
+ * GET /api/production/:id/contacts.vcf
+ * Download crew and cast as a multi-contact vCard file
+ * Query: department=<name> to export one department (e.g. Camera, Cast)
+ * Only people whose phone number the viewer can see on the call sheet are included
+ */
+router.get('/production/:id/contacts.vcf', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const department = typeof req.query.department === 'string' ? req.query.department : undefined;
+
+        const production = await dataSource.getProductionById(id);
+        const userInfo = getSessionUser(req, production);
+
+        if (!userInfo && isClosedSet(production)) {
+            return res.status(401).json({ error: 'Authentication required for closed sets' });
+        }
+
+        const { vcf, count } = vcardService.buildContacts(prepareForViewer(production, userInfo), { department });
+        if (count === 0) {
+            return res.status(404).json({ error: 'No contacts available to export' });
+        }
+
+        res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${vcardService.getFilename(production, department)}"`);
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.send(vcf);
+    } catch (error) {
+        console.error('Error exporting contacts:', error);
+        res.status(500).json({ error: 'Failed to export contacts' });
+    }
+});
+
+/**
+ * Check whether crew portal logins need a passcode
+ * A portal session opens every production the person is on, so it needs one
+ * whenever any production does (regardless of whether this person is on it)
+ */
+function isPortalOtpRequired(productions) {
+    return productions.some(production => otpService.isRequired(production));
+}
+
+/**
+ * Build the response for a successful crew portal login
+ */
+function buildPortalResponse(productions, phone, { verified = false } = {}) {
+    const { token, expiresAt } = sessionService.issueToken({
+        productionId: null,
+        phone: normalizePhone(phone),
+        scope: PORTAL_SCOPE,
+        verified,
+    });
+
+    return {
+        authenticated: true,
+        portal: portalService.buildPortal(productions, phone),
+        token,
+        expiresAt,
+    };
+}
+
+/**
+ * POST /api/portal/authenticate
+ * Log in to the crew portal with a phone number, across every production
+ */
+router.post('/portal/authenticate', limitAuthAttempts, async (req, res) => {
+    try {
+        const { phone } = req.body;
+
+        if (!phone) {
+            return res.status(400).json({
+                error: 'Phone number required',
+                authenticated: false
+            });
+        }
+
+        const { productions } = await dataSource.getProductions();
+        const userInfo = portalService.findPerson(productions, phone);
+        const otpRequired = isPortalOtpRequired(productions);
+
+        if (!userInfo) {
+            await recordFailedLogin(req, 'unknown_phone');
+
+            // Look the same as a real passcode challenge so numbers can't be tested
+            if (otpRequired) {
+                const sendLimit = await rateLimiter.reservePasscodeSend(req.ip, phone);
+                if (!sendLimit.allowed) return sendTooManyAttempts(res, sendLimit);
+
+                return res.json({
+                    authenticated: false,
+                    otpRequired: true,
+                    ...otpService.createDecoyChallenge({ scope: PORTAL_SCOPE, phone }),
+                });
+            }
+
+            return res.json({ authenticated: false, portal: null });
+        }
+
+        if (otpRequired) {
+            const sendLimit = await rateLimiter.reservePasscodeSend(req.ip, phone);
+            if (!sendLimit.allowed) return sendTooManyAttempts(res, sendLimit);
+
+            const challenge = await otpService.createChallenge({
+                scope: PORTAL_SCOPE,
+                phone: normalizePhone(userInfo.phone),
+                destination: userInfo.phone,
+                label: 'your productions',
+            });
+
+            return res.json({
+                authenticated: false,
+                otpRequired: true,
+                ...challenge,
+            });
+        }
+
+        await recordSuccessfulLogin(req);
+        res.json(buildPortalResponse(productions, userInfo.phone));
+    } catch (error) {
+        console.error('Error authenticating portal:', error);
+        res.status(500).json({ error: 'Failed to authenticate' });
+    }
+});
+
+/**
+ * POST /api/portal/verify
+ * Second crew portal login step when a passcode is required
+ */
+router.post('/portal/verify', limitAuthAttempts, async (req, res) => {
+    try {
+        const { challengeId, code } = req.body;
+
+        if (!challengeId || !code) {
+            return res.status(400).json({
+                error: 'Challenge ID and code required',
+                authenticated: false
+            });
+        }
+
+        const result = otpService.verifyChallenge(challengeId, code, PORTAL_SCOPE);
+        if (!result.ok) {
+            await recordFailedLogin(req, `otp_${result.reason}`);
+            return res.status(401).json({
+                error: result.reason === 'invalid' ? 'Incorrect code' : 'Code expired, please request a new one',
+                reason: result.reason,
+                authenticated: false
+            });
+        }
+
+        const { productions } = await dataSource.getProductions();
+
+        // The person may have been removed from every call sheet since the code was sent
+        if (!portalService.findPerson(productions, result.phone)) {
+            return res.status(401).json({
+                error: 'Phone number no longer on any call sheet',
+                authenticated: false
+            });
+        }
+
+        await recordSuccessfulLogin(req);
+        res.json(buildPortalResponse(productions, result.phone, { verified: true }));
+    } catch (error) {
+        console.error('Error verifying portal code:', error);
+        res.status(500).json({ error: 'Failed to verify code' });
+    }
+});
+
+/**
+ * GET /api/portal
+ * Every production and upcoming shoot day the portal session's phone number is on
+ */
+router.get('/portal', async (req, res) => {
+    try {
+        const session = sessionService.verifyToken(sessionService.getTokenFromRequest(req));
+        if (!session || session.scope !== PORTAL_SCOPE) {
+            return res.status(401).json({ error: 'Session expired or invalid' });
+        }
+
+        const { productions } = await dataSource.getProductions();
+        const portal = portalService.buildPortal(productions, session.phone);
+
+        if (!portal) {
+            return res.status(401).json({ error: 'Phone number no longer on any call sheet' });
+        }
+
+        res.json(portal);
+    } catch (error) {
+        console.error('Error building portal:', error);
+        res.status(500).json({ error: 'Failed to load your productions' });
+    }
+});
+
 /**
  * GET /api/health
  * Health check endpoint
  */
 router.get('/health', (req, res) => {
+    const enrichmentProvider = enrichmentService.getProvider();
     res.json({
         status: 'ok',
         timestamp: new Date().toISOString(),
+        dataSource: dataSource.getDataSource().name,
+        enrichmentProvider: enrichmentProvider.name,
+        enrichmentConfigured: enrichmentProvider.isConfigured(),
         geminiConfigured: !!process.env.GEMINI_API_KEY && process.env.GEMINI_API_KEY !== 'your_gemini_api_key_here'
     });
 });
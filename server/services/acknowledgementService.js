@@ -0,0 +1,159 @@
+/**
+ * Acknowledgement Service
+ * Records crew and cast confirming they've received a call sheet, and which revision they saw
+ *
+ * Acknowledgements are stored as one JSON file per production in ACKNOWLEDGEMENTS_DIR
+ * (default data/acknowledgements), and mirrored into a "Confirmed" column of the
+ * person's crew/cast row through the data source, so they're visible where the
+ * team already works. The column is bookkeeping: changing it never creates a revision.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const dataSource = require('./dataSource');
+const { ACKNOWLEDGEMENT_FIELD, normalizePhone } = require('./productionUtils');
+
+const ACKNOWLEDGEMENTS_DIR = path.resolve(
+    process.env.ACKNOWLEDGEMENTS_DIR || path.join(__dirname, '../../data/acknowledgements')
+);
+
+// Writes are serialised per production so concurrent confirmations don't overwrite each other
+const pendingWrites = new Map();
+
+/**
+ * Path of a production's acknowledgements file
+ */
+function getFilePath(productionId) {
+    const safeId = String(productionId).replace(/[^a-z0-9_-]/gi, '_');
+    return path.join(ACKNOWLEDGEMENTS_DIR, `${safeId}.json`);
+}
+
+/**
+ * Read a production's acknowledgements, keyed by normalized phone
+ */
+async function readAcknowledgements(productionId) {
+    try {
+        return JSON.parse(await fs.readFile(getFilePath(productionId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+    }
+}
+
+/**
+ * Write a production's acknowledgements (via a temp file, so readers never see half a file)
+ */
+async function writeAcknowledgements(productionId, acknowledgements) {
+    await fs.mkdir(ACKNOWLEDGEMENTS_DIR, { recursive: true });
+    const filePath = getFilePath(productionId);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(acknowledgements, null, 2));
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Format an acknowledgement for the crew/cast table, e.g. "2026-03-01 18:42 UTC (Revision 2)"
+ */
+function formatCell({ acknowledgedAt, revision }) {
+    const time = `${acknowledgedAt.slice(0, 16).replace('T', ' ')} UTC`;
+    return revision ? `${time} (Revision ${revision})` : time;
+}
+
+/**
+ * Get a person's acknowledgement of a production
+ * @returns {Promise<Object|null>} { acknowledgedAt, revision }
+ */
+async function getAcknowledgement(productionId, phone) {
+    const acknowledgements = await readAcknowledgements(productionId);
+    const entry = acknowledgements[normalizePhone(phone)];
+    return entry ? { acknowledgedAt: entry.acknowledgedAt, revision: entry.revision } : null;
+}
+
+/**
+ * Record that a person has received a production's call sheet
+ * @param {Object} production - Production, with its current `revision`
+ * @param {Object} userInfo - The person, from findUserByPhone()
+ * @param {number} revision - Revision number the person was shown
+ * @returns {Promise<Object>} { acknowledgedAt, revision, writtenBack }
+ */
+function acknowledge(production, userInfo, revision) {
+    const previous = pendingWrites.get(production.id) || Promise.resolve();
+
+    const task = previous.catch(() => {}).then(async () => {
+        const acknowledgement = {
+            name: userInfo.name,
+            type: userInfo.type,
+            acknowledgedAt: new Date().toISOString(),
+            revision: revision || production.revision?.number || null,
+        };
+
+        const acknowledgements = await readAcknowledgements(production.id);
+        acknowledgements[normalizePhone(userInfo.phone)] = acknowledgement;
+        await writeAcknowledgements(production.id, acknowledgements);
+
+        // Mirror into the call sheet itself; the file store stays the source of truth if this fails
+        let writtenBack = false;
+        try {
+            writtenBack = await dataSource.updatePersonField(
+                production, userInfo.type, userInfo.phone, ACKNOWLEDGEMENT_FIELD, formatCell(acknowledgement)
+            );
+        } catch (error) {
+            console.error('Failed to write acknowledgement back to data source:', error.message);
+        }
+
+        return { acknowledgedAt: acknowledgement.acknowledgedAt, revision: acknowledgement.revision, writtenBack };
+    });
+
+    pendingWrites.set(production.id, task);
+    task.finally(() => {
+        if (pendingWrites.get(production.id) === task) {
+            pendingWrites.delete(production.id);
+        }
+    }).catch(() => {});
+
+    return task;
+}
+
+/**
+ * Report who has and hasn't confirmed receipt of a production's call sheet
+ * People who confirmed an earlier revision are reported as "outdated"
+ * @returns {Promise<Object>} { revision, summary: { confirmed, outdated, pending }, people }
+ */
+async function getReport(production) {
+    const acknowledgements = await readAcknowledgements(production.id);
+    const currentRevision = production.revision?.number || null;
+
+    const people = [
+        ...(production.crew || []).map(row => ({ row, type: 'crew' })),
+        ...(production.cast || []).map(row => ({ row, type: 'cast' })),
+    ].map(({ row, type }) => {
+        const entry = acknowledgements[normalizePhone(row.Phone)];
+
+        let status = 'pending';
+        if (entry) {
+            status = currentRevision && entry.revision && entry.revision < currentRevision ? 'outdated' : 'confirmed';
+        }
+
+        return {
+            name: row.Name,
+            type,
+            role: type === 'cast' ? row.Character : row.Role,
+            status,
+            acknowledgedAt: entry?.acknowledgedAt || null,
+            revision: entry?.revision || null,
+        };
+    });
+
+    const summary = { confirmed: 0, outdated: 0, pending: 0 };
+    for (const person of people) {
+        summary[person.status]++;
+    }
+
+    return { revision: production.revision || null, summary, people };
+}
+
+module.exports = {
+    getAcknowledgement,
+    acknowledge,
+    getReport,
+};
@@ -0,0 +1,47 @@
+/**
+ * Advance Service
+ * Summarises the next shoot day as an "advance schedule" for the bottom of a call sheet
+ *
+ * The advance only carries what crew need to prep: the next day's crew call,
+ * locations and scenes. Pass the next day already prepared for the viewer, so
+ * closed-set and visibility rules apply to it just as on its own call sheet.
+ */
+
+/**
+ * Build the advance schedule from the next shoot day
+ * @param {Object} day - The next day, prepared for the viewer
+ * @returns {Object} { id, shootDay, date, restricted, crewCall, locations, scenes }
+ */
+function buildAdvance(day) {
+    const props = day.properties || {};
+    const advance = {
+        id: day.id,
+        shootDay: props.shoot_day_ || 1,
+        date: props.date_of_shoot || null,
+        // Closed-set days the viewer can't see only show when they are
+        restricted: day.restricted === true,
+    };
+    if (advance.restricted) return advance;
+
+    return {
+        ...advance,
+        crewCall: props.crew_call_time || null,
+        locations: (day.locations || [])
+            .map(loc => ({
+                name: loc.data?.['Script Location'] || null,
+                address: loc.data?.['Location Address'] || null,
+            }))
+            .filter(loc => loc.name || loc.address),
+        scenes: (day.scenes || []).map(scene => ({
+            number: scene['Scene Number'] || null,
+            intExt: scene['Int/Ext'] || null,
+            location: scene['Script Location'] || null,
+            description: scene['Scene Description'] || null,
+            characters: scene.Characters || null,
+        })),
+    };
+}
+
+module.exports = {
+    buildAdvance,
+};
@@ -0,0 +1,195 @@
+/**
+ * Calendar Service
+ * Builds iCalendar (RFC 5545) feeds of one person's shoot days
+ *
+ * Events use floating local times (no time zone), so a 7:00 AM call shows as
+ * 7:00 AM on the phone regardless of its time zone setting. Each event's UID is
+ * stable per shoot day and person, so subscribed calendars update events in
+ * place when the call sheet changes.
+ */
+
+const crypto = require('crypto');
+const sessionService = require('./sessionService');
+const { normalizePhone, getBaseTitle, getScenesFor } = require('./productionUtils');
+const { parseTime, parseDate, formatTime } = require('./timeUtils');
+const { escapeText, foldLine } = require('./contentLineUtils');
+
+const CALENDAR_FEED_TTL_DAYS = parseFloat(process.env.CALENDAR_FEED_TTL_DAYS || '180');
+
+// Event length when the call sheet has no usable estimated wrap
+const DEFAULT_EVENT_HOURS = 10;
+
+const MEALS = [
+    ['time_of_breakfast', 'Breakfast'],
+    ['time_of_lunch', 'Lunch'],
+    ['time_of_dinner', 'Dinner'],
+];
+
+/**
+ * Issue a long-lived token for a calendar subscription URL
+ * The "calendar" scope only unlocks the .ics feed, not the call sheet itself
+ * @param {Object} options - { productionId, phone, group, verified }, as on the session it's issued from
+ * @returns {Object} { token, expiresAt }
+ */
+function issueFeedToken({ productionId, phone, group, verified }) {
+    return sessionService.issueToken({
+        productionId,
+        phone: normalizePhone(phone),
+        group,
+        verified,
+        scope: 'calendar',
+        ttlHours: CALENDAR_FEED_TTL_DAYS * 24,
+    });
+}
+
+/**
+ * Format a date plus minutes after midnight as a floating DATE-TIME (minutes may pass midnight)
+ */
+function formatDateTime(date, minutes) {
+    const value = new Date(Date.UTC(date.year, date.month - 1, date.day, 0, minutes));
+    return value.toISOString().replace(/[-:]/g, '').slice(0, 15);
+}
+
+/**
+ * Format a date as a DATE value
+ */
+function formatDate(date, offsetDays = 0) {
+    const value = new Date(Date.UTC(date.year, date.month - 1, date.day + offsetDays));
+    return value.toISOString().replace(/-/g, '').slice(0, 8);
+}
+
+/**
+ * Build the description text for a day's event
+ */
+function buildDescription(production, userInfo) {
+    const props = production.properties || {};
+    const lines = [];
+
+    lines.push(`${userInfo.type === 'cast' ? 'Character' : 'Role'}: ${userInfo.character || userInfo.role || ''}`);
+    if (userInfo.callTime) lines.push(`Your call: ${userInfo.callTime}`);
+    if (props.crew_call_time) lines.push(`Crew call: ${props.crew_call_time}`);
+    if (props.cast_call_time) lines.push(`Cast call: ${props.cast_call_time}`);
+
+    for (const [key, label] of MEALS) {
+        if (props[key]) lines.push(`${label}: ${props[key]}`);
+    }
+    if (props.estimated_wrap) lines.push(`Estimated wrap: ${props.estimated_wrap}`);
+
+    const locations = (production.locations || []).filter(loc => loc.data?.['Location Address']);
+    if (locations.length > 0) {
+        lines.push('', 'Locations:');
+        for (const loc of locations) {
+            const name = loc.data['Script Location'];
+            lines.push(`- ${name ? `${name}: ` : ''}${loc.data['Location Address']}`);
+            if (loc.data['Unit Base Address']) lines.push(`  Unit base: ${loc.data['Unit Base Address']}`);
+        }
+    }
+
+    const scenes = getScenesFor(production, userInfo);
+    if (scenes.length > 0) {
+        lines.push('', userInfo.type === 'cast' ? 'Your scenes:' : 'Scenes:');
+        for (const scene of scenes) {
+            const details = [scene['Int/Ext'], scene['Script Location']].filter(Boolean).join(', ');
+            const time = scene['On-Set Time'] ? ` (on set ${scene['On-Set Time']})` : '';
+            lines.push(`- Sc ${scene['Scene Number'] || '?'}${details ? ` [${details}]` : ''}${time}: ${scene['Scene Description'] || ''}`.trim());
+        }
+    }
+
+    if (props.notes) lines.push('', `Notes: ${props.notes}`);
+
+    return lines.join('\n');
+}
+
+/**
+ * Build the VEVENT lines for one shoot day, or null if the person isn't called that day
+ * @param {Object} production - The day, prepared for the person
+ * @param {Object|null} userInfo - The person on that day, from findUserByPhone()
+ */
+function buildEvent(production, userInfo, phone, { stamp, appUrl }) {
+    const date = parseDate(production.properties?.date_of_shoot);
+    if (!userInfo || !date) return null;
+
+    const props = production.properties;
+    const dayNum = props.shoot_day_ || 1;
+    const start = parseTime(userInfo.callTime)
+        ?? parseTime(userInfo.type === 'cast' ? props.cast_call_time : props.crew_call_time);
+
+    const personId = crypto.createHash('sha256').update(normalizePhone(phone)).digest('hex').slice(0, 16);
+    const address = production.locations?.find(loc => loc.data?.['Location Address'])?.data['Location Address'];
+
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${production.id}-${personId}@callsheetcraft`,
+        `DTSTAMP:${stamp}`,
+    ];
+
+    if (start === null) {
+        // No usable call time: show the day as an all-day event
+        lines.push(`DTSTART;VALUE=DATE:${formatDate(date)}`, `DTEND;VALUE=DATE:${formatDate(date, 1)}`);
+    } else {
+        let end = parseTime(props.estimated_wrap);
+        if (end === null) {
+            end = start + DEFAULT_EVENT_HOURS * 60;
+        } else if (end <= start) {
+            end += 24 * 60; // Wraps after midnight
+        }
+        lines.push(`DTSTART:${formatDateTime(date, start)}`, `DTEND:${formatDateTime(date, end)}`);
+    }
+
+    const summary = `${getBaseTitle(production.title)} - Day ${dayNum}${start !== null ? ` (call ${formatTime(start)})` : ''}`;
+    lines.push(`SUMMARY:${escapeText(summary)}`);
+    if (address) lines.push(`LOCATION:${escapeText(address)}`);
+    lines.push(`DESCRIPTION:${escapeText(buildDescription(production, userInfo))}`);
+    if (appUrl) lines.push(`URL:${appUrl}/#/production/${production.id}`);
+    lines.push('END:VEVENT');
+
+    return lines;
+}
+
+/**
+ * Build an iCalendar feed of a person's calls across the days of a production
+ * @param {Array} days - One per shoot day, as [{ production, person }]: the day already prepared
+ *   for this viewer, and the person found on that day by findUserByPhone() (null if not called)
+ * @param {string} phone - The person's phone number
+ * @param {Object} options - { appUrl } base URL of the app, linked from each event
+ * @returns {string} iCalendar text
+ */
+function buildCalendar(days, phone, { appUrl } = {}) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const person = days.map(day => day.person).find(Boolean);
+    const title = getBaseTitle(days[0]?.production.title || 'Call Sheets');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//CallSheetCraft//Call Sheets//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(person ? `${title} - ${person.name}` : title)}`,
+        // Ask subscribed calendars to check for revisions hourly
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+    ];
+
+    for (const { production, person: userInfo } of days) {
+        const event = buildEvent(production, userInfo, phone, { stamp, appUrl });
+        if (event) lines.push(...event);
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * Build a filename for a production's calendar export
+ */
+function getFilename(production) {
+    const name = getBaseTitle(production.title).replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '');
+    return `${name || 'CallSheet'}.ics`;
+}
+
+module.exports = {
+    issueFeedToken,
+    buildCalendar,
+    getFilename,
+};
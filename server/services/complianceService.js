@@ -0,0 +1,254 @@
+/**
+ * Compliance Service
+ * Checks each person's shoot days against labour limits: turnaround, meal breaks and day length
+ *
+ * A person's day runs from their call (their Call Time, or the crew/cast call) to
+ * the estimated wrap. Rules:
+ *   turnaround - hours between one day's wrap and the person's next call
+ *   meal       - hours from call to the first meal (or to wrap, with no meal)
+ *   workday    - hours from call to wrap
+ * Times that can't be read are skipped and listed as unchecked, never guessed.
+ *
+ * Configure limits with COMPLIANCE_MIN_TURNAROUND_HOURS (default 10),
+ * COMPLIANCE_MAX_HOURS_TO_MEAL (default 6) and COMPLIANCE_MAX_WORKDAY_HOURS (default 12).
+ */
+
+const { normalizePhone, getBaseTitle } = require('./productionUtils');
+const { resolveShift, formatTime } = require('./timeUtils');
+
+const LIMITS = {
+    minTurnaroundHours: parseFloat(process.env.COMPLIANCE_MIN_TURNAROUND_HOURS || '10'),
+    maxHoursToMeal: parseFloat(process.env.COMPLIANCE_MAX_HOURS_TO_MEAL || '6'),
+    maxWorkdayHours: parseFloat(process.env.COMPLIANCE_MAX_WORKDAY_HOURS || '12'),
+};
+
+const MEAL_FIELDS = ['time_of_breakfast', 'time_of_lunch', 'time_of_dinner'];
+
+/**
+ * Key for matching a person across days: their phone, or their name without one
+ */
+function getPersonKey(row) {
+    const phone = normalizePhone(row.Phone);
+    return phone ? `phone:${phone}` : `name:${(row.Name || '').trim().toLowerCase()}`;
+}
+
+/**
+ * Format a number of hours for messages ("10.5")
+ */
+function formatHours(hours) {
+    return String(Math.round(hours * 10) / 10);
+}
+
+/**
+ * Work out one person's shift on a day
+ * @returns {Object} { day, start, wrap, firstMeal, callText } in minutes (null where unreadable)
+ */
+function buildShift(production, row, type) {
+    const props = production.properties || {};
+    const callText = row['Call Time']
+        || (type === 'cast' ? props.cast_call_time || props.crew_call_time : props.crew_call_time);
+
+    const meals = Object.fromEntries(MEAL_FIELDS.map(field => [field, props[field]]));
+    const shift = resolveShift(props.date_of_shoot, { start: callText, wrap: props.estimated_wrap, ...meals });
+
+    const day = {
+        id: production.id,
+        shootDay: props.shoot_day_ || 1,
+        date: props.date_of_shoot || null,
+    };
+    if (!shift) return { day, start: null, wrap: null, firstMeal: null, callText };
+
+    // Only meals served during the shift count (breakfast before call doesn't)
+    const mealTimes = MEAL_FIELDS
+        .map(field => shift[field])
+        .filter(time => time !== null && shift.wrap !== null && time >= shift.start && time <= shift.wrap);
+
+    return {
+        day,
+        start: shift.start,
+        wrap: shift.wrap,
+        firstMeal: mealTimes.length > 0 ? Math.min(...mealTimes) : null,
+        callText,
+    };
+}
+
+/**
+ * Gather every person's shifts across the days, in order of first appearance
+ * @returns {Array} [{ key, name, type, role, shifts }]
+ */
+function collectPeople(days) {
+    const people = new Map();
+
+    for (const production of days) {
+        const rows = [
+            ...(production.crew || []).map(row => [row, 'crew']),
+            ...(production.cast || []).map(row => [row, 'cast']),
+        ];
+
+        for (const [row, type] of rows) {
+            if (!row.Name && !row.Phone) continue;
+
+            const key = getPersonKey(row);
+            if (!people.has(key)) {
+                people.set(key, {
+                    key,
+                    name: row.Name || '',
+                    type,
+                    role: (type === 'cast' ? row.Character : row.Role) || '',
+                    shifts: [],
+                });
+            }
+            people.get(key).shifts.push(buildShift(production, row, type));
+        }
+    }
+
+    return [...people.values()];
+}
+
+/**
+ * Check one shift's meal break and length
+ */
+function checkShift(shift, limits) {
+    const violations = [];
+    const workedHours = (shift.wrap - shift.start) / 60;
+
+    if (workedHours > limits.maxWorkdayHours) {
+        violations.push({
+            rule: 'workday',
+            hours: workedHours,
+            limit: limits.maxWorkdayHours,
+            message: `${formatHours(workedHours)} hour day from a ${formatTime(shift.start)} call (limit ${limits.maxWorkdayHours})`,
+        });
+    }
+
+    const hoursToMeal = ((shift.firstMeal ?? shift.wrap) - shift.start) / 60;
+    if (hoursToMeal > limits.maxHoursToMeal) {
+        violations.push({
+            rule: 'meal',
+            hours: hoursToMeal,
+            limit: limits.maxHoursToMeal,
+            message: shift.firstMeal === null
+                ? `No meal in a ${formatHours(workedHours)} hour day (first meal due within ${limits.maxHoursToMeal} hours of call)`
+                : `First meal ${formatHours(hoursToMeal)} hours after a ${formatTime(shift.start)} call (limit ${limits.maxHoursToMeal})`,
+        });
+    }
+
+    return violations;
+}
+
+/**
+ * Check the turnaround between two consecutive shifts of a person
+ */
+function checkTurnaround(previous, shift, limits) {
+    const restHours = (shift.start - previous.wrap) / 60;
+    if (restHours >= limits.minTurnaroundHours) return null;
+
+    return {
+        rule: 'turnaround',
+        hours: restHours,
+        limit: limits.minTurnaroundHours,
+        message: `${formatHours(restHours)} hours between Day ${previous.day.shootDay} wrap and this call (minimum ${limits.minTurnaroundHours})`,
+    };
+}
+
+/**
+ * Check every person's shifts against the limits
+ * @returns {Object} { people: [{ key, name, type, role, violations }], unchecked, checked }
+ */
+function checkPeople(days, limits) {
+    const people = [];
+    const unchecked = [];
+    let checked = 0;
+
+    for (const person of collectPeople(days)) {
+        const violations = [];
+        let previous = null;
+
+        for (const shift of person.shifts) {
+            if (shift.start === null || shift.wrap === null) {
+                unchecked.push({
+                    name: person.name,
+                    ...shift.day,
+                    reason: shift.start === null ? `Unreadable date or call time "${shift.callText || ''}"` : 'Unreadable estimated wrap',
+                });
+                // A turnaround can't be measured across a day we can't read
+                previous = null;
+                continue;
+            }
+
+            checked++;
+            const found = checkShift(shift, limits);
+            const turnaround = previous ? checkTurnaround(previous, shift, limits) : null;
+            if (turnaround) found.unshift(turnaround);
+
+            violations.push(...found.map(violation => ({ ...shift.day, ...violation })));
+            previous = shift;
+        }
+
+        if (violations.length > 0) {
+            const { shifts, ...details } = person;
+            people.push({ ...details, violations });
+        }
+    }
+
+    return { people, unchecked, checked };
+}
+
+/**
+ * Check every person across a production's shoot days
+ * @param {Array} days - Every shoot day of the production, sorted by shoot day
+ * @param {Object} limits - Overrides for the configured limits
+ * @returns {Object} { title, limits, people: [{ name, type, role, violations }], unchecked, summary }
+ */
+function buildReport(days, limits = {}) {
+    const activeLimits = { ...LIMITS, ...limits };
+    const { people, unchecked, checked } = checkPeople(days, activeLimits);
+
+    return {
+        title: getBaseTitle(days[0]?.title),
+        limits: activeLimits,
+        // Match keys carry phone numbers, which the visibility policy may hide
+        people: people.map(({ key, ...person }) => person),
+        unchecked,
+        summary: {
+            checked,
+            violations: people.reduce((sum, person) => sum + person.violations.length, 0),
+            people: people.length,
+        },
+    };
+}
+
+/**
+ * Get a day's warnings for its call sheet, with identical warnings for several people combined
+ * @param {Array} days - Shoot days of the production, sorted by shoot day; the day and the one
+ *   before it are enough, since turnaround only looks back one shift
+ * @param {string} id - The shoot day's production ID
+ * @param {Object} options - { phone } to only include that person's warnings, { limits } overrides
+ * @returns {Array} [{ rule, message, people: [names] }]
+ */
+function getDayWarnings(days, id, { phone = null, limits = {} } = {}) {
+    const personKey = phone ? `phone:${normalizePhone(phone)}` : null;
+    const { people } = checkPeople(days, { ...LIMITS, ...limits });
+    const warnings = new Map();
+
+    for (const person of people) {
+        if (personKey && person.key !== personKey) continue;
+
+        for (const violation of person.violations) {
+            if (violation.id !== id) continue;
+
+            const key = `${violation.rule}|${violation.message}`;
+            if (!warnings.has(key)) {
+                warnings.set(key, { rule: violation.rule, message: violation.message, people: [] });
+            }
+            warnings.get(key).people.push(person.name);
+        }
+    }
+
+    return [...warnings.values()];
+}
+
+module.exports = {
+    buildReport,
+    getDayWarnings,
+};
@@ -0,0 +1,180 @@
+/**
+ * Consistency Service
+ * Checks a production for data mistakes within the day, before the call sheet goes out
+ *
+ * Each warning is structured so it can be listed, filtered or linked:
+ *   { code, section, message, scene?, person?, field? }
+ * Codes:
+ *   call_after_makeup    - a cast member's call is after their scene's Makeup & Wardrobe Time
+ *   on_set_before_makeup - a scene's On-Set Time is before its Makeup & Wardrobe Time
+ *   unknown_character    - a scene names a character missing from the cast table
+ *   unknown_location     - a scene's Script Location matches no location card
+ *   meal_outside_day     - a meal time falls outside crew call to estimated wrap
+ * Times are read relative to the day's crew call, so a day that runs past midnight
+ * compares correctly: times up to EARLY_START_HOURS before crew call (early cast calls,
+ * makeup) are read as that morning, and earlier ones as after midnight.
+ * Times that can't be read are skipped rather than flagged.
+ */
+
+const { resolveDayTimes } = require('./timeUtils');
+
+// How long before crew call a time is still read as that morning rather than after midnight
+const EARLY_START_HOURS = 6;
+
+const MEALS = [
+    ['time_of_breakfast', 'Breakfast'],
+    ['time_of_lunch', 'Lunch'],
+    ['time_of_dinner', 'Dinner'],
+];
+
+/**
+ * Key for matching names across tables
+ */
+function toKey(value) {
+    return (value || '').trim().toLowerCase();
+}
+
+/**
+ * Characters named in a scene
+ */
+function getSceneCharacters(scene) {
+    return (scene.Characters || '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+/**
+ * Label for a scene in messages ("Scene 4", or its description without a number)
+ */
+function describeScene(scene) {
+    return scene['Scene Number'] ? `Scene ${scene['Scene Number']}` : `"${scene['Scene Description'] || 'Unnumbered scene'}"`;
+}
+
+/**
+ * Read times relative to the day's start (crew call, or cast call without one)
+ * @returns {Object|null} From resolveDayTimes(), or null if the day has no readable call
+ */
+function resolveTimes(props, times) {
+    return resolveDayTimes(
+        { start: props.crew_call_time || props.cast_call_time, ...times },
+        { leadMinutes: EARLY_START_HOURS * 60 }
+    );
+}
+
+/**
+ * Check scene times against each other and the cast's calls
+ */
+function checkSceneTimes(production, castByCharacter) {
+    const props = production.properties || {};
+    const warnings = [];
+
+    for (const scene of production.scenes || []) {
+        const makeupText = scene['Makeup & Wardrobe Time'];
+        const sceneTimes = resolveTimes(props, { makeup: makeupText, onSet: scene['On-Set Time'] });
+        if (!sceneTimes || sceneTimes.makeup === null) continue;
+
+        if (sceneTimes.onSet !== null && sceneTimes.onSet < sceneTimes.makeup) {
+            warnings.push({
+                code: 'on_set_before_makeup',
+                section: 'scenes',
+                scene: scene['Scene Number'] || null,
+                field: 'On-Set Time',
+                message: `${describeScene(scene)} is on set at ${scene['On-Set Time']}, before Makeup & Wardrobe at ${makeupText}`,
+            });
+        }
+
+        for (const character of getSceneCharacters(scene)) {
+            const member = castByCharacter.get(toKey(character));
+            if (!member) continue;
+
+            const callText = member['Call Time'] || props.cast_call_time;
+            const callTimes = resolveTimes(props, { call: callText, makeup: makeupText });
+            if (!callTimes || callTimes.call === null || callTimes.call <= callTimes.makeup) continue;
+
+            warnings.push({
+                code: 'call_after_makeup',
+                section: 'cast',
+                scene: scene['Scene Number'] || null,
+                person: member.Name || character,
+                field: 'Call Time',
+                message: `${member.Name || character} (${character}) is called at ${callText}, after Makeup & Wardrobe for ${describeScene(scene)} at ${makeupText}`,
+            });
+        }
+    }
+
+    return warnings;
+}
+
+/**
+ * Check that scenes only name characters and locations the call sheet has
+ */
+function checkSceneReferences(production, castByCharacter) {
+    const locationNames = new Set((production.locations || []).map(loc => toKey(loc.data?.['Script Location'])));
+    const warnings = [];
+
+    for (const scene of production.scenes || []) {
+        for (const character of getSceneCharacters(scene)) {
+            if (castByCharacter.has(toKey(character))) continue;
+            warnings.push({
+                code: 'unknown_character',
+                section: 'scenes',
+                scene: scene['Scene Number'] || null,
+                field: 'Characters',
+                message: `${describeScene(scene)} names ${character}, who isn't in the cast table`,
+            });
+        }
+
+        const location = (scene['Script Location'] || '').trim();
+        if (location && !locationNames.has(toKey(location))) {
+            warnings.push({
+                code: 'unknown_location',
+                section: 'scenes',
+                scene: scene['Scene Number'] || null,
+                field: 'Script Location',
+                message: `${describeScene(scene)} is at ${location}, which matches no location`,
+            });
+        }
+    }
+
+    return warnings;
+}
+
+/**
+ * Check that meals fall between crew call and estimated wrap
+ */
+function checkMeals(production) {
+    const props = production.properties || {};
+    const meals = Object.fromEntries(MEALS.map(([field]) => [field, props[field]]));
+    const times = resolveTimes(props, { wrap: props.estimated_wrap, ...meals });
+    if (!times || times.wrap === null) return [];
+
+    return MEALS
+        .filter(([field]) => times[field] !== null && (times[field] < times.start || times[field] > times.wrap))
+        .map(([field, label]) => ({
+            code: 'meal_outside_day',
+            section: 'properties',
+            field,
+            message: `${label} at ${props[field]} is outside crew call to wrap (${props.crew_call_time || props.cast_call_time} – ${props.estimated_wrap})`,
+        }));
+}
+
+/**
+ * Check a production for data mistakes within the day
+ * Pass the production as stored (not prepared for a viewer), so hidden fields are still checked
+ * @returns {Array} Warnings: [{ code, section, message, scene?, person?, field? }]
+ */
+function checkProduction(production) {
+    const castByCharacter = new Map();
+    for (const member of production.cast || []) {
+        const key = toKey(member.Character);
+        if (key && !castByCharacter.has(key)) castByCharacter.set(key, member);
+    }
+
+    return [
+        ...checkSceneTimes(production, castByCharacter),
+        ...checkSceneReferences(production, castByCharacter),
+        ...checkMeals(production),
+    ];
+}
+
+module.exports = {
+    checkProduction,
+};
@@ -0,0 +1,48 @@
+/**
+ * Content Line Utilities
+ * Text escaping and line folding shared by iCalendar (RFC 5545) and vCard (RFC 6350) files
+ */
+
+// Longest content line, in octets, before it's folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, without splitting multi-byte characters
+ */
+function foldLine(line) {
+    if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+        const length = Buffer.byteLength(char);
+        if (size + length > MAX_LINE_OCTETS) {
+            parts.push(current);
+            current = '';
+            size = 1; // Continuation lines start with a space
+        }
+        current += char;
+        size += length;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+module.exports = {
+    escapeText,
+    foldLine,
+};
@@ -1,11 +1,31 @@
 /**
  * Craft API Service
  * Handles all interactions with the Craft Multi-Document API
+ * Implements the data source interface (see dataSource.js)
  */
 
+const { normalizePhone, splitLocationFields, groupProductions } = require('./productionUtils');
+
 const CRAFT_API_BASE = process.env.CRAFT_API_BASE || 'https://connect.craft.do/links/Hw5oNoYJQoE/api/v1';
 const CRAFT_API_KEY = process.env.CRAFT_API_KEY;
 
+// How long parsed productions are served from memory before Craft is asked again (0 disables)
+const CACHE_TTL_MS = parseInt(process.env.CRAFT_CACHE_TTL_MS || '60000', 10);
+
+// In-process cache of collection reads
+// Productions are stored parsed and handed out as clones, so callers can mutate freely
+const cache = {
+    collectionId: null,
+    productions: null,      // { value: { productions, grouped }, expiresAt }
+    list: null,             // { value: grouped, expiresAt } from a read without content
+    items: new Map(),       // production id -> { value: production, expiresAt }
+    pendingProductions: null,
+};
+
+// Set when Craft can't serve single items, so we stop trying for a while
+let directLookupPausedUntil = 0;
+const DIRECT_LOOKUP_RETRY_MS = 10 * 60 * 1000;
+
 /**
  * Get authorization headers for Craft API requests
  */
@@ -34,9 +54,10 @@ async function listCollections() {
 
 /**
  * Fetch all items from a specific collection
+ * @param {Object} options - { maxDepth } of content blocks to include (-1 for all, 0 for none)
  */
-async function getCollectionItems(collectionId) {
-    const response = await fetch(`${CRAFT_API_BASE}/collections/${collectionId}/items?maxDepth=-1`, {
+async function getCollectionItems(collectionId, { maxDepth = -1 } = {}) {
+    const response = await fetch(`${CRAFT_API_BASE}/collections/${collectionId}/items?maxDepth=${maxDepth}`, {
         headers: getAuthHeaders(),
     });
     if (!response.ok) {
@@ -45,6 +66,32 @@ async function getCollectionItems(collectionId) {
     return response.json();
 }
 
+/**
+ * Fetch a single item from a collection
+ * Returns null (instead of throwing) when Craft can't serve the item directly,
+ * e.g. an API version without item routes (404 or 405) or an empty result,
+ * so callers can fall back to a full collection read. Other errors, such as
+ * rate limiting (429), still throw.
+ */
+async function getCollectionItem(collectionId, itemId) {
+    const response = await fetch(
+        `${CRAFT_API_BASE}/collections/${collectionId}/items/${encodeURIComponent(itemId)}?maxDepth=-1`,
+        { headers: getAuthHeaders() }
+    );
+    if (response.status === 404 || response.status === 405) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`Failed to fetch collection item: ${response.statusText}`);
+    }
+    const body = await response.json();
+    // Some API versions wrap single items the same way as lists
+    if (Array.isArray(body?.items)) {
+        return body.items[0] || null;
+    }
+    return body || null;
+}
+
 /**
  * Fetch a specific block by ID
  */
@@ -70,9 +117,53 @@ async function updateBlocks(blocks) {
     if (!response.ok) {
         throw new Error(`Failed to update blocks: ${response.statusText}`);
     }
+
+    // Cached productions may now be stale
+    invalidateCache();
+
     return response.json();
 }
 
+/**
+ * Check whether a cache entry exists and hasn't expired
+ */
+function isFresh(entry) {
+    return !!entry && entry.expiresAt > Date.now();
+}
+
+/**
+ * Drop cached productions so the next read goes to Craft
+ * The collection ID and production list (titles and properties, which write-backs
+ * don't change) are kept unless `all` is set
+ */
+function invalidateCache({ all = false } = {}) {
+    cache.productions = null;
+    cache.items.clear();
+    if (all) {
+        cache.collectionId = null;
+        cache.list = null;
+    }
+}
+
+/**
+ * Get the ID of the CallSheetAPI collection (cached for the life of the process)
+ */
+async function getCallSheetCollectionId() {
+    if (cache.collectionId) return cache.collectionId;
+
+    const collections = await listCollections();
+    const callSheetCollection = collections.items?.find(c =>
+        c.name === 'CallSheetAPI' || c.name?.includes('CallSheet')
+    );
+
+    if (!callSheetCollection) {
+        throw new Error('CallSheetAPI collection not found');
+    }
+
+    cache.collectionId = callSheetCollection.id;
+    return cache.collectionId;
+}
+
 /**
  * Parse a Craft table into a key-value object
  * Handles 2-column tables (key-value pairs)
@@ -136,6 +227,8 @@ function parseProduction(item) {
         cast: [],
         locations: [],
         scenes: [],
+        // Block IDs of the crew/cast/scenes tables, for writing back to them
+        tableIds: {},
     };
 
     if (!item.content) return production;
@@ -168,24 +261,16 @@ function parseProduction(item) {
 
         // Parse tables based on current section
         if (block.type === 'table') {
-            if (currentSection === 'crew') {
-                production.crew = parseDataTable(block);
-            } else if (currentSection === 'cast') {
-                production.cast = parseDataTable(block);
-            } else if (currentSection === 'scenes') {
-                production.scenes = parseDataTable(block);
+            if (['crew', 'cast', 'scenes'].includes(currentSection)) {
+                production[currentSection] = parseDataTable(block);
+                production.tableIds[currentSection] = block.id;
             } else if (currentSection === 'locations' && currentLocation) {
                 currentLocation.tableId = block.id;
-                const locationData = parseKeyValueTable(block);
 
                 // Separate GEM fields from regular location data
-                for (const [key, value] of Object.entries(locationData)) {
-                    if (key.startsWith('GEM')) {
-                        currentLocation.gemData[key] = value;
-                    } else {
-                        currentLocation.data[key] = value;
-                    }
-                }
+                const { data, gemData } = splitLocationFields(parseKeyValueTable(block));
+                Object.assign(currentLocation.data, data);
+                Object.assign(currentLocation.gemData, gemData);
             }
         }
     }
@@ -194,97 +279,262 @@ function parseProduction(item) {
 }
 
 /**
- * Get all productions grouped by title
+ * Fetch and parse every item in the CallSheetAPI collection, refreshing the cache
  */
-async function getProductions() {
-    // Get the CallSheetAPI collection
-    const collections = await listCollections();
-    const callSheetCollection = collections.items?.find(c =>
-        c.name === 'CallSheetAPI' || c.name?.includes('CallSheet')
-    );
-
-    if (!callSheetCollection) {
-        throw new Error('CallSheetAPI collection not found');
-    }
+async function loadProductions() {
+    const collectionId = await getCallSheetCollectionId();
 
     // Get all items in the collection
-    const itemsResponse = await getCollectionItems(callSheetCollection.id);
+    const itemsResponse = await getCollectionItems(collectionId);
     const items = itemsResponse.items || [];
 
-    // Parse each item and group by title
-    const productions = [];
-    const grouped = {};
+    // Parse each item, skipping empty items - check both possible title fields
+    const productions = items
+        .filter(item => item.production_title || item.title)
+        .map(parseProduction);
 
-    for (const item of items) {
-        // Skip empty items - check both possible title fields
-        const itemTitle = item.production_title || item.title;
-        if (!itemTitle) continue;
+    const value = {
+        productions,
+        grouped: groupProductions(productions),
+    };
 
-        const production = parseProduction(item);
-        productions.push(production);
+    if (CACHE_TTL_MS > 0) {
+        const expiresAt = Date.now() + CACHE_TTL_MS;
+        cache.productions = { value, expiresAt };
+        for (const production of productions) {
+            cache.items.set(production.id, { value: production, expiresAt });
+        }
+    }
 
-        // Extract base title (removing day number if present)
-        const baseTitle = itemTitle.replace(/\s*-\s*Day\s*\d+$/i, '').trim() || itemTitle;
+    return value;
+}
 
-        if (!grouped[baseTitle]) {
-            grouped[baseTitle] = {
-                title: baseTitle,
-                days: [],
-            };
-        }
+/**
+ * Get all productions grouped by title
+ * Served from cache while fresh; concurrent misses share one Craft request
+ */
+async function getProductions() {
+    if (isFresh(cache.productions)) {
+        return structuredClone(cache.productions.value);
+    }
 
-        grouped[baseTitle].days.push({
-            id: item.id,
-            shootDay: production.properties.shoot_day_ || 1,
-            date: production.properties.date_of_shoot,
-            fullTitle: itemTitle,
+    if (!cache.pendingProductions) {
+        cache.pendingProductions = loadProductions().finally(() => {
+            cache.pendingProductions = null;
         });
     }
 
-    // Sort days within each group
-    for (const group of Object.values(grouped)) {
-        group.days.sort((a, b) => (a.shootDay || 0) - (b.shootDay || 0));
+    return structuredClone(await cache.pendingProductions);
+}
+
+/**
+ * Get productions grouped by title, without reading their content
+ * Served from the full collection read while it's cached, otherwise from a read of just
+ * titles and properties, so it stays cheap after write-backs clear the cache
+ */
+async function getProductionList() {
+    if (isFresh(cache.productions)) {
+        return structuredClone(cache.productions.value.grouped);
+    }
+    if (isFresh(cache.list)) {
+        return structuredClone(cache.list.value);
     }
 
-    return {
-        productions,
-        grouped: Object.values(grouped),
-    };
+    const collectionId = await getCallSheetCollectionId();
+    const { items = [] } = await getCollectionItems(collectionId, { maxDepth: 0 });
+    const grouped = groupProductions(items
+        .filter(item => item.production_title || item.title)
+        .map(parseProduction));
+
+    if (CACHE_TTL_MS > 0) {
+        cache.list = { value: grouped, expiresAt: Date.now() + CACHE_TTL_MS };
+    }
+    return structuredClone(grouped);
 }
 
 /**
  * Get a single production by ID
+ * Tries the cache, then a direct item lookup, then a full collection read
  */
 async function getProductionById(id) {
-    // Get the CallSheetAPI collection
-    const collections = await listCollections();
-    const callSheetCollection = collections.items?.find(c =>
-        c.name === 'CallSheetAPI' || c.name?.includes('CallSheet')
-    );
+    const cached = cache.items.get(id);
+    if (isFresh(cached)) {
+        return structuredClone(cached.value);
+    }
 
-    if (!callSheetCollection) {
-        throw new Error('CallSheetAPI collection not found');
+    const collectionId = await getCallSheetCollectionId();
+
+    if (Date.now() >= directLookupPausedUntil) {
+        const item = await getCollectionItem(collectionId, id);
+        if (item && item.id === id) {
+            const production = parseProduction(item);
+            if (CACHE_TTL_MS > 0) {
+                cache.items.set(id, { value: production, expiresAt: Date.now() + CACHE_TTL_MS });
+            }
+            return structuredClone(production);
+        }
     }
 
-    // Get all items and find the matching one
-    const itemsResponse = await getCollectionItems(callSheetCollection.id);
-    const item = itemsResponse.items?.find(i => i.id === id);
+    // Fall back to reading the whole collection (this also fills the cache)
+    const { productions } = await getProductions();
+    const production = productions.find(p => p.id === id);
 
-    if (!item) {
+    if (!production) {
         throw new Error('Production not found');
     }
 
-    return parseProduction(item);
+    // The item exists but the direct endpoint couldn't serve it - stop trying it for a while
+    if (Date.now() >= directLookupPausedUntil) {
+        console.warn('Craft single-item lookup unavailable, falling back to collection reads');
+        directLookupPausedUntil = Date.now() + DIRECT_LOOKUP_RETRY_MS;
+    }
+
+    return production;
+}
+
+/**
+ * Convert table rows (arrays of cell values) into Craft table markdown
+ * Format: | A | B |, with a header separator after the first row
+ */
+function rowsToMarkdown(rows) {
+    const columnCount = Math.max(2, ...rows.map(row => row.length));
+
+    const markdownRows = rows.map(row => {
+        // Escape pipe characters in values
+        const cells = Array.from({ length: columnCount }, (_, i) => (row[i] || '').replace(/\|/g, '\\|'));
+        return `| ${cells.join(' | ')} |`;
+    });
+
+    return [
+        markdownRows[0] || '| Key | Value |',
+        `|${' --- |'.repeat(columnCount)}`,
+        ...markdownRows.slice(1)
+    ].join('\n');
+}
+
+/**
+ * Write enriched GEM data back into a location's Craft table
+ * Uses markdown format as required by the Craft PUT /blocks API
+ * @param {Object} production - Parsed production the location belongs to
+ * @param {Object} location - Parsed location (needs tableId)
+ * @param {Object} gemData - Enriched values keyed without the GEM prefix (e.g. nearestHospital)
+ */
+async function updateLocationGemData(production, location, gemData) {
+    const tableId = location?.tableId;
+    if (!tableId) return false;
+
+    // First, fetch the current table to get its structure
+    const tableBlock = await getBlock(tableId);
+
+    if (!tableBlock?.rows) {
+        console.error('Could not fetch table for update');
+        return false;
+    }
+
+    // Build updated rows with GEM data
+    const written = new Set();
+    const updatedRows = tableBlock.rows.map(row => {
+        if (row.length >= 2) {
+            const key = row[0]?.value?.trim();
+
+            // Check if this is a GEM field and we have data for it
+            if (key && key.startsWith('GEM')) {
+                const gemKey = key.replace('GEM', '');
+                const lowerKey = gemKey.charAt(0).toLowerCase() + gemKey.slice(1);
+
+                if (gemData[lowerKey]) {
+                    // Return updated row with value
+                    written.add(lowerKey);
+                    return [key, gemData[lowerKey]];
+                }
+            }
+        }
+        // Return original row values
+        return [row[0]?.value || '', row[1]?.value || ''];
+    });
+
+    // Add rows for GEM fields the table doesn't have yet (e.g. newly calculated sun times)
+    for (const [key, value] of Object.entries(gemData)) {
+        if (value && !written.has(key)) {
+            updatedRows.push([`GEM${key}`, value]);
+        }
+    }
+
+    // Update the block using markdown
+    try {
+        await updateBlocks([{
+            id: tableId,
+            markdown: rowsToMarkdown(updatedRows)
+        }]);
+        console.log('Successfully updated Craft table with GEM data');
+        return true;
+    } catch (error) {
+        console.error('Error updating location table:', error);
+        return false;
+    }
+}
+
+/**
+ * Write a value into one person's row of the crew or cast table, matched by phone
+ * Adds the column to the table if it doesn't exist yet
+ * @param {Object} production - Parsed production (needs tableIds)
+ * @param {string} section - 'crew' or 'cast'
+ * @param {string} phone - Phone number of the person's row
+ * @param {string} field - Column header (e.g. Confirmed)
+ * @param {string} value - New cell value
+ */
+async function updatePersonField(production, section, phone, field, value) {
+    const tableId = production.tableIds?.[section];
+    if (!tableId) return false;
+
+    const tableBlock = await getBlock(tableId);
+    if (!tableBlock?.rows || tableBlock.rows.length < 2) {
+        console.error(`Could not fetch ${section} table for update`);
+        return false;
+    }
+
+    const rows = tableBlock.rows.map(row => row.map(cell => cell?.value || ''));
+    const headers = rows[0].map(header => header.trim().toLowerCase());
+    const phoneColumn = headers.indexOf('phone');
+
+    let fieldColumn = headers.indexOf(field.toLowerCase());
+    if (fieldColumn === -1) {
+        fieldColumn = headers.length;
+        rows[0][fieldColumn] = field;
+    }
+
+    const target = phoneColumn === -1
+        ? null
+        : rows.slice(1).find(row => normalizePhone(row[phoneColumn]) === normalizePhone(phone));
+    if (!target) {
+        console.error(`Could not find ${section} row to update`);
+        return false;
+    }
+    target[fieldColumn] = value;
+
+    try {
+        await updateBlocks([{ id: tableId, markdown: rowsToMarkdown(rows) }]);
+        return true;
+    } catch (error) {
+        console.error(`Error updating ${section} table:`, error);
+        return false;
+    }
 }
 
 module.exports = {
+    name: 'craft',
     listCollections,
     getCollectionItems,
+    getCollectionItem,
     getBlock,
     updateBlocks,
     parseKeyValueTable,
     parseDataTable,
     parseProduction,
     getProductions,
+    getProductionList,
     getProductionById,
+    updateLocationGemData,
+    updatePersonField,
+    invalidateCache,
 };
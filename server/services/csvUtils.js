@@ -0,0 +1,32 @@
+/**
+ * CSV Utilities
+ * Builds RFC 4180 CSV text for report exports, safe to open in spreadsheets
+ */
+
+// Leading characters spreadsheets treat as the start of a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a CSV field when needed
+ * Text that a spreadsheet would run as a formula (e.g. "=HYPERLINK(...)") is prefixed
+ * with an apostrophe so it's shown as text; numbers are left alone
+ */
+function escapeCsv(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Join rows of values into CSV text (CRLF line endings, trailing newline)
+ * @param {Array<Array>} rows - Header row first
+ */
+function toCsv(rows) {
+    return `${rows.map(row => row.map(escapeCsv).join(',')).join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    toCsv,
+};
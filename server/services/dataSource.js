@@ -0,0 +1,130 @@
+/**
+ * Data Source
+ * Selects the backend that productions are read from and written back to
+ *
+ * Every backend implements the same interface:
+ *   name                                               - identifier used in DATA_SOURCE
+ *   getProductions()                                   - { productions, grouped }
+ *   getProductionList()                                - grouped, read without crew, cast, locations or scenes
+ *   getProductionById(id)                              - parsed production
+ *   updateLocationGemData(production, location, data)  - write enriched GEM data back
+ *   updatePersonField(production, section, phone,      - write one cell of a person's crew/cast row
+ *                     field, value)
+ *
+ * Configure with DATA_SOURCE=craft (default) or DATA_SOURCE=file (see fileService.js)
+ *
+ * Productions read through getProductionById() are also snapshotted by the
+ * revision service, and carry their current revision in `production.revision`.
+ * Each new revision notifies the people affected by the change (see notificationService.js).
+ */
+
+const craftService = require('./craftService');
+const fileService = require('./fileService');
+const revisionService = require('./revisionService');
+const notificationService = require('./notificationService');
+const { getBaseTitle } = require('./productionUtils');
+
+const sources = {
+    [craftService.name]: craftService,
+    [fileService.name]: fileService,
+};
+
+/**
+ * Get the configured data source backend
+ */
+function getDataSource() {
+    const name = (process.env.DATA_SOURCE || craftService.name).toLowerCase();
+    const source = sources[name];
+
+    if (!source) {
+        throw new Error(`Unknown DATA_SOURCE "${name}". Expected one of: ${Object.keys(sources).join(', ')}`);
+    }
+    return source;
+}
+
+/**
+ * Get all productions grouped by title
+ */
+function getProductions() {
+    return getDataSource().getProductions();
+}
+
+/**
+ * Get a single production by ID, recording a new revision if it changed
+ */
+async function getProductionById(id) {
+    const production = await getDataSource().getProductionById(id);
+
+    try {
+        production.revision = await revisionService.recordRevision(production);
+
+        // Notify in the background so the call sheet isn't held up by email or webhooks
+        if (production.revision.created) {
+            notificationService.notifyRevision(production.id, production.revision.number)
+                .catch(error => console.error('Failed to send change notifications:', error.message));
+        }
+    } catch (error) {
+        // Revision history is a nice-to-have; never fail a call sheet over it
+        console.error('Failed to record revision:', error.message);
+    }
+
+    return production;
+}
+
+/**
+ * Get every shoot day of the production a day belongs to (matched by base title)
+ * @returns {Promise<Array>} Full productions, sorted by shoot day
+ */
+async function getProductionGroup(id) {
+    const { productions } = await getProductions();
+    const production = productions.find(p => p.id === id) || await getProductionById(id);
+    const baseTitle = getBaseTitle(production.title);
+
+    const days = productions.filter(p => getBaseTitle(p.title) === baseTitle);
+    if (!days.some(p => p.id === production.id)) {
+        days.push(production);
+    }
+
+    return days.sort((a, b) => (a.properties.shoot_day_ || 0) - (b.properties.shoot_day_ || 0));
+}
+
+/**
+ * Get the shoot days either side of a day
+ * The days are found in the production list, so only they are read in full
+ * @returns {Promise<Object>} { previous, next } full productions, null where there's no such day
+ */
+async function getAdjacentDays(production) {
+    const baseTitle = getBaseTitle(production.title);
+    const group = (await getDataSource().getProductionList()).find(g => g.title === baseTitle);
+    const days = group?.days || [];
+    const index = days.findIndex(day => day.id === production.id);
+    if (index === -1) return { previous: null, next: null };
+
+    const [previous, next] = await Promise.all([days[index - 1], days[index + 1]]
+        .map(day => (day ? getDataSource().getProductionById(day.id) : null)));
+    return { previous, next };
+}
+
+/**
+ * Write enriched GEM data for a location back to the data source
+ */
+function updateLocationGemData(production, location, gemData) {
+    return getDataSource().updateLocationGemData(production, location, gemData);
+}
+
+/**
+ * Write a value into one person's crew or cast row
+ */
+function updatePersonField(production, section, phone, field, value) {
+    return getDataSource().updatePersonField(production, section, phone, field, value);
+}
+
+module.exports = {
+    getDataSource,
+    getProductions,
+    getProductionById,
+    getProductionGroup,
+    getAdjacentDays,
+    updateLocationGemData,
+    updatePersonField,
+};
@@ -0,0 +1,179 @@
+/**
+ * Day Out of Days Service
+ * Builds the Day Out of Days (DOOD) report: which shoot days each cast member works or is held
+ *
+ * A cast member works a day when they're on that day's cast table, or their
+ * character is in one of that day's scenes. Days between their first and last
+ * work day that they don't work are holds. Each day is marked with the usual codes:
+ *   SW  - start work (first work day)
+ *   W   - work
+ *   WF  - work finish (last work day)
+ *   SWF - start, work and finish on the same day
+ *   H   - hold
+ * Cast are numbered in order of first appearance, and matched across days by name
+ * (or by character, for scenes whose actor isn't on that day's cast table).
+ */
+
+const { getBaseTitle } = require('./productionUtils');
+const csvUtils = require('./csvUtils');
+
+const CODES = {
+    SW: 'Start work',
+    W: 'Work',
+    WF: 'Work finish',
+    SWF: 'Start, work & finish',
+    H: 'Hold',
+};
+
+/**
+ * Key for matching names or characters across days
+ */
+function toKey(value) {
+    return (value || '').trim().toLowerCase();
+}
+
+/**
+ * Characters in a scene, as match keys
+ */
+function getSceneCharacters(scene) {
+    return (scene.Characters || '').split(',').map(toKey).filter(Boolean);
+}
+
+/**
+ * Gather every cast member across the days, in order of first appearance
+ * @returns {Array} [{ key, name, characters: Set of match keys, characterNames }]
+ */
+function collectCast(days) {
+    const cast = new Map();
+
+    for (const day of days) {
+        for (const member of day.cast || []) {
+            const key = toKey(member.Name) || `character:${toKey(member.Character)}`;
+            if (key === 'character:') continue;
+
+            if (!cast.has(key)) {
+                cast.set(key, { key, name: member.Name || '', characters: new Set(), characterNames: [] });
+            }
+            const entry = cast.get(key);
+            const character = toKey(member.Character);
+            if (character && !entry.characters.has(character)) {
+                entry.characters.add(character);
+                entry.characterNames.push(member.Character.trim());
+            }
+        }
+    }
+
+    return [...cast.values()];
+}
+
+/**
+ * Mark each day for one cast member
+ * @param {Array<boolean>} working - Whether they work each day
+ * @returns {Array<string|null>} Code per day (null when not needed)
+ */
+function markDays(working) {
+    const first = working.indexOf(true);
+    const last = working.lastIndexOf(true);
+
+    return working.map((works, i) => {
+        if (first === -1 || i < first || i > last) return null;
+        if (!works) return 'H';
+        if (first === last) return 'SWF';
+        if (i === first) return 'SW';
+        if (i === last) return 'WF';
+        return 'W';
+    });
+}
+
+/**
+ * Build the Day Out of Days report for a production's shoot days
+ * @param {Array} days - Every shoot day of the production, sorted by shoot day
+ * @returns {Object} { title, days: [{ id, shootDay, date }], cast: [{ number, name, character, days, totals, start, finish }], codes }
+ */
+function buildReport(days) {
+    const reportDays = days.map(day => ({
+        id: day.id,
+        shootDay: day.properties?.shoot_day_ || 1,
+        date: day.properties?.date_of_shoot || null,
+    }));
+
+    const cast = collectCast(days).map((member, index) => {
+        const working = days.map(day => {
+            const onCastTable = (day.cast || []).some(row =>
+                member.key === (toKey(row.Name) || `character:${toKey(row.Character)}`)
+            );
+            if (onCastTable) return true;
+
+            return (day.scenes || []).some(scene =>
+                getSceneCharacters(scene).some(character => member.characters.has(character))
+            );
+        });
+
+        const marks = markDays(working);
+        const work = working.filter(Boolean).length;
+        const hold = marks.filter(mark => mark === 'H').length;
+        const first = working.indexOf(true);
+        const last = working.lastIndexOf(true);
+
+        return {
+            number: index + 1,
+            name: member.name,
+            character: member.characterNames.join(' / '),
+            days: marks,
+            totals: { work, hold, total: work + hold },
+            start: first === -1 ? null : reportDays[first],
+            finish: last === -1 ? null : reportDays[last],
+        };
+    });
+
+    return {
+        title: getBaseTitle(days[0]?.title),
+        days: reportDays,
+        cast,
+        codes: CODES,
+    };
+}
+
+/**
+ * Export the report as CSV, one row per cast member and one column per shoot day
+ */
+function toCsv(report) {
+    const header = [
+        '#',
+        'Cast',
+        'Character',
+        ...report.days.map(day => `Day ${day.shootDay}${day.date ? ` (${day.date})` : ''}`),
+        'Work',
+        'Hold',
+        'Total',
+        'Start',
+        'Finish',
+    ];
+
+    const rows = report.cast.map(member => [
+        member.number,
+        member.name,
+        member.character,
+        ...member.days.map(mark => mark || ''),
+        member.totals.work,
+        member.totals.hold,
+        member.totals.total,
+        member.start ? member.start.date || `Day ${member.start.shootDay}` : '',
+        member.finish ? member.finish.date || `Day ${member.finish.shootDay}` : '',
+    ]);
+
+    return csvUtils.toCsv([header, ...rows]);
+}
+
+/**
+ * Build a safe download filename for a production's report
+ */
+function getFilename(report) {
+    return `${(report.title || 'Production').replace(/[^a-z0-9]/gi, '_')}_DayOutOfDays.csv`;
+}
+
+module.exports = {
+    buildReport,
+    toCsv,
+    getFilename,
+};
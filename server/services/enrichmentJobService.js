@@ -0,0 +1,127 @@
+/**
+ * Enrichment Job Service
+ * Runs location enrichment in the background, so call sheets don't wait for it
+ *
+ * Each job enriches one production (see enrichmentService.js) and reports progress
+ * to subscribers as each location's GEM data is saved. Requests for a production
+ * that already has a job running join that job rather than starting another.
+ * Jobs are kept in memory for JOB_TTL_MS after they finish, for late status checks.
+ *
+ * Subscribers receive (event, data):
+ *   location - { position, gemData } a location's GEM data changed (position in production.locations)
+ *   done     - the job's final status (see toStatus)
+ */
+
+const crypto = require('crypto');
+const enrichmentService = require('./enrichmentService');
+
+const JOB_TTL_MS = 10 * 60 * 1000;
+
+// Jobs by ID, and the running job of each production
+const jobs = new Map();
+const runningJobs = new Map();
+
+/**
+ * Public view of a job
+ * @returns {Object} { id, productionId, status, startedAt, finishedAt, error, locations, updatedLocations }
+ */
+function toStatus(job) {
+    return {
+        id: job.id,
+        productionId: job.productionId,
+        status: job.status,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        error: job.error,
+        locations: job.production.locations?.length || 0,
+        updatedLocations: job.updated.size,
+    };
+}
+
+/**
+ * Send an event to a job's subscribers
+ */
+function emit(job, event, data) {
+    for (const listener of job.listeners) {
+        try {
+            listener(event, data);
+        } catch (error) {
+            console.error('Error in enrichment job listener:', error);
+        }
+    }
+}
+
+/**
+ * Start enriching a production in the background, or join the job already running for it
+ * @param {Object} production - Production to enrich; its locations are updated in place
+ * @returns {Object} Job, whose `promise` resolves to the enriched production when it finishes
+ */
+function startJob(production) {
+    const running = runningJobs.get(production.id);
+    if (running) return running;
+
+    const job = {
+        id: crypto.randomUUID(),
+        productionId: production.id,
+        production,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        error: null,
+        updated: new Set(),
+        listeners: new Set(),
+    };
+
+    const onProgress = location => {
+        const position = production.locations.indexOf(location);
+        job.updated.add(position);
+        emit(job, 'location', { position, gemData: location.gemData });
+    };
+
+    job.promise = enrichmentService.enrichProduction(production, { onProgress })
+        .then(() => {
+            job.status = 'completed';
+        })
+        .catch(error => {
+            console.error('Error in enrichment job:', error);
+            job.status = 'failed';
+            job.error = 'Enrichment failed';
+        })
+        .then(() => {
+            job.finishedAt = new Date().toISOString();
+            runningJobs.delete(production.id);
+            emit(job, 'done', toStatus(job));
+            job.listeners.clear();
+            setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+            return production;
+        });
+
+    jobs.set(job.id, job);
+    runningJobs.set(production.id, job);
+    console.log(`Started enrichment job ${job.id} for ${production.id}`);
+    return job;
+}
+
+/**
+ * Get a job by ID (null once it has expired)
+ */
+function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * Listen to a running job's events
+ * @param {Function} listener - Called with (event, data)
+ * @returns {Function} Unsubscribe
+ */
+function subscribe(job, listener) {
+    job.listeners.add(listener);
+    return () => job.listeners.delete(listener);
+}
+
+module.exports = {
+    startJob,
+    getJob,
+    subscribe,
+    toStatus,
+};
@@ -0,0 +1,100 @@
+/**
+ * Enrichment Schema
+ * Validates enrichment provider responses before anything is saved
+ *
+ * A response must be an array of objects, each naming the location it describes:
+ *   { locationId, nearestHospital, ..., transportDesc }
+ * Objects are matched to requested locations by locationId, never by position.
+ * Every field must be a non-empty string of at most MAX_FIELD_LENGTH characters;
+ * sunriseTime and sunsetTime must also be readable times. Invalid fields are
+ * dropped (and reported), so the rest of the object can still be used.
+ */
+
+const { parseTime } = require('./timeUtils');
+
+const MAX_FIELD_LENGTH = 1000;
+
+// Fields every provider returns, keyed without the GEM prefix
+const FIELDS = {
+    nearestHospital: {},
+    nearestFireStation: {},
+    nearestPoliceStation: {},
+    nearestEmergencyAfterHours: {},
+    sunriseTime: { time: true },
+    sunsetTime: { time: true },
+    weatherTemp: {},
+    weatherDesc: {},
+    publicTransportInfo: {},
+    transportDesc: {},
+};
+
+const ENRICHED_FIELDS = Object.keys(FIELDS);
+
+/**
+ * Check one field's value
+ * @returns {string|null} What's wrong with it, or null if it's valid
+ */
+function validateField(field, value) {
+    if (value === undefined || value === null) return 'missing';
+    if (typeof value !== 'string') return `expected a string, got ${typeof value}`;
+    if (!value.trim()) return 'empty';
+    if (value.length > MAX_FIELD_LENGTH) return `longer than ${MAX_FIELD_LENGTH} characters`;
+    if (FIELDS[field].time && parseTime(value) === null) return `"${value}" isn't a time`;
+    return null;
+}
+
+/**
+ * Validate a provider response against the locations and fields requested
+ * @param {*} response - Parsed provider response
+ * @param {Array} requested - [{ id, fields }] locations asked for, and which fields
+ * @returns {Object} { results: Map of id -> valid values, errors: [messages] }
+ */
+function validateResponse(response, requested) {
+    const results = new Map();
+    const errors = [];
+
+    if (!Array.isArray(response)) {
+        return { results, errors: [`Expected an array, got ${response === null ? 'null' : typeof response}`] };
+    }
+
+    const fieldsById = new Map(requested.map(loc => [String(loc.id), loc.fields]));
+
+    response.forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`Entry ${index + 1} isn't an object`);
+            return;
+        }
+
+        const id = entry.locationId === undefined || entry.locationId === null ? '' : String(entry.locationId);
+        if (!fieldsById.has(id)) {
+            errors.push(`Entry ${index + 1} has ${id ? `unknown locationId "${id}"` : 'no locationId'}`);
+            return;
+        }
+        if (results.has(id)) {
+            errors.push(`Entry ${index + 1} repeats locationId "${id}"`);
+            return;
+        }
+
+        const values = {};
+        for (const field of fieldsById.get(id)) {
+            const problem = validateField(field, entry[field]);
+            if (problem) {
+                errors.push(`Location ${id} ${field}: ${problem}`);
+            } else {
+                values[field] = entry[field].trim();
+            }
+        }
+        results.set(id, values);
+    });
+
+    for (const id of fieldsById.keys()) {
+        if (!results.has(id)) errors.push(`Location ${id} is missing from the response`);
+    }
+
+    return { results, errors };
+}
+
+module.exports = {
+    ENRICHED_FIELDS,
+    validateResponse,
+};
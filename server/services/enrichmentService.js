@@ -0,0 +1,293 @@
+/**
+ * Enrichment Service
+ * Fills in each location's GEM fields: coordinates, sun and moon times, and
+ * emergency services, weather and transport from an enrichment provider
+ *
+ * Every provider implements the same interface:
+ *   name                        - identifier used in ENRICHMENT_PROVIDER
+ *   isConfigured()              - whether it can run (e.g. has an API key)
+ *   enrichLocations(request)    - request: { locations: [{ id, address, nextAddress, fields }], date }
+ *                                 returns an array of { locationId, ...fields } objects, with
+ *                                 fields keyed without the GEM prefix (see enrichmentSchema.js);
+ *                                 anything else is an invalid response. Only throw when the
+ *                                 request itself fails, not when the answer can't be used
+ *
+ * Configure with ENRICHMENT_PROVIDER=gemini (default, see geminiService.js)
+ * or ENRICHMENT_PROVIDER=mock (fixture data, see mockEnrichmentService.js)
+ *
+ * Locations are geocoded first (see geocodingService.js). Sun and moon times are then
+ * calculated locally (see solarService.js) for locations with coordinates, and replace
+ * the provider's sunrise and sunset, which can be well off, so those aren't asked for.
+ *
+ * Responses are validated (see enrichmentSchema.js). Locations with missing or invalid
+ * fields are asked for again, just those fields, up to ENRICHMENT_MAX_RETRIES times
+ * (default 2), waiting ENRICHMENT_RETRY_DELAY_MS (default 2000, doubling each time)
+ * between attempts. Requests that error (network, rate limits, server errors) are
+ * retried the same way. Each field's outcome is saved in GEMenrichmentStatus as JSON:
+ *   ok      - valid first time
+ *   retried - valid after a retry
+ *   failed  - a response left it missing or invalid, and the retries didn't fix it
+ * A field with no status hasn't been enriched yet, including fields whose requests only
+ * errored, which are asked for again next time. Failed fields aren't asked for
+ * again until the location is refreshed (POST /api/production/:id/enrich).
+ */
+
+const dataSource = require('./dataSource');
+const solarService = require('./solarService');
+const geocodingService = require('./geocodingService');
+const geminiService = require('./geminiService');
+const mockEnrichmentService = require('./mockEnrichmentService');
+const { ENRICHED_FIELDS, validateResponse } = require('./enrichmentSchema');
+
+const MAX_RETRIES = parseInt(process.env.ENRICHMENT_MAX_RETRIES || '2', 10);
+const RETRY_DELAY_MS = parseInt(process.env.ENRICHMENT_RETRY_DELAY_MS || '2000', 10);
+
+const providers = {
+    [geminiService.name]: geminiService,
+    [mockEnrichmentService.name]: mockEnrichmentService,
+};
+
+/**
+ * Get the configured enrichment provider
+ */
+function getProvider() {
+    const name = (process.env.ENRICHMENT_PROVIDER || geminiService.name).toLowerCase();
+    const provider = providers[name];
+
+    if (!provider) {
+        throw new Error(`Unknown ENRICHMENT_PROVIDER "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+    }
+    return provider;
+}
+
+/**
+ * Read a location's enrichment status
+ * @returns {Object} field -> 'ok' | 'retried' | 'failed', keyed without the GEM prefix
+ */
+function getEnrichmentStatus(gemData) {
+    try {
+        const status = JSON.parse(gemData?.GEMenrichmentStatus || '{}');
+        return status && typeof status === 'object' ? status : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Fields of a location still to ask the provider for: empty ones that haven't failed
+ */
+function getMissingFields(gemData) {
+    const status = getEnrichmentStatus(gemData);
+    return ENRICHED_FIELDS.filter(field =>
+        (!gemData?.[`GEM${field}`] || gemData[`GEM${field}`].trim() === '') && status[field] !== 'failed'
+    );
+}
+
+/**
+ * Check if a location needs enrichment (has empty GEM fields that haven't failed)
+ */
+function needsEnrichment(gemData) {
+    return getMissingFields(gemData || {}).length > 0;
+}
+
+/**
+ * Write enriched GEM data for a location back to the configured data source
+ * (a Craft location table, or the production file for the file backend)
+ */
+async function updateLocationWithGemData(production, location, gemData) {
+    try {
+        return await dataSource.updateLocationGemData(production, location, gemData);
+    } catch (error) {
+        console.error('Error updating location data:', error);
+        return false;
+    }
+}
+
+/**
+ * Prefix values keyed without GEM (e.g. sunriseTime) as GEM fields
+ */
+function toGemFields(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [`GEM${key}`, value]));
+}
+
+/**
+ * Calculate a location's sun and moon times, leaving out any that don't occur (e.g. polar summer)
+ * @returns {Object} Values keyed without the GEM prefix (empty without coordinates)
+ */
+function getCalculatedSunTimes(production, location) {
+    const calculated = solarService.calculateForLocation(production, location) || {};
+    return Object.fromEntries(Object.entries(calculated).filter(([, value]) => value));
+}
+
+/**
+ * Calculate sun and moon times for a location with coordinates
+ * Only values that differ from the location's current GEM data are kept, so unchanged ones aren't rewritten
+ * @returns {Object} Changed values, keyed without the GEM prefix
+ */
+function calculateSunTimes(production, location) {
+    return Object.fromEntries(Object.entries(getCalculatedSunTimes(production, location))
+        .filter(([key, value]) => location.gemData?.[`GEM${key}`] !== value));
+}
+
+/**
+ * Enrich a production's locations: coordinates from the geocoder, sun and moon
+ * times calculated locally, everything else from the enrichment provider
+ * @param {Object} options - { onProgress(location) } called each time a location's GEM data changes
+ */
+async function enrichProduction(production, { onProgress = () => {} } = {}) {
+    for (const location of production.locations || []) {
+        // Coordinates first, so sun times can be calculated from them
+        const coordinates = await geocodingService.geocodeLocation(location);
+        location.gemData = { ...location.gemData, ...toGemFields(coordinates) };
+
+        const sunTimes = calculateSunTimes(production, location);
+        location.gemData = { ...location.gemData, ...toGemFields(sunTimes) };
+
+        const values = { ...coordinates, ...sunTimes };
+        if (Object.keys(values).length > 0 && await updateLocationWithGemData(production, location, values)) {
+            console.log(`Saved coordinates and sun times for location ${location.index}`);
+        }
+        if (Object.keys(values).length > 0) onProgress(location);
+    }
+
+    await enrichWithProvider(production, onProgress);
+    return production;
+}
+
+/**
+ * Enrich ALL locations that need it in a SINGLE provider request
+ * This avoids rate limiting issues
+ */
+async function enrichWithProvider(production, onProgress) {
+    const provider = getProvider();
+    if (!provider.isConfigured()) {
+        console.warn(`⚠️  Enrichment provider "${provider.name}" is not configured, so location details were not enriched. ` +
+            'Set GEMINI_API_KEY, or ENRICHMENT_PROVIDER=mock for fixture data.');
+        return production;
+    }
+
+    const locations = production.locations || [];
+
+    // Collect locations that need enrichment, and the fields each needs
+    const locationsToEnrich = [];
+    for (let i = 0; i < locations.length; i++) {
+        const location = locations[i];
+        const address = location.data['Location Address'];
+
+        // Calculated sun times replace the provider's, so there's no need to ask for them
+        const calculated = getCalculatedSunTimes(production, location);
+        const fields = getMissingFields(location.gemData).filter(field => !calculated[field]);
+
+        if (fields.length === 0) {
+            console.log(`Location ${i + 1} already enriched, skipping`);
+        } else if (address) {
+            const nextAddress = i < locations.length - 1
+                ? locations[i + 1]?.data['Location Address']
+                : null;
+            locationsToEnrich.push({
+                id: String(i + 1),
+                index: i,
+                address,
+                nextAddress,
+                fields,
+                location,
+                values: {},
+                status: {},
+                // Fields a response left missing or invalid
+                invalid: new Set(),
+            });
+        }
+    }
+
+    if (locationsToEnrich.length === 0) {
+        console.log('All locations already enriched');
+        return production;
+    }
+
+    console.log(`Enriching ${locationsToEnrich.length} locations in a single ${provider.name} request...`);
+    const date = production.properties.date_of_shoot || new Date().toISOString().split('T')[0];
+
+    // Ask again for whatever was missing or invalid, until it's all in or the retries run out
+    let pending = locationsToEnrich;
+    for (let attempt = 0; attempt <= MAX_RETRIES && pending.length > 0; attempt++) {
+        if (attempt > 0) {
+            const delayMs = RETRY_DELAY_MS * 2 ** (attempt - 1);
+            console.log(`Retrying ${pending.length} locations in ${delayMs}ms (attempt ${attempt} of ${MAX_RETRIES})...`);
+            await new Promise(resolve => setTimeout(resolve, delayMs));
+        }
+
+        let response;
+        try {
+            response = await provider.enrichLocations({
+                locations: pending.map(({ id, address, nextAddress, fields }) => ({ id, address, nextAddress, fields })),
+                date,
+            });
+        } catch (error) {
+            console.error('Error enriching locations:', error.message);
+            continue;
+        }
+
+        const { results, errors } = validateResponse(response, pending);
+        for (const error of errors) {
+            console.warn(`Invalid ${provider.name} response: ${error}`);
+        }
+
+        pending = pending.flatMap(locInfo => {
+            const valid = results.get(locInfo.id) || {};
+            for (const [field, value] of Object.entries(valid)) {
+                locInfo.values[field] = value;
+                locInfo.status[field] = attempt === 0 ? 'ok' : 'retried';
+            }
+            const fields = locInfo.fields.filter(field => !(field in valid));
+            for (const field of fields) {
+                locInfo.invalid.add(field);
+            }
+            return fields.length > 0 ? [{ ...locInfo, fields }] : [];
+        });
+    }
+
+    // Only fields a response got wrong have failed; ones never answered are left to try again
+    for (const locInfo of pending) {
+        const failed = locInfo.fields.filter(field => locInfo.invalid.has(field));
+        const unanswered = locInfo.fields.filter(field => !locInfo.invalid.has(field));
+        if (failed.length > 0) {
+            console.warn(`Location ${locInfo.index + 1} enrichment failed for: ${failed.join(', ')}`);
+        }
+        if (unanswered.length > 0) {
+            console.warn(`Location ${locInfo.index + 1} wasn't enriched, will try again later: ${unanswered.join(', ')}`);
+        }
+        for (const field of failed) {
+            locInfo.status[field] = 'failed';
+        }
+    }
+
+    // Apply enriched data to each location
+    for (const locInfo of locationsToEnrich) {
+        // Nothing to save when every request for it errored
+        if (Object.keys(locInfo.values).length === 0 && Object.keys(locInfo.status).length === 0) continue;
+
+        const location = locInfo.location;
+        const enrichedData = {
+            ...locInfo.values,
+            enrichmentStatus: JSON.stringify({ ...getEnrichmentStatus(location.gemData), ...locInfo.status }),
+        };
+
+        // Update local data
+        location.gemData = { ...location.gemData, ...toGemFields(enrichedData) };
+
+        // Write back to the data source
+        if (await updateLocationWithGemData(production, location, enrichedData)) {
+            console.log(`Saved enriched data for location ${locInfo.index + 1}`);
+        }
+        onProgress(location);
+    }
+
+    return production;
+}
+
+module.exports = {
+    getProvider,
+    needsEnrichment,
+    updateLocationWithGemData,
+    enrichProduction,
+};
@@ -0,0 +1,262 @@
+/**
+ * File Data Source
+ * Reads productions from a directory of JSON or YAML files, one file per shoot day
+ * Implements the data source interface (see dataSource.js)
+ *
+ * Each file describes a single production day:
+ *   id:         optional, defaults to the file name without extension
+ *   title:      production title (e.g. "Short Film - Day 1")
+ *   properties: key-value production properties (date_of_shoot, crew_call_time, ...)
+ *   crew:       [{ Role, Name, Phone, Call Time }]
+ *   cast:       [{ Character, Name, Phone, Call Time }]
+ *   locations:  [{ "Script Location": ..., "Location Address": ..., GEM fields... }]
+ *   scenes:     [{ Scene Number, Scene Description, Characters, ... }]
+ *
+ * Enriched GEM data and confirmations are written back into the file. YAML files are
+ * edited in place, keeping their comments and formatting; JSON files are rewritten.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const YAML = require('yaml');
+const { normalizePhone, splitLocationFields, groupProductions } = require('./productionUtils');
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '../../data/productions'));
+
+const SUPPORTED_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Read and parse a single production file
+ * @returns {Object} { raw, document } where document is the parsed YAML document (null for JSON)
+ */
+async function readProductionFile(filePath) {
+    const text = await fs.readFile(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.json') {
+        return { raw: JSON.parse(text), document: null };
+    }
+
+    const document = YAML.parseDocument(text);
+    if (document.errors.length > 0) {
+        throw document.errors[0];
+    }
+    return { raw: document.toJS(), document };
+}
+
+/**
+ * Set a value in a loaded production file, creating any missing parents
+ * YAML files get the change in their document too, so it's written back without losing comments
+ * @param {Object} entry - { raw, document } from loadAll()
+ * @param {Array} keyPath - Keys and array indexes down to the value (e.g. ['crew', 0, 'Confirmed'])
+ */
+function setFileValue(entry, keyPath, value) {
+    let target = entry.raw;
+    for (const key of keyPath.slice(0, -1)) {
+        target[key] = target[key] || {};
+        target = target[key];
+    }
+    target[keyPath[keyPath.length - 1]] = value;
+
+    entry.document?.setIn(keyPath, value);
+}
+
+/**
+ * Serialise a production file back to disk in its original format
+ */
+async function writeProductionFile(entry) {
+    const text = entry.document
+        ? entry.document.toString({ lineWidth: 0 })
+        : JSON.stringify(entry.raw, null, 2) + '\n';
+    await fs.writeFile(entry.filePath, text, 'utf8');
+}
+
+/**
+ * Stringify a cell value the same way Craft tables present them
+ */
+function toCellValue(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).trim();
+}
+
+/**
+ * Normalise a list of table rows so every value is a trimmed string
+ * Rows without any data are dropped, matching parseDataTable() for Craft
+ */
+function normalizeRows(rows) {
+    if (!Array.isArray(rows)) return [];
+
+    return rows
+        .map(row => Object.fromEntries(
+            Object.entries(row || {}).map(([key, value]) => [key, toCellValue(value)])
+        ))
+        .filter(row => Object.values(row).some(Boolean));
+}
+
+/**
+ * Parse a raw file into the same production shape craftService produces
+ * Locations may be flat key-value maps or already split into { data, gemData }
+ */
+function parseProduction(raw, fileId) {
+    const locations = (raw.locations || []).map((entry, i) => {
+        const fields = entry?.data || entry?.gemData
+            ? { ...entry.data, ...entry.gemData }
+            : entry;
+        const normalized = Object.fromEntries(
+            Object.entries(fields || {}).map(([key, value]) => [key, toCellValue(value)])
+        );
+        const { data, gemData } = splitLocationFields(normalized);
+
+        return { index: i + 1, tableId: null, data, gemData };
+    });
+
+    return {
+        id: String(raw.id || fileId),
+        title: raw.production_title || raw.title,
+        properties: raw.properties || {},
+        crew: normalizeRows(raw.crew),
+        cast: normalizeRows(raw.cast),
+        locations,
+        scenes: normalizeRows(raw.scenes),
+    };
+}
+
+/**
+ * Load every production file in the data directory
+ * Returns [{ filePath, raw, document, production }]
+ */
+async function loadAll() {
+    let entries;
+    try {
+        entries = await fs.readdir(DATA_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`Data directory not found: ${DATA_DIR}`);
+        }
+        throw error;
+    }
+
+    const files = entries
+        .filter(name => SUPPORTED_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort();
+
+    const loaded = [];
+    for (const name of files) {
+        const filePath = path.join(DATA_DIR, name);
+        try {
+            const { raw, document } = await readProductionFile(filePath);
+            // Skip empty files and files without a title
+            if (!raw?.production_title && !raw?.title) continue;
+
+            const fileId = path.basename(name, path.extname(name));
+            loaded.push({ filePath, raw, document, production: parseProduction(raw, fileId) });
+        } catch (error) {
+            console.error(`Failed to read production file ${name}:`, error.message);
+        }
+    }
+    return loaded;
+}
+
+/**
+ * Get all productions grouped by title
+ */
+async function getProductions() {
+    const productions = (await loadAll()).map(entry => entry.production);
+
+    return {
+        productions,
+        grouped: groupProductions(productions),
+    };
+}
+
+/**
+ * Get productions grouped by title (files are read in full either way)
+ */
+async function getProductionList() {
+    return (await getProductions()).grouped;
+}
+
+/**
+ * Get a single production by ID
+ */
+async function getProductionById(id) {
+    const entry = (await loadAll()).find(e => e.production.id === id);
+
+    if (!entry) {
+        throw new Error('Production not found');
+    }
+
+    return entry.production;
+}
+
+/**
+ * Write enriched GEM data back into a location in the production file
+ * @param {Object} production - Parsed production the location belongs to
+ * @param {Object} location - Parsed location (index is 1-based)
+ * @param {Object} gemData - Enriched values keyed without the GEM prefix (e.g. nearestHospital)
+ */
+async function updateLocationGemData(production, location, gemData) {
+    const entry = (await loadAll()).find(e => e.production.id === production.id);
+    const rawLocation = entry?.raw.locations?.[location.index - 1];
+
+    if (!rawLocation) {
+        console.error('Could not find location in production file for update');
+        return false;
+    }
+
+    // Write into gemData if the file already splits it out, otherwise alongside the other fields
+    const locationPath = rawLocation.data || rawLocation.gemData
+        ? ['locations', location.index - 1, 'gemData']
+        : ['locations', location.index - 1];
+
+    for (const [key, value] of Object.entries(gemData)) {
+        if (!value) continue;
+        setFileValue(entry, [...locationPath, `GEM${key}`], value);
+    }
+
+    try {
+        await writeProductionFile(entry);
+        console.log(`Successfully updated ${path.basename(entry.filePath)} with GEM data`);
+        return true;
+    } catch (error) {
+        console.error('Error updating production file:', error);
+        return false;
+    }
+}
+
+/**
+ * Write a value into one person's crew or cast entry, matched by phone
+ * @param {Object} production - Parsed production
+ * @param {string} section - 'crew' or 'cast'
+ * @param {string} phone - Phone number of the person's entry
+ * @param {string} field - Field name (e.g. Confirmed)
+ * @param {string} value - New value
+ */
+async function updatePersonField(production, section, phone, field, value) {
+    const entry = (await loadAll()).find(e => e.production.id === production.id);
+    const index = (entry?.raw[section] || []).findIndex(p => normalizePhone(String(p?.Phone ?? '')) === normalizePhone(phone));
+
+    if (index === -1) {
+        console.error(`Could not find ${section} entry in production file for update`);
+        return false;
+    }
+
+    setFileValue(entry, [section, index, field], value);
+
+    try {
+        await writeProductionFile(entry);
+        return true;
+    } catch (error) {
+        console.error('Error updating production file:', error);
+        return false;
+    }
+}
+
+module.exports = {
+    name: 'file',
+    parseProduction,
+    getProductions,
+    getProductionList,
+    getProductionById,
+    updateLocationGemData,
+    updatePersonField,
+};
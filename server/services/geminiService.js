@@ -1,264 +1,171 @@
 /**
- * Gemini API Service
- * Handles location data enrichment using Gemini with Google Search grounding
- * Consolidated to use a SINGLE API request for all locations to avoid rate limiting
+ * Gemini Enrichment Provider
+ * Looks up location details using Gemini with Google Search grounding
+ * Implements the enrichment provider interface (see enrichmentService.js)
+ *
+ * Consolidated to use a SINGLE API request for all locations to avoid rate limiting.
+ * Configure with GEMINI_API_KEY, GEMINI_MODEL (default gemini-2.0-flash-exp) and
+ * GEMINI_FALLBACK_MODELS, a comma-separated list of models tried in order when a
+ * request fails (e.g. the model is overloaded or retired).
  */
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const craftService = require('./craftService');
 
-// Initialize Gemini client
+const DEFAULT_MODEL = 'gemini-2.0-flash-exp';
+
+// What to ask for in each field
+const FIELD_DESCRIPTIONS = {
+    nearestHospital: () => 'Name and address of the nearest hospital',
+    nearestFireStation: () => 'Name and address of the nearest fire station',
+    nearestPoliceStation: () => 'Name and address of the nearest police station',
+    nearestEmergencyAfterHours: () => 'Name and address of nearest 24-hour emergency medical facility',
+    sunriseTime: date => `Sunrise time for ${date} at this location (e.g., '6:42 AM')`,
+    sunsetTime: date => `Sunset time for ${date} at this location (e.g., '7:58 PM')`,
+    weatherTemp: date => `Expected high/low temperature for ${date} (e.g., '28°C / 19°C')`,
+    weatherDesc: () => 'Professional weather description including precipitation chance and any warnings',
+    publicTransportInfo: () => 'Concise paragraph on public transport routes connecting to this location',
+    transportDesc: () => "Brief directions to next location, or 'N/A' if no next location",
+};
+
+// Gemini clients by model name
 let genAI = null;
-let model = null;
+const models = new Map();
 
-function initGemini() {
-    if (!genAI) {
-        const apiKey = process.env.GEMINI_API_KEY;
-        if (!apiKey || apiKey === 'your_gemini_api_key_here') {
-            console.warn('⚠️  GEMINI_API_KEY not configured. Location enrichment will be skipped.');
-            return null;
-        }
-        genAI = new GoogleGenerativeAI(apiKey);
-        model = genAI.getGenerativeModel({
-            model: 'gemini-2.0-flash-exp',
-            // Enable Google Search grounding for real-time data
-            tools: [{
-                googleSearch: {}
-            }]
-        });
-    }
-    return model;
+/**
+ * Get the API key, or null if it hasn't been set
+ */
+function getApiKey() {
+    const apiKey = process.env.GEMINI_API_KEY;
+    return apiKey && apiKey !== 'your_gemini_api_key_here' ? apiKey : null;
 }
 
 /**
- * Check if a location needs enrichment (has empty GEM fields)
+ * Check whether Gemini can be called
  */
-function needsEnrichment(gemData) {
-    const requiredFields = [
-        'GEMnearestHospital',
-        'GEMnearestFireStation',
-        'GEMnearestPoliceStation',
-        'GEMnearestEmergencyAfterHours',
-        'GEMsunriseTime',
-        'GEMsunsetTime',
-        'GEMweatherTemp',
-        'GEMweatherDesc',
-        'GEMpublicTransportInfo',
-        'GEMtransportDesc'
-    ];
-
-    return requiredFields.some(field => !gemData[field] || gemData[field].trim() === '');
+function isConfigured() {
+    return !!getApiKey();
 }
 
 /**
- * Update a location table in Craft with enriched GEM data
- * Uses markdown format as required by the Craft PUT /blocks API
+ * Models to try, in order: GEMINI_MODEL then GEMINI_FALLBACK_MODELS
  */
-async function updateLocationWithGemData(tableId, gemData) {
-    // First, fetch the current table to get its structure
-    const tableBlock = await craftService.getBlock(tableId);
-
-    if (!tableBlock?.rows) {
-        console.error('Could not fetch table for update');
-        return false;
-    }
-
-    // Build updated rows with GEM data
-    const updatedRows = tableBlock.rows.map(row => {
-        if (row.length >= 2) {
-            const key = row[0]?.value?.trim();
-
-            // Check if this is a GEM field and we have data for it
-            if (key && key.startsWith('GEM')) {
-                const gemKey = key.replace('GEM', '');
-                const lowerKey = gemKey.charAt(0).toLowerCase() + gemKey.slice(1);
-
-                if (gemData[lowerKey]) {
-                    // Return updated row with value
-                    return [key, gemData[lowerKey]];
-                }
-            }
-        }
-        // Return original row values
-        return [row[0]?.value || '', row[1]?.value || ''];
-    });
-
-    // Convert to markdown table format
-    // Format: | Key | Value |
-    const markdownRows = updatedRows.map(([key, value]) => {
-        // Escape pipe characters in values
-        const escapedKey = (key || '').replace(/\|/g, '\\|');
-        const escapedValue = (value || '').replace(/\|/g, '\\|');
-        return `| ${escapedKey} | ${escapedValue} |`;
-    });
-
-    // Add header separator row after first row (Craft tables are key-value, first row is header)
-    const markdown = [
-        markdownRows[0] || '| Key | Value |',
-        '| --- | --- |',
-        ...markdownRows.slice(1)
-    ].join('\n');
-
-    // Update the block using markdown
-    try {
-        await craftService.updateBlocks([{
-            id: tableId,
-            markdown: markdown
-        }]);
-        console.log('Successfully updated Craft table with GEM data');
-        return true;
-    } catch (error) {
-        console.error('Error updating location table:', error);
-        return false;
-    }
+function getModelChain() {
+    const names = [
+        process.env.GEMINI_MODEL || DEFAULT_MODEL,
+        ...(process.env.GEMINI_FALLBACK_MODELS || '').split(','),
+    ].map(name => name.trim()).filter(Boolean);
+    return [...new Set(names)];
 }
 
 /**
- * Enrich ALL locations for a production in a SINGLE API call
- * This avoids rate limiting issues
+ * Get the client for a model
  */
-async function enrichProduction(production) {
-    const geminiModel = initGemini();
-    if (!geminiModel) {
-        console.log('Gemini not configured, skipping enrichment');
-        return production;
-    }
-
-    const locations = production.locations || [];
-
-    // Collect locations that need enrichment
-    const locationsToEnrich = [];
-    for (let i = 0; i < locations.length; i++) {
-        const location = locations[i];
-
-        if (needsEnrichment(location.gemData)) {
-            const address = location.data['Location Address'];
-            if (address) {
-                const nextAddress = i < locations.length - 1
-                    ? locations[i + 1]?.data['Location Address']
-                    : null;
-                locationsToEnrich.push({
-                    index: i,
-                    address,
-                    nextAddress,
-                    location
-                });
-            }
-        } else {
-            console.log(`Location ${i + 1} already enriched, skipping`);
-        }
+function getModel(name) {
+    if (!genAI) {
+        genAI = new GoogleGenerativeAI(getApiKey());
     }
-
-    if (locationsToEnrich.length === 0) {
-        console.log('All locations already enriched');
-        return production;
+    if (!models.has(name)) {
+        models.set(name, genAI.getGenerativeModel({
+            model: name,
+            // Enable Google Search grounding for real-time data
+            tools: [{
+                googleSearch: {}
+            }]
+        }));
     }
+    return models.get(name);
+}
 
+/**
+ * Build a single prompt for ALL locations
+ */
+function buildPrompt({ locations, date }) {
     // Format the date for weather/sun queries
-    const dateStr = production.properties.date_of_shoot || new Date().toISOString().split('T')[0];
-    const formattedDate = new Date(dateStr).toLocaleDateString('en-AU', {
+    const formattedDate = new Date(date).toLocaleDateString('en-AU', {
         weekday: 'long',
         year: 'numeric',
         month: 'long',
         day: 'numeric'
     });
 
-    // Build a single prompt for ALL locations
-    const locationsList = locationsToEnrich.map((loc, idx) => {
-        let desc = `Location ${idx + 1}: "${loc.address}"`;
+    const locationsList = locations.map(loc => {
+        let desc = `Location ${loc.id}: "${loc.address}"`;
         if (loc.nextAddress) {
             desc += ` (next location: "${loc.nextAddress}")`;
         }
-        return desc;
+        return `${desc}\n  Keys: ${loc.fields.join(', ')}`;
     }).join('\n');
 
-    const prompt = `You are helping a film production crew in Australia. I need specific information about multiple locations for a shoot date of ${formattedDate}.
+    // Describe every key asked for of any location
+    const fields = Object.keys(FIELD_DESCRIPTIONS).filter(field => locations.some(loc => loc.fields.includes(field)));
+    const keys = [
+        '  "locationId": "The location\'s ID, exactly as given (e.g. \'1\')"',
+        ...fields.map(field => `  "${field}": "${FIELD_DESCRIPTIONS[field](formattedDate)}"`),
+    ].join(',\n');
+
+    return `You are helping a film production crew in Australia. I need specific information about multiple locations for a shoot date of ${formattedDate}.
 
 LOCATIONS:
 ${locationsList}
 
-For EACH location, please search the web and provide accurate, current information. Return a JSON array where each object corresponds to a location in order.
+For EACH location, please search the web and provide accurate, current information. Return a JSON array with one object per location.
 
-Each object should have these exact keys:
+Each object should have "locationId" and the keys listed for its location, from these:
 {
-  "nearestHospital": "Name and address of the nearest hospital",
-  "nearestFireStation": "Name and address of the nearest fire station",
-  "nearestPoliceStation": "Name and address of the nearest police station",
-  "nearestEmergencyAfterHours": "Name and address of nearest 24-hour emergency medical facility",
-  "sunriseTime": "Sunrise time for ${formattedDate} at this location (e.g., '6:42 AM')",
-  "sunsetTime": "Sunset time for ${formattedDate} at this location (e.g., '7:58 PM')",
-  "weatherTemp": "Expected high/low temperature for ${formattedDate} (e.g., '28°C / 19°C')",
-  "weatherDesc": "Professional weather description including precipitation chance and any warnings",
-  "publicTransportInfo": "Concise paragraph on public transport routes connecting to this location",
-  "transportDesc": "Brief directions to next location, or 'N/A' if no next location"
+${keys}
 }
 
 Important:
-- Return a JSON ARRAY with ${locationsToEnrich.length} objects (one per location, in order)
+- Return a JSON ARRAY with ${locations.length} objects, each with the "locationId" of the location it describes
+- Every value must be a non-empty string
 - Use Australian format for times and temperatures
 - Be specific with addresses
 - Keep descriptions professional and concise
 - Return ONLY valid JSON, no markdown formatting`;
+}
 
-    console.log(`Enriching ${locationsToEnrich.length} locations in a single API call...`);
-
+/**
+ * Parse the JSON in a response (handle potential markdown wrapping)
+ * Text that isn't JSON is returned as is, so it's rejected and retried as an invalid response
+ */
+function parseResponse(text) {
+    let jsonStr = text;
+    const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (jsonMatch) {
+        jsonStr = jsonMatch[1];
+    }
     try {
-        const result = await geminiModel.generateContent(prompt);
-        const response = result.response;
-        const text = response.text();
-
-        // Extract JSON from response (handle potential markdown wrapping)
-        let jsonStr = text;
-        const jsonMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/);
-        if (jsonMatch) {
-            jsonStr = jsonMatch[1];
-        }
-
-        // Parse the JSON response
-        const enrichedLocations = JSON.parse(jsonStr.trim());
-
-        if (!Array.isArray(enrichedLocations)) {
-            console.error('Expected an array from Gemini, got:', typeof enrichedLocations);
-            return production;
-        }
-
-        // Apply enriched data to each location
-        for (let j = 0; j < locationsToEnrich.length && j < enrichedLocations.length; j++) {
-            const locInfo = locationsToEnrich[j];
-            const enrichedData = enrichedLocations[j];
-            const location = locInfo.location;
-
-            // Update local data
-            location.gemData = {
-                GEMnearestHospital: enrichedData.nearestHospital || '',
-                GEMnearestFireStation: enrichedData.nearestFireStation || '',
-                GEMnearestPoliceStation: enrichedData.nearestPoliceStation || '',
-                GEMnearestEmergencyAfterHours: enrichedData.nearestEmergencyAfterHours || '',
-                GEMsunriseTime: enrichedData.sunriseTime || '',
-                GEMsunsetTime: enrichedData.sunsetTime || '',
-                GEMweatherTemp: enrichedData.weatherTemp || '',
-                GEMweatherDesc: enrichedData.weatherDesc || '',
-                GEMpublicTransportInfo: enrichedData.publicTransportInfo || '',
-                GEMtransportDesc: enrichedData.transportDesc || 'N/A',
-            };
+        return JSON.parse(jsonStr.trim());
+    } catch (error) {
+        console.warn(`Gemini response isn't JSON (${error.message}): ${text.slice(0, 200)}`);
+        return text;
+    }
+}
 
-            // Update Craft
-            if (location.tableId) {
-                await updateLocationWithGemData(location.tableId, enrichedData);
-                console.log(`Updated Craft with enriched data for location ${locInfo.index + 1}`);
-            }
+/**
+ * Enrich locations in a single request, falling back through the model chain when a request fails
+ * @param {Object} request - { locations: [{ id, address, nextAddress, fields }], date }
+ * @returns {Promise<*>} The parsed response (or its text, if it isn't JSON), to be validated (see enrichmentSchema.js)
+ */
+async function enrichLocations(request) {
+    const prompt = buildPrompt(request);
+    let lastError = null;
+
+    for (const name of getModelChain()) {
+        try {
+            const result = await getModel(name).generateContent(prompt);
+            return parseResponse(result.response.text());
+        } catch (error) {
+            console.error(`Gemini model ${name} failed:`, error.message);
+            lastError = error;
         }
-
-        console.log('All locations enriched successfully');
-    } catch (error) {
-        console.error('Error enriching locations:', error);
     }
 
-    return production;
+    throw lastError;
 }
 
 module.exports = {
-    needsEnrichment,
-    updateLocationWithGemData,
-    enrichProduction,
+    name: 'gemini',
+    isConfigured,
+    enrichLocations,
 };
@@ -0,0 +1,184 @@
+/**
+ * Geocoding Service
+ * Resolves location and unit base addresses to coordinates through a pluggable provider
+ *
+ * Every provider implements: geocode(address) -> Promise<{ lat, lng } | null>
+ * Configure with GEOCODER:
+ *   (unset)   - geocoding is skipped
+ *   nominatim - OpenStreetMap Nominatim (NOMINATIM_URL, default the public server,
+ *               which allows one request a second and asks for a GEOCODER_USER_AGENT)
+ *   offline   - look addresses up in a JSON fixture (GEOCODING_FIXTURE, default
+ *               data/geocoding.json), for demos and offline testing
+ *
+ * Coordinates are stored with the other enriched fields, keyed without the GEM prefix:
+ * latitude/longitude for the location, unitBaseLatitude/unitBaseLongitude for its unit base.
+ * Addresses the provider can't find are saved in geocodingFailed as JSON
+ * ({ "location": address, "unitBase": address }) and aren't looked up again until they
+ * change. Lookups that error (e.g. the provider is down) are retried next time.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+// Nominatim's usage policy allows one request a second
+const NOMINATIM_INTERVAL_MS = 1000;
+
+// Results by address for this process, so repeat addresses aren't looked up again
+const cache = new Map();
+
+let lastNominatimRequest = 0;
+let fixture = null;
+
+/**
+ * Key for matching addresses ("1 Macquarie St,  Sydney" -> "1 macquarie st, sydney")
+ */
+function toAddressKey(address) {
+    return String(address || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+const providers = {
+    nominatim: {
+        async geocode(address) {
+            const wait = lastNominatimRequest + NOMINATIM_INTERVAL_MS - Date.now();
+            if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+            lastNominatimRequest = Date.now();
+
+            const base = (process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org').replace(/\/$/, '');
+            const params = new URLSearchParams({ q: address, format: 'jsonv2', limit: '1' });
+            const response = await fetch(`${base}/search?${params}`, {
+                headers: { 'User-Agent': process.env.GEOCODER_USER_AGENT || 'CallSheetCraft' },
+            });
+            if (!response.ok) {
+                throw new Error(`Geocoding failed: ${response.statusText}`);
+            }
+
+            const [result] = await response.json();
+            return result ? { lat: parseFloat(result.lat), lng: parseFloat(result.lon) } : null;
+        },
+    },
+
+    offline: {
+        async geocode(address) {
+            if (!fixture) {
+                const file = path.resolve(process.env.GEOCODING_FIXTURE || path.join(__dirname, '../../data/geocoding.json'));
+                const entries = JSON.parse(await fs.readFile(file, 'utf8'));
+                fixture = new Map(Object.entries(entries).map(([key, value]) => [toAddressKey(key), value]));
+            }
+            return fixture.get(toAddressKey(address)) || null;
+        },
+    },
+};
+
+/**
+ * Get the configured provider
+ * @returns {Object|null} Provider, or null when geocoding is off
+ */
+function getProvider() {
+    const name = (process.env.GEOCODER || '').toLowerCase();
+    if (!name) return null;
+
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown GEOCODER "${name}". Expected one of: ${Object.keys(providers).join(', ')}`);
+    }
+    return provider;
+}
+
+/**
+ * Resolve an address to coordinates
+ * @returns {Promise<Object|null>} { lat, lng }, or null if it can't be found (or geocoding is off)
+ */
+async function geocode(address) {
+    const provider = getProvider();
+    const key = toAddressKey(address);
+    if (!provider || !key) return null;
+
+    if (!cache.has(key)) {
+        cache.set(key, await provider.geocode(address));
+    }
+    return cache.get(key);
+}
+
+// A location's addresses: [kind, address field, latitude key, longitude key]
+const ADDRESSES = [
+    ['location', 'Location Address', 'latitude', 'longitude'],
+    ['unitBase', 'Unit Base Address', 'unitBaseLatitude', 'unitBaseLongitude'],
+];
+
+/**
+ * Read the addresses of a location that couldn't be found
+ * @returns {Object} kind ('location' | 'unitBase') -> address
+ */
+function getFailedAddresses(gemData) {
+    try {
+        const failed = JSON.parse(gemData?.GEMgeocodingFailed || '{}');
+        return failed && typeof failed === 'object' ? failed : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Addresses of a location that haven't been geocoded yet, leaving out ones that couldn't be found
+ * @returns {Array} [[kind, address, latitudeKey, longitudeKey]] keys without the GEM prefix
+ */
+function getPendingAddresses(location) {
+    const data = location.data || {};
+    const gemData = location.gemData || {};
+    const failed = getFailedAddresses(gemData);
+
+    return ADDRESSES
+        .filter(([kind, field, latitudeKey, longitudeKey]) =>
+            data[field]
+            && !(gemData[`GEM${latitudeKey}`] && gemData[`GEM${longitudeKey}`])
+            && toAddressKey(failed[kind]) !== toAddressKey(data[field]))
+        .map(([kind, field, latitudeKey, longitudeKey]) => [kind, data[field], latitudeKey, longitudeKey]);
+}
+
+/**
+ * Check whether a location has addresses still to geocode (always false when geocoding is off)
+ */
+function needsGeocoding(location) {
+    return !!process.env.GEOCODER && getPendingAddresses(location).length > 0;
+}
+
+/**
+ * Geocode a location's address and unit base where they haven't been already
+ * @returns {Promise<Object>} Values to save, keyed without the GEM prefix: found coordinates
+ *   (e.g. { latitude: '-33.8610', longitude: '151.2126' }) and, if an address couldn't be
+ *   found, geocodingFailed; empty if there's nothing new
+ */
+async function geocodeLocation(location) {
+    const values = {};
+    if (!needsGeocoding(location)) return values;
+
+    const failed = getFailedAddresses(location.gemData);
+    let failedChanged = false;
+
+    for (const [kind, address, latitudeKey, longitudeKey] of getPendingAddresses(location)) {
+        try {
+            const coordinates = await geocode(address);
+            if (!coordinates) {
+                console.warn(`Could not geocode "${address}", it won't be looked up again until it changes`);
+                failed[kind] = address;
+                failedChanged = true;
+                continue;
+            }
+            values[latitudeKey] = coordinates.lat.toFixed(6);
+            values[longitudeKey] = coordinates.lng.toFixed(6);
+        } catch (error) {
+            console.error(`Error geocoding "${address}":`, error.message);
+        }
+    }
+
+    if (failedChanged) {
+        values.geocodingFailed = JSON.stringify(failed);
+    }
+    return values;
+}
+
+module.exports = {
+    geocode,
+    needsGeocoding,
+    geocodeLocation,
+};
@@ -0,0 +1,87 @@
+/**
+ * Mock Enrichment Provider
+ * Returns fixture data instead of calling an AI service, for development and
+ * testing without network access or an API key
+ * Implements the enrichment provider interface (see enrichmentService.js)
+ *
+ * Details come from a JSON fixture of address -> fields (ENRICHMENT_FIXTURE, default
+ * data/enrichment.json). Addresses missing from it get placeholder values built from
+ * the address, so every location is enriched and results are always the same.
+ * Fixture values are returned as they are, so a fixture with invalid values can be
+ * used to exercise validation, retries and failed fields.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+let fixture = null;
+
+/**
+ * Key for matching addresses ("1 Macquarie St,  Sydney" -> "1 macquarie st, sydney")
+ */
+function toAddressKey(address) {
+    return String(address || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Load the fixture, once
+ */
+async function loadFixture() {
+    if (!fixture) {
+        const file = path.resolve(process.env.ENRICHMENT_FIXTURE || path.join(__dirname, '../../data/enrichment.json'));
+        const entries = JSON.parse(await fs.readFile(file, 'utf8'));
+        fixture = new Map(Object.entries(entries).map(([key, value]) => [toAddressKey(key), value]));
+    }
+    return fixture;
+}
+
+/**
+ * Placeholder details for an address the fixture doesn't have
+ */
+function buildPlaceholder(address) {
+    return {
+        nearestHospital: `Mock Hospital, near ${address}`,
+        nearestFireStation: `Mock Fire Station, near ${address}`,
+        nearestPoliceStation: `Mock Police Station, near ${address}`,
+        nearestEmergencyAfterHours: `Mock 24-hour Emergency, near ${address}`,
+        sunriseTime: '6:30 AM',
+        sunsetTime: '7:30 PM',
+        weatherTemp: '24°C / 16°C',
+        weatherDesc: 'Mock forecast: fine and mostly sunny, 10% chance of rain.',
+        publicTransportInfo: `Mock transport: buses stop near ${address}.`,
+    };
+}
+
+/**
+ * Always available, as it needs no key
+ */
+function isConfigured() {
+    return true;
+}
+
+/**
+ * Enrich locations from the fixture
+ * @param {Object} request - { locations: [{ id, address, nextAddress, fields }], date }
+ * @returns {Promise<Array>} [{ locationId, ...fields }], with just the fields asked for
+ */
+async function enrichLocations({ locations }) {
+    const entries = await loadFixture();
+
+    return locations.map(({ id, address, nextAddress, fields }) => {
+        const values = {
+            ...buildPlaceholder(address),
+            transportDesc: nextAddress ? `Mock directions to ${nextAddress}` : 'N/A',
+            ...entries.get(toAddressKey(address)),
+        };
+        return {
+            locationId: id,
+            ...Object.fromEntries(fields.filter(field => field in values).map(field => [field, values[field]])),
+        };
+    });
+}
+
+module.exports = {
+    name: 'mock',
+    isConfigured,
+    enrichLocations,
+};
@@ -0,0 +1,344 @@
+/**
+ * Notification Service
+ * Tells people about meaningful changes to a call sheet when a new revision is recorded
+ *
+ * Meaningful changes are: shoot date, call, meal and wrap times; location and unit
+ * base addresses; a person's own Call Time, Role or Character; being added to or
+ * removed from the call sheet; and, for cast, changes to the scenes they're in.
+ *
+ * Every channel implements: send(event) -> Promise
+ * Enable channels with NOTIFY_CHANNELS (comma-separated, default none):
+ *   console - print each person's notification to the server log (for development)
+ *   email   - email each affected person with an Email column over SMTP (SMTP_URL or SMTP_HOST)
+ *   webhook - POST a JSON summary to each URL in NOTIFY_WEBHOOK_URLS, signed with
+ *             NOTIFY_WEBHOOK_SECRET when set. Summaries never include phone numbers or emails.
+ * People can opt out of personal notifications with a Notify column set to No.
+ */
+
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const revisionService = require('./revisionService');
+const { normalizePhone } = require('./productionUtils');
+
+const MEANINGFUL_PROPERTIES = {
+    date_of_shoot: 'Shoot date',
+    crew_call_time: 'Crew call',
+    cast_call_time: 'Cast call',
+    time_of_breakfast: 'Breakfast',
+    time_of_lunch: 'Lunch',
+    time_of_dinner: 'Dinner',
+    estimated_wrap: 'Estimated wrap',
+};
+const MEANINGFUL_PERSON_FIELDS = ['Call Time', 'Role', 'Character'];
+const MEANINGFUL_LOCATION_FIELDS = ['Location Address', 'Unit Base Address'];
+const MEANINGFUL_SCENE_FIELDS = ['Makeup & Wardrobe Time', 'On-Set Time', 'Script Location'];
+
+let transport = null;
+
+/**
+ * Get the SMTP transport (created on first use)
+ */
+function getTransport() {
+    if (!transport) {
+        if (process.env.SMTP_URL) {
+            transport = nodemailer.createTransport(process.env.SMTP_URL);
+        } else if (process.env.SMTP_HOST) {
+            transport = nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT || '587', 10),
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined,
+            });
+        } else {
+            throw new Error('SMTP_URL or SMTP_HOST not configured');
+        }
+    }
+    return transport;
+}
+
+const channels = {
+    console: {
+        async send({ production, revision, recipients }) {
+            for (const recipient of recipients) {
+                console.log(`🔔 ${production.title} (${revision.label}) for ${recipient.name}:\n${formatChanges(recipient.changes)}`);
+            }
+        },
+    },
+
+    email: {
+        async send({ production, revision, recipients }) {
+            const from = process.env.NOTIFY_EMAIL_FROM || 'CallSheetCraft <callsheets@localhost>';
+            const emailed = recipients.filter(recipient => recipient.email && recipient.wantsNotifications);
+            if (emailed.length === 0) return;
+
+            const transport = getTransport();
+
+            // One rejected address shouldn't stop everyone else's email
+            const results = await Promise.allSettled(emailed.map(recipient => transport.sendMail({
+                from,
+                to: `"${recipient.name.replace(/"/g, '')}" <${recipient.email}>`,
+                subject: `${production.title}: call sheet updated (${revision.label})`,
+                text: buildEmailText(production, recipient),
+            })));
+
+            const failed = results.filter((result, i) => {
+                if (result.status === 'fulfilled') return false;
+                console.error(`Failed to email ${emailed[i].name}:`, result.reason?.message || result.reason);
+                return true;
+            });
+            if (failed.length > 0) {
+                throw new Error(`${failed.length} of ${emailed.length} emails failed`);
+            }
+        },
+    },
+
+    webhook: {
+        async send({ production, revision, general, recipients }) {
+            const urls = (process.env.NOTIFY_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+            if (urls.length === 0) {
+                throw new Error('NOTIFY_WEBHOOK_URLS not configured');
+            }
+
+            const body = JSON.stringify({
+                event: 'callsheet.revised',
+                production: {
+                    id: production.id,
+                    title: production.title,
+                    date: production.properties.date_of_shoot,
+                    shootDay: production.properties.shoot_day_,
+                },
+                revision,
+                changes: general,
+                people: recipients
+                    .filter(recipient => recipient.personal.length > 0)
+                    .map(({ name, type, role, status, personal }) => ({ name, type, role, status, changes: personal })),
+            });
+
+            const headers = { 'Content-Type': 'application/json' };
+            if (process.env.NOTIFY_WEBHOOK_SECRET) {
+                const signature = crypto.createHmac('sha256', process.env.NOTIFY_WEBHOOK_SECRET).update(body).digest('hex');
+                headers['X-CallSheetCraft-Signature'] = `sha256=${signature}`;
+            }
+
+            for (const url of urls) {
+                const response = await fetch(url, { method: 'POST', headers, body });
+                if (!response.ok) {
+                    throw new Error(`Webhook ${url} failed: ${response.status} ${response.statusText}`);
+                }
+            }
+        },
+    },
+};
+
+/**
+ * Get the enabled channels
+ */
+function getChannels() {
+    return (process.env.NOTIFY_CHANNELS || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean)
+        .map(name => {
+            if (!channels[name]) {
+                throw new Error(`Unknown notification channel "${name}". Expected one of: ${Object.keys(channels).join(', ')}`);
+            }
+            return { name, ...channels[name] };
+        });
+}
+
+/**
+ * Check whether a person has opted out of notifications
+ */
+function hasOptedOut(row) {
+    const value = (row.Notify || '').trim().toLowerCase();
+    return ['no', 'n', 'false', 'none', 'off'].includes(value);
+}
+
+/**
+ * Describe a person as a notification recipient
+ */
+function toRecipient(row, type, status) {
+    return {
+        name: row.Name || 'Crew',
+        phone: row.Phone || null,
+        email: row.Email?.trim() || null,
+        wantsNotifications: !hasOptedOut(row),
+        type,
+        role: type === 'cast' ? row.Character : row.Role,
+        status,
+        personal: [],
+    };
+}
+
+/**
+ * Keep only changes to the given fields, labelled for people
+ */
+function pickChanges(changes, fields, labelPrefix = '') {
+    return changes
+        .filter(change => fields.includes(change.field))
+        .map(change => ({ label: `${labelPrefix}${change.field}`, before: change.before, after: change.after }));
+}
+
+/**
+ * Check whether a scene includes a character
+ */
+function sceneHasCharacter(scene, character) {
+    const wanted = (character || '').trim().toLowerCase();
+    return !!wanted && (scene.Characters || '').split(',').some(name => name.trim().toLowerCase() === wanted);
+}
+
+/**
+ * Work out who is affected by the changes between two snapshots, and how
+ * @returns {Object} { general: [changes], recipients: [{ ...person, personal, changes }] }
+ */
+function detectChanges(before, after) {
+    const diff = revisionService.diffSnapshots(before, after);
+
+    const general = diff.properties
+        .filter(change => MEANINGFUL_PROPERTIES[change.field])
+        .map(change => ({ label: MEANINGFUL_PROPERTIES[change.field], before: change.before, after: change.after }));
+
+    for (const change of diff.locations.changed) {
+        general.push(...pickChanges(change.changes, MEANINGFUL_LOCATION_FIELDS, `${change.key}: `));
+    }
+    for (const { key, row } of diff.locations.added) {
+        general.push({ label: 'New location', before: '', after: [key, row.data?.['Location Address']].filter(Boolean).join(' – ') });
+    }
+    for (const { key } of diff.locations.removed) {
+        general.push({ label: 'Location removed', before: key, after: '' });
+    }
+
+    const recipients = new Map();
+    const recipientFor = (row, type, status) => {
+        const id = normalizePhone(row.Phone) || `${type}:${(row.Name || '').toLowerCase()}`;
+        if (!recipients.has(id)) recipients.set(id, toRecipient(row, type, status));
+        return recipients.get(id);
+    };
+
+    for (const type of ['crew', 'cast']) {
+        for (const { row } of diff[type].added) {
+            recipientFor(row, type, 'added').personal.push({ label: 'Added to the call sheet', before: '', after: row['Call Time'] || '' });
+        }
+        for (const { row } of diff[type].removed) {
+            recipientFor(row, type, 'removed').personal.push({ label: 'Removed from the call sheet', before: row['Call Time'] || '', after: '' });
+        }
+        for (const { row, changes } of diff[type].changed) {
+            const personal = pickChanges(changes, MEANINGFUL_PERSON_FIELDS);
+            if (personal.length > 0) recipientFor(row, type, 'changed').personal.push(...personal);
+        }
+    }
+
+    // Cast hear about changes to the scenes their character is in
+    for (const member of after.cast || []) {
+        const sceneChanges = [];
+        for (const { key, row } of diff.scenes.added) {
+            if (sceneHasCharacter(row, member.Character)) sceneChanges.push({ label: `Scene ${key}`, before: '', after: 'Added' });
+        }
+        for (const { key, row } of diff.scenes.removed) {
+            if (sceneHasCharacter(row, member.Character)) sceneChanges.push({ label: `Scene ${key}`, before: 'Scheduled', after: 'Removed' });
+        }
+        for (const { key, row, changes } of diff.scenes.changed) {
+            if (sceneHasCharacter(row, member.Character)) {
+                sceneChanges.push(...pickChanges(changes, MEANINGFUL_SCENE_FIELDS, `Scene ${key} `));
+            }
+        }
+        if (sceneChanges.length > 0) {
+            recipientFor(member, 'cast', 'changed').personal.push(...sceneChanges);
+        }
+    }
+
+    // General changes go to everyone still on the call sheet
+    if (general.length > 0) {
+        for (const row of after.crew || []) recipientFor(row, 'crew', 'changed');
+        for (const row of after.cast || []) recipientFor(row, 'cast', 'changed');
+    }
+
+    return {
+        general,
+        recipients: [...recipients.values()].map(recipient => ({
+            ...recipient,
+            // People who were removed don't need the rest of the day's changes
+            changes: recipient.status === 'removed' ? recipient.personal : [...recipient.personal, ...general],
+        })),
+    };
+}
+
+/**
+ * Format changes as one line each
+ */
+function formatChanges(changes) {
+    return changes.map(({ label, before, after }) => {
+        if (!before) return `• ${label}: ${after}`;
+        if (!after) return `• ${label}: ${before} (removed)`;
+        return `• ${label}: ${before} → ${after}`;
+    }).join('\n');
+}
+
+/**
+ * Build the plain-text email for one person
+ */
+function buildEmailText(production, recipient) {
+    const firstName = recipient.name.split(' ')[0];
+    const link = process.env.APP_URL
+        ? `\n\nView the call sheet: ${process.env.APP_URL.replace(/\/$/, '')}/#/production/${production.id}`
+        : '';
+
+    return `Hi ${firstName},\n\n`
+        + `The call sheet for ${production.title} (${production.properties.date_of_shoot || 'date TBC'}) has changed:\n\n`
+        + `${formatChanges(recipient.changes)}`
+        + `${link}\n\n`
+        + 'You can stop these emails by asking your AD to set Notify to No on your row.';
+}
+
+/**
+ * Notify affected people about a newly recorded revision
+ * Compares it with the previous revision; does nothing for the first one or when no channel is enabled
+ * @returns {Promise<Object>} { recipients, channels } counts, for logging
+ */
+async function notifyRevision(productionId, number) {
+    const enabled = getChannels();
+    if (enabled.length === 0 || number < 2) {
+        return { recipients: 0, channels: 0 };
+    }
+
+    const [previous, current] = await Promise.all([
+        revisionService.getRevision(productionId, number - 1),
+        revisionService.getRevision(productionId, number),
+    ]);
+    if (!previous || !current) {
+        return { recipients: 0, channels: 0 };
+    }
+
+    const { snapshot: before } = previous;
+    const { snapshot: after, ...revision } = current;
+    const { general, recipients } = detectChanges(before, after);
+
+    const affected = recipients.filter(recipient => recipient.changes.length > 0);
+    if (affected.length === 0) {
+        return { recipients: 0, channels: 0 };
+    }
+
+    const event = {
+        production: { id: productionId, title: after.title, properties: after.properties },
+        revision,
+        general,
+        recipients: affected,
+    };
+
+    // One failing channel shouldn't stop the others
+    const results = await Promise.allSettled(enabled.map(channel => channel.send(event)));
+    results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+            console.error(`Failed to send ${enabled[i].name} notifications:`, result.reason?.message || result.reason);
+        }
+    });
+
+    return { recipients: affected.length, channels: enabled.length };
+}
+
+module.exports = {
+    detectChanges,
+    notifyRevision,
+};
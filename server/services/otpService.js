@@ -0,0 +1,172 @@
+/**
+ * One-Time Passcode Service
+ * Optional second step for phone login: a short-lived code is texted to the
+ * matched number and must be entered before full production data is returned
+ *
+ * Configure with OTP_MODE:
+ *   off        - phone match alone authenticates (default)
+ *   closed_set - require a code for closed-set productions only
+ *   always     - require a code for every production
+ */
+
+const crypto = require('crypto');
+const smsService = require('./smsService');
+
+const OTP_TTL_SECONDS = parseInt(process.env.OTP_TTL_SECONDS || '300', 10);
+const OTP_LENGTH = parseInt(process.env.OTP_LENGTH || '6', 10);
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+
+// Pending challenges: challenge ID -> { scope, phone, codeHash, expiresAt, attempts }
+const challenges = new Map();
+
+/**
+ * Check whether a production requires a passcode at login
+ */
+function isRequired(production) {
+    const mode = (process.env.OTP_MODE || 'off').toLowerCase();
+    if (mode === 'always') return true;
+    if (mode === 'closed_set') return production.properties?.closed_set === true;
+    return false;
+}
+
+/**
+ * Hash a code for storage (codes are never kept in plain text)
+ */
+function hashCode(challengeId, code) {
+    return crypto.createHash('sha256').update(`${challengeId}:${code}`).digest();
+}
+
+/**
+ * Drop expired challenges
+ */
+function pruneExpired() {
+    const now = Date.now();
+    for (const [id, challenge] of challenges) {
+        if (challenge.expiresAt <= now) challenges.delete(id);
+    }
+}
+
+/**
+ * Mask a phone number for display, keeping the last three digits
+ */
+function maskPhone(phone) {
+    const digits = (phone || '').replace(/\D/g, '');
+    return `••• ${digits.slice(-3)}`;
+}
+
+/**
+ * Create a challenge and text the code to the person's phone
+ * @param {Object} options - { scope, phone, destination, label }
+ *   scope:       what the code unlocks (e.g. a production ID)
+ *   phone:       normalized phone the session will be issued for
+ *   destination: number to text, as written in the call sheet
+ *   label:       production name used in the message
+ * @returns {Object} { challengeId, expiresAt, sentTo }
+ */
+async function createChallenge({ scope, phone, destination, label }) {
+    pruneExpired();
+
+    const challengeId = crypto.randomBytes(16).toString('base64url');
+    const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+    const expiresAt = Date.now() + OTP_TTL_SECONDS * 1000;
+
+    challenges.set(challengeId, {
+        scope,
+        phone,
+        codeHash: hashCode(challengeId, code),
+        expiresAt,
+        attempts: 0,
+    });
+
+    const minutes = Math.max(1, Math.round(OTP_TTL_SECONDS / 60));
+    await smsService.sendSms(
+        destination,
+        `${code} is your CallSheetCraft code for ${label}. It expires in ${minutes} min.`
+    );
+
+    return {
+        challengeId,
+        expiresAt: new Date(expiresAt).toISOString(),
+        sentTo: maskPhone(destination),
+    };
+}
+
+/**
+ * Create a challenge for a number that isn't on the call sheet
+ * Nothing is sent and no code can satisfy it, but the response looks the same
+ * as a real challenge so the login form can't be used to test numbers
+ */
+function createDecoyChallenge({ scope, phone }) {
+    pruneExpired();
+
+    const challengeId = crypto.randomBytes(16).toString('base64url');
+    const expiresAt = Date.now() + OTP_TTL_SECONDS * 1000;
+
+    challenges.set(challengeId, {
+        scope,
+        phone: null,
+        codeHash: crypto.randomBytes(32),
+        expiresAt,
+        attempts: 0,
+    });
+
+    return {
+        challengeId,
+        expiresAt: new Date(expiresAt).toISOString(),
+        sentTo: maskPhone(phone),
+    };
+}
+
+/**
+ * Verify a code against a challenge
+ * A challenge is consumed on success, and after too many wrong codes
+ * @param {string} challengeId - Challenge ID from createChallenge()
+ * @param {string} code - Code entered by the user
+ * @param {string} scope - What the caller is trying to unlock; must match the challenge
+ * @returns {Object} { ok: true, phone } or { ok: false, reason }
+ */
+function verifyChallenge(challengeId, code, scope) {
+    const challenge = challenges.get(challengeId);
+
+    if (!challenge || challenge.expiresAt <= Date.now()) {
+        challenges.delete(challengeId);
+        return { ok: false, reason: 'expired' };
+    }
+
+    // A code for one production can't unlock another
+    if (challenge.scope !== scope) {
+        return { ok: false, reason: 'expired' };
+    }
+
+    const expected = challenge.codeHash;
+    const actual = hashCode(challengeId, String(code || '').replace(/\D/g, ''));
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        challenge.attempts++;
+        if (challenge.attempts >= OTP_MAX_ATTEMPTS) {
+            challenges.delete(challengeId);
+            return { ok: false, reason: 'too_many_attempts' };
+        }
+        return { ok: false, reason: 'invalid' };
+    }
+
+    challenges.delete(challengeId);
+    return { ok: true, phone: challenge.phone };
+}
+
+/**
+ * Get the phone number a pending challenge was sent to
+ * @returns {string|null} The number, or null for unknown, expired and decoy challenges
+ */
+function getChallengePhone(challengeId) {
+    const challenge = challenges.get(challengeId);
+    return challenge && challenge.expiresAt > Date.now() ? challenge.phone : null;
+}
+
+module.exports = {
+    isRequired,
+    createChallenge,
+    createDecoyChallenge,
+    verifyChallenge,
+    getChallengePhone,
+};
@@ -0,0 +1,452 @@
+/**
+ * PDF Service
+ * Lays out call sheets as real text PDFs (selectable, searchable, small)
+ * Tables break between rows and repeat their header row on each new page
+ */
+
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 36;
+const CELL_PADDING = 5;
+
+const THEMES = {
+    dark: {
+        background: '#0a0a0a',
+        surface: '#171717',
+        text: '#f5f5f7',
+        secondary: '#a8a8ab',
+        tertiary: '#7a7a7d',
+        accent: '#0a84ff',
+        highlight: '#0d2a4a',
+        border: '#2c2c2e',
+        warning: '#ff453a',
+    },
+    light: {
+        background: '#ffffff',
+        surface: '#f2f2f4',
+        text: '#111111',
+        secondary: '#444446',
+        tertiary: '#77777a',
+        accent: '#0a6fd6',
+        highlight: '#e3f0ff',
+        border: '#d8d8dc',
+        warning: '#c4271d',
+    },
+};
+
+/**
+ * Format a date for display (matches the call sheet header)
+ */
+function formatDate(dateStr) {
+    if (!dateStr) return '';
+    return new Date(dateStr).toLocaleDateString('en-AU', {
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
+}
+
+/**
+ * Explain a value hidden by the visibility policy
+ */
+function describeRedaction(redaction) {
+    if (redaction.reason === 'authentication') return 'Enter phone to view';
+    if (redaction.reason === 'opt_out') return 'Not shared';
+    return 'Restricted';
+}
+
+/**
+ * Create a PDF document that paints the theme background on every page
+ */
+function createDocument(theme, title) {
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: { Title: title, Creator: 'CallSheetCraft' },
+    });
+
+    const paintBackground = () => {
+        doc.save().rect(0, 0, doc.page.width, doc.page.height).fill(theme.background).restore();
+        doc.x = PAGE_MARGIN;
+        doc.y = PAGE_MARGIN;
+    };
+    paintBackground();
+    doc.on('pageAdded', paintBackground);
+
+    return doc;
+}
+
+/**
+ * Usable content width and bottom edge of the current page
+ */
+function contentWidth(doc) {
+    return doc.page.width - PAGE_MARGIN * 2;
+}
+
+function pageBottom(doc) {
+    return doc.page.height - PAGE_MARGIN;
+}
+
+/**
+ * Start a new page unless `height` still fits below the cursor
+ */
+function ensureSpace(doc, height) {
+    if (doc.y + height > pageBottom(doc)) {
+        doc.addPage();
+    }
+}
+
+/**
+ * Draw a section heading
+ */
+function drawSectionTitle(doc, theme, title) {
+    doc.moveDown(0.6);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(theme.text)
+        .text(title, PAGE_MARGIN, doc.y, { width: contentWidth(doc) });
+    doc.moveDown(0.3);
+}
+
+/**
+ * Measure the height a table row needs so no cell is clipped
+ */
+function measureRow(doc, cells, widths, font, fontSize) {
+    doc.font(font).fontSize(fontSize);
+    const heights = cells.map((text, i) =>
+        doc.heightOfString(text || ' ', { width: widths[i] - CELL_PADDING * 2 })
+    );
+    return Math.max(...heights) + CELL_PADDING * 2;
+}
+
+/**
+ * Draw one table row at the cursor
+ */
+function drawRow(doc, theme, cells, widths, { font, fontSize, fill, color }) {
+    const height = measureRow(doc, cells, widths, font, fontSize);
+    const top = doc.y;
+    let x = PAGE_MARGIN;
+
+    if (fill) {
+        doc.save().rect(x, top, contentWidth(doc), height).fill(fill).restore();
+    }
+
+    doc.font(font).fontSize(fontSize).fillColor(color);
+    cells.forEach((text, i) => {
+        doc.text(text || '', x + CELL_PADDING, top + CELL_PADDING, {
+            width: widths[i] - CELL_PADDING * 2,
+        });
+        x += widths[i];
+    });
+
+    // Row divider
+    doc.save()
+        .moveTo(PAGE_MARGIN, top + height)
+        .lineTo(PAGE_MARGIN + contentWidth(doc), top + height)
+        .lineWidth(0.5).strokeColor(theme.border).stroke()
+        .restore();
+
+    doc.x = PAGE_MARGIN;
+    doc.y = top + height;
+}
+
+/**
+ * Draw a table that breaks between rows, repeating the header row on every page
+ * @param {Object} options - { title, columns: [{ header, width }], rows: [{ cells, highlight, fill, color }] }
+ *   Column widths are relative weights; rows hold display strings and may set their own fill and text colour
+ */
+function drawTable(doc, theme, { title, columns, rows, emptyText = 'No data available' }) {
+    const totalWeight = columns.reduce((sum, c) => sum + c.width, 0);
+    const widths = columns.map(c => (c.width / totalWeight) * contentWidth(doc));
+    const headerCells = columns.map(c => c.header.toUpperCase());
+    const headerStyle = { font: 'Helvetica-Bold', fontSize: 7.5, fill: theme.surface, color: theme.tertiary };
+    const bodyStyle = { font: 'Helvetica', fontSize: 9, color: theme.text };
+
+    // Keep the title with the header and first row
+    const headerHeight = measureRow(doc, headerCells, widths, headerStyle.font, headerStyle.fontSize);
+    const firstRowHeight = rows.length > 0
+        ? measureRow(doc, rows[0].cells, widths, bodyStyle.font, bodyStyle.fontSize)
+        : 20;
+    ensureSpace(doc, 30 + headerHeight + firstRowHeight);
+    drawSectionTitle(doc, theme, title);
+
+    if (rows.length === 0) {
+        doc.font('Helvetica').fontSize(9).fillColor(theme.tertiary).text(emptyText);
+        return;
+    }
+
+    drawRow(doc, theme, headerCells, widths, headerStyle);
+
+    for (const row of rows) {
+        const height = measureRow(doc, row.cells, widths, bodyStyle.font, bodyStyle.fontSize);
+        if (doc.y + height > pageBottom(doc)) {
+            doc.addPage();
+            drawRow(doc, theme, headerCells, widths, headerStyle);
+        }
+        drawRow(doc, theme, row.cells, widths, {
+            ...bodyStyle,
+            fill: row.fill || (row.highlight ? theme.highlight : null),
+            color: row.color || bodyStyle.color,
+        });
+    }
+}
+
+/**
+ * Draw label/value pairs in a grid (info bar, location details)
+ */
+function drawGrid(doc, theme, items, columnsPerRow) {
+    const width = contentWidth(doc) / columnsPerRow;
+
+    for (let i = 0; i < items.length; i += columnsPerRow) {
+        const rowItems = items.slice(i, i + columnsPerRow);
+
+        doc.font('Helvetica').fontSize(9);
+        const height = Math.max(...rowItems.map(item =>
+            doc.heightOfString(item.value, { width: width - 10 })
+        )) + 16;
+        ensureSpace(doc, height);
+
+        const top = doc.y;
+        rowItems.forEach((item, j) => {
+            const x = PAGE_MARGIN + j * width;
+            doc.font('Helvetica-Bold').fontSize(7).fillColor(theme.tertiary)
+                .text(item.label.toUpperCase(), x, top, { width: width - 10 });
+            doc.font(item.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9)
+                .fillColor(item.highlight ? theme.accent : item.warning ? theme.warning : theme.text)
+                .text(item.value, x, top + 10, { width: width - 10 });
+        });
+
+        doc.x = PAGE_MARGIN;
+        doc.y = top + height;
+    }
+}
+
+/**
+ * Draw a bordered callout box (closed set warning, notes, greeting)
+ */
+function drawCallout(doc, theme, { title, body, color }) {
+    const width = contentWidth(doc);
+    doc.font('Helvetica').fontSize(9);
+    const height = doc.heightOfString(body, { width: width - 20 }) + 34;
+    ensureSpace(doc, height);
+
+    const top = doc.y;
+    doc.save().roundedRect(PAGE_MARGIN, top, width, height, 6)
+        .lineWidth(1).strokeColor(color).stroke().restore();
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(color)
+        .text(title, PAGE_MARGIN + 10, top + 10, { width: width - 20 });
+    doc.font('Helvetica').fontSize(9).fillColor(theme.text)
+        .text(body, PAGE_MARGIN + 10, top + 24, { width: width - 20 });
+
+    doc.x = PAGE_MARGIN;
+    doc.y = top + height + 8;
+}
+
+/**
+ * Write "<label> • Page N of M" in the footer of every page (call once all pages are laid out)
+ */
+function drawPageNumbers(doc, theme, label) {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin would otherwise trigger a new page
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(7.5).fillColor(theme.tertiary).text(
+            `${label} • Page ${i + 1} of ${range.count}`,
+            PAGE_MARGIN, doc.page.height - PAGE_MARGIN + 12,
+            { width: contentWidth(doc), align: 'right', lineBreak: false }
+        );
+    }
+}
+
+/**
+ * Build the rows for a crew or cast table
+ */
+function buildPeopleRows(people, columns, { includeContacts, highlightPhone }) {
+    const normalize = phone => (phone || '').replace(/\D/g, '');
+
+    return (people || []).map(person => ({
+        highlight: !!highlightPhone && normalize(person.Phone) === normalize(highlightPhone),
+        cells: columns.map(column => {
+            const redaction = person._redacted?.[column];
+            if (redaction) return describeRedaction(redaction);
+            if (column === 'Phone' && !includeContacts) return person.Phone ? 'Hidden' : '';
+            return person[column] || '';
+        }),
+    }));
+}
+
+/**
+ * Render a call sheet to a PDF document
+ * The production must already be prepared for the viewer (visibility policy applied)
+ * @param {Object} production - Production as the viewer is allowed to see it
+ * @param {Object} options - { userInfo, includeContacts, lightMode }
+ * @returns {PDFDocument} Ended document, ready to pipe to a response
+ */
+function renderCallSheet(production, { userInfo = null, includeContacts = false, lightMode = false } = {}) {
+    const theme = lightMode ? THEMES.light : THEMES.dark;
+    const properties = production.properties || {};
+    const dayNum = properties.shoot_day_ || 1;
+    const doc = createDocument(theme, `${production.title} - Call Sheet`);
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(theme.text).text(production.title);
+    doc.font('Helvetica').fontSize(11).fillColor(theme.secondary)
+        .text([
+            `Day ${dayNum}`,
+            formatDate(properties.date_of_shoot),
+            production.revision?.label,
+        ].filter(Boolean).join(' • '));
+    doc.moveDown(0.8);
+
+    // Personal greeting
+    if (userInfo && includeContacts) {
+        drawCallout(doc, theme, {
+            title: `Call sheet for ${userInfo.name}`,
+            body: `${userInfo.role || userInfo.character} • Your call time: ${userInfo.callTime || 'TBC'}`,
+            color: theme.accent,
+        });
+    }
+
+    if (properties.closed_set === true) {
+        drawCallout(doc, theme, {
+            title: 'Closed Set',
+            body: 'This is a closed set. Please do not share any images or video from this production publicly.',
+            color: theme.warning,
+        });
+    }
+
+    // Info bar
+    const infoItems = [
+        { label: 'Your Call', value: includeContacts ? userInfo?.callTime : null, highlight: true, bold: true },
+        { label: 'Crew Call', value: properties.crew_call_time },
+        { label: 'Cast Call', value: properties.cast_call_time },
+        { label: 'Breakfast', value: properties.time_of_breakfast },
+        { label: 'Lunch', value: properties.time_of_lunch },
+        { label: 'Dinner', value: properties.time_of_dinner },
+        { label: 'Est. Wrap', value: properties.estimated_wrap },
+    ].filter(item => item.value);
+    drawGrid(doc, theme, infoItems, 4);
+
+    if (properties.notes) {
+        doc.moveDown(0.4);
+        drawCallout(doc, theme, { title: 'Production Notes', body: properties.notes, color: theme.border });
+    }
+
+    const peopleOptions = { includeContacts, highlightPhone: includeContacts ? userInfo?.phone : null };
+
+    drawTable(doc, theme, {
+        title: 'Crew',
+        columns: [
+            { header: 'Role', width: 3 },
+            { header: 'Name', width: 3 },
+            { header: 'Phone', width: 2.5 },
+            { header: 'Call Time', width: 1.5 },
+        ],
+        rows: buildPeopleRows(production.crew, ['Role', 'Name', 'Phone', 'Call Time'], peopleOptions),
+    });
+
+    drawTable(doc, theme, {
+        title: 'Cast',
+        columns: [
+            { header: 'Character', width: 3 },
+            { header: 'Name', width: 3 },
+            { header: 'Phone', width: 2.5 },
+            { header: 'Call Time', width: 1.5 },
+        ],
+        rows: buildPeopleRows(production.cast, ['Character', 'Name', 'Phone', 'Call Time'], peopleOptions),
+    });
+
+    // Locations
+    (production.locations || []).forEach((location, i) => {
+        const data = location.data || {};
+        const gemData = location.gemData || {};
+        const address = data['Location Address'] || '';
+        const unitBase = data['Unit Base Address'] || '';
+
+        ensureSpace(doc, 90);
+        drawSectionTitle(doc, theme, `Location ${i + 1}: ${data['Script Location'] || ''}`.trim());
+
+        drawGrid(doc, theme, [
+            { label: 'Location Address', value: address },
+            { label: 'Unit Base', value: unitBase && unitBase !== address ? unitBase : '' },
+            { label: 'Nearest Hospital', value: gemData.GEMnearestHospital },
+            { label: 'Fire Station', value: gemData.GEMnearestFireStation },
+            { label: 'Police Station', value: gemData.GEMnearestPoliceStation },
+            { label: '24hr Emergency', value: gemData.GEMnearestEmergencyAfterHours },
+            { label: 'Sunrise', value: gemData.GEMsunriseTime },
+            { label: 'Sunset', value: gemData.GEMsunsetTime },
+            { label: 'Temperature', value: gemData.GEMweatherTemp },
+            {
+                label: 'Conditions',
+                value: gemData.GEMweatherDesc,
+                warning: gemData.GEMweatherDesc?.toLowerCase().includes('warning'),
+            },
+            { label: 'Public Transport', value: gemData.GEMpublicTransportInfo },
+            {
+                label: 'Transport to Next Location',
+                value: gemData.GEMtransportDesc !== 'N/A' ? gemData.GEMtransportDesc : '',
+            },
+        ].filter(item => item.value), 2);
+    });
+
+    const userCharacter = includeContacts ? userInfo?.character?.toLowerCase() : null;
+    drawTable(doc, theme, {
+        title: 'Scenes',
+        emptyText: 'No scenes scheduled',
+        columns: [
+            { header: '#', width: 0.6 },
+            { header: 'Description', width: 3.4 },
+            { header: 'Characters', width: 1.8 },
+            { header: 'M&W', width: 1 },
+            { header: 'On-Set', width: 1 },
+            { header: 'Int/Ext', width: 0.8 },
+            { header: 'Location', width: 1.6 },
+        ],
+        rows: (production.scenes || []).map(scene => ({
+            highlight: !!userCharacter && (scene['Characters'] || '').toLowerCase().includes(userCharacter),
+            cells: [
+                scene['Scene Number'],
+                scene['Scene Description'],
+                scene._redacted?.['Characters'] ? describeRedaction(scene._redacted['Characters']) : scene['Characters'],
+                scene['Makeup & Wardrobe Time'],
+                scene['On-Set Time'],
+                scene['Int/Ext'],
+                scene['Script Location'],
+            ],
+        })),
+    });
+
+    // AI disclosure
+    ensureSpace(doc, 40);
+    doc.moveDown(1);
+    doc.font('Helvetica-Oblique').fontSize(7.5).fillColor(theme.tertiary).text(
+        'Some location details (emergency services, weather, transport) are AI-generated using Google Gemini ' +
+        'and may not be 100% accurate. Always verify critical information.',
+        PAGE_MARGIN, doc.y, { width: contentWidth(doc), align: 'center' }
+    );
+
+    drawPageNumbers(doc, theme, production.title);
+
+    doc.end();
+    return doc;
+}
+
+/**
+ * Build a safe download filename for a production's call sheet
+ */
+function getFilename(production) {
+    const dayNum = production.properties?.shoot_day_ || 1;
+    return `${(production.title || 'CallSheet').replace(/[^a-z0-9]/gi, '_')}_Day${dayNum}_CallSheet.pdf`;
+}
+
+module.exports = {
+    THEMES,
+    formatDate,
+    createDocument,
+    drawTable,
+    drawCallout,
+    drawPageNumbers,
+    renderCallSheet,
+    getFilename,
+};
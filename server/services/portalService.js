@@ -0,0 +1,127 @@
+/**
+ * Portal Service
+ * Finds every production and shoot day a phone number appears on
+ *
+ * The crew portal lets someone log in once and jump straight into any of their
+ * call sheets. Only what the portal lists is returned here: titles, dates and the
+ * person's own role and call time; each call sheet is still fetched (and prepared
+ * for the viewer) through the usual production endpoints.
+ */
+
+const { findUserByPhone, getBaseTitle } = require('./productionUtils');
+const { parseDate } = require('./timeUtils');
+
+/**
+ * Sortable key for a date ("YYYY-MM-DD")
+ */
+function toDateKey({ year, month, day }) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Sortable key for a shoot date, or null if it can't be read
+ */
+function getDateKey(dateText) {
+    const date = parseDate(dateText);
+    return date ? toDateKey(date) : null;
+}
+
+/**
+ * Compare days by date, then shoot day; days without a readable date go last
+ */
+function compareDays(a, b) {
+    if (a.dateKey !== b.dateKey) {
+        if (!a.dateKey) return 1;
+        if (!b.dateKey) return -1;
+        return a.dateKey < b.dateKey ? -1 : 1;
+    }
+    return (a.shootDay || 0) - (b.shootDay || 0);
+}
+
+/**
+ * Find the first match of a phone number across productions (e.g. to check it exists)
+ * @returns {Object|null} userInfo from findUserByPhone()
+ */
+function findPerson(productions, phone) {
+    for (const production of productions) {
+        const userInfo = findUserByPhone(production, phone);
+        if (userInfo) return userInfo;
+    }
+    return null;
+}
+
+/**
+ * Build a person's portal: every production they're on and their upcoming days
+ * @param {Array} productions - Every production from the data source
+ * @param {string} phone - The person's phone number
+ * @param {Object} options - { now } current time, for working out which days are upcoming
+ * @returns {Object|null} { person, productions, upcoming }, or null if the phone isn't on any production
+ */
+function buildPortal(productions, phone, { now = new Date() } = {}) {
+    const todayKey = toDateKey({ year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate() });
+    const days = [];
+
+    for (const production of productions) {
+        const userInfo = findUserByPhone(production, phone);
+        if (!userInfo) continue;
+
+        const props = production.properties || {};
+        const dateKey = getDateKey(props.date_of_shoot);
+
+        days.push({
+            id: production.id,
+            title: getBaseTitle(production.title),
+            fullTitle: production.title,
+            shootDay: props.shoot_day_ || 1,
+            date: props.date_of_shoot || null,
+            dateKey,
+            name: userInfo.name,
+            type: userInfo.type,
+            role: userInfo.role || null,
+            character: userInfo.character || null,
+            callTime: userInfo.callTime || null,
+            // Days without a readable date are kept, as they may still be ahead
+            upcoming: !dateKey || dateKey >= todayKey,
+        });
+    }
+
+    if (days.length === 0) return null;
+    days.sort(compareDays);
+
+    // Group days by production (days are already sorted by date)
+    const byTitle = new Map();
+    for (const day of days) {
+        if (!byTitle.has(day.title)) {
+            byTitle.set(day.title, { title: day.title, days: [] });
+        }
+        byTitle.get(day.title).days.push(day);
+    }
+
+    // Productions with days still to come go first, in order of their next day
+    const nextDayIndex = group => {
+        const index = days.findIndex(day => day.upcoming && day.title === group.title);
+        return index === -1 ? days.length : index;
+    };
+    const groups = [...byTitle.values()].sort((a, b) => nextDayIndex(a) - nextDayIndex(b));
+
+    return {
+        person: { name: days[0].name },
+        productions: groups.map(group => {
+            const upcomingDays = group.days.filter(day => day.upcoming);
+            return {
+                title: group.title,
+                nextDate: upcomingDays[0]?.date || null,
+                upcomingDays: upcomingDays.length,
+                days: group.days.map(({ id, shootDay, date, fullTitle }) => ({ id, shootDay, date, fullTitle })),
+            };
+        }),
+        upcoming: days
+            .filter(day => day.upcoming)
+            .map(({ dateKey, name, upcoming, ...day }) => day),
+    };
+}
+
+module.exports = {
+    findPerson,
+    buildPortal,
+};
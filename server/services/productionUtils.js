@@ -0,0 +1,165 @@
+/**
+ * Production Utilities
+ * Shared helpers for shaping productions, independent of the data source
+ */
+
+// Crew/cast column that receipt acknowledgements are written back to (see acknowledgementService.js)
+const ACKNOWLEDGEMENT_FIELD = 'Confirmed';
+
+/**
+ * Normalize phone number for comparison
+ * Strips all non-digit characters
+ */
+function normalizePhone(phone) {
+    return phone?.replace(/\D/g, '') || '';
+}
+
+/**
+ * Find a person by phone number in a production's crew or cast
+ * Returns user info if found, null otherwise
+ */
+function findUserByPhone(production, phone) {
+    const normalizedPhone = normalizePhone(phone);
+    if (!normalizedPhone) return null;
+
+    // Check crew
+    for (const member of production.crew || []) {
+        if (normalizePhone(member.Phone) === normalizedPhone) {
+            return {
+                name: member.Name,
+                phone: member.Phone,
+                role: member.Role,
+                callTime: member['Call Time'],
+                type: 'crew',
+            };
+        }
+    }
+
+    // Check cast
+    for (const member of production.cast || []) {
+        if (normalizePhone(member.Phone) === normalizedPhone) {
+            return {
+                name: member.Name,
+                phone: member.Phone,
+                character: member.Character,
+                callTime: member['Call Time'],
+                type: 'cast',
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get the scenes relevant to a person: their character's scenes for cast, every scene for crew
+ */
+function getScenesFor(production, userInfo) {
+    const scenes = production.scenes || [];
+    if (userInfo.type !== 'cast' || !userInfo.character) return scenes;
+
+    const character = userInfo.character.trim().toLowerCase();
+    return scenes.filter(scene => {
+        // Keep scenes whose character list is hidden from this viewer rather than guess
+        if (!scene.Characters) return !!scene._redacted?.Characters;
+        return scene.Characters.split(',').some(name => name.trim().toLowerCase() === character);
+    });
+}
+
+// Departments inferred from crew roles, for call sheets without a Department column
+const DEPARTMENT_PATTERNS = [
+    ['Art', /\b(art|production designer|props?|set dec|set decorator|set dresser|buyer)\b/i],
+    ['Directing', /\b(director|AD|assistant director|script supervisor|continuity)\b/i],
+    ['Production', /\b(producer|production|PM|coordinator|runner|PA|unit|location manager)\b/i],
+    ['Camera', /\b(DOP|DP|cinematographer|camera|focus|AC|DIT|steadicam|loader)\b/i],
+    ['Lighting & Grip', /\b(gaffer|grip|electric|spark|best boy|lighting)\b/i],
+    ['Sound', /\b(sound|boom|audio)\b/i],
+    ['Hair & Makeup', /\b(hair|make-?up|HMU|MUA|SFX makeup)\b/i],
+    ['Wardrobe', /\b(wardrobe|costume)\b/i],
+    ['Stunts', /\b(stunt|fight)\b/i],
+    ['Catering', /\b(catering|caterer|chef|craft service)\b/i],
+];
+
+/**
+ * Get the department of a crew or cast member
+ * Uses a Department column when the call sheet has one, otherwise infers it from the Role
+ * @param {string} type - 'crew' or 'cast'
+ */
+function getDepartment(member, type) {
+    if (member.Department) return member.Department.trim();
+    if (type === 'cast') return 'Cast';
+
+    const match = DEPARTMENT_PATTERNS.find(([, pattern]) => pattern.test(member.Role || ''));
+    return match ? match[0] : 'Other';
+}
+
+/**
+ * Extract the base title of a production (removing day number if present)
+ * e.g. "Short Film - Day 2" -> "Short Film"
+ */
+function getBaseTitle(title) {
+    if (!title) return '';
+    return title.replace(/\s*-\s*Day\s*\d+$/i, '').trim() || title;
+}
+
+/**
+ * Split a location key-value map into regular data and GEM (enriched) fields
+ */
+function splitLocationFields(fields) {
+    const data = {};
+    const gemData = {};
+
+    for (const [key, value] of Object.entries(fields || {})) {
+        if (key.startsWith('GEM')) {
+            gemData[key] = value;
+        } else {
+            data[key] = value;
+        }
+    }
+
+    return { data, gemData };
+}
+
+/**
+ * Group parsed productions by base title, one entry per shoot day
+ * Days within each group are sorted by shoot day number
+ */
+function groupProductions(productions) {
+    const grouped = {};
+
+    for (const production of productions) {
+        const baseTitle = getBaseTitle(production.title);
+
+        if (!grouped[baseTitle]) {
+            grouped[baseTitle] = {
+                title: baseTitle,
+                days: [],
+            };
+        }
+
+        grouped[baseTitle].days.push({
+            id: production.id,
+            shootDay: production.properties.shoot_day_ || 1,
+            date: production.properties.date_of_shoot,
+            fullTitle: production.title,
+        });
+    }
+
+    // Sort days within each group
+    for (const group of Object.values(grouped)) {
+        group.days.sort((a, b) => (a.shootDay || 0) - (b.shootDay || 0));
+    }
+
+    return Object.values(grouped);
+}
+
+module.exports = {
+    ACKNOWLEDGEMENT_FIELD,
+    normalizePhone,
+    findUserByPhone,
+    getScenesFor,
+    getDepartment,
+    getBaseTitle,
+    splitLocationFields,
+    groupProductions,
+};
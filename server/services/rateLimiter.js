@@ -0,0 +1,292 @@
+/**
+ * Rate Limiter
+ * Brute-force protection for phone login: failed attempts are counted per IP,
+ * per phone number within a production, and per production, with progressive
+ * delays and temporary lockouts
+ *
+ * An IP or phone number that reaches its limit is locked out. A production that
+ * reaches its limit (e.g. a distributed attack) is only slowed down, never locked,
+ * so anonymous failures can't keep its crew from logging in.
+ *
+ * Each attempt is counted when it's checked, before the login is tried, so
+ * parallel guesses can't all pass the check before any failure is recorded.
+ * The attempt is refunded if it succeeds or doesn't turn out to be a guess.
+ *
+ * Passcode texts are limited separately, per phone number and per IP, so
+ * repeated logins with a correct number can't send an unlimited stream of SMS.
+ *
+ * Counters live in a store implementing:
+ *   get(key)                         -> Promise<value|null>
+ *   set(key, value, ttlMs)           -> Promise
+ *   delete(key)                      -> Promise
+ *   increment(key, amount, ttlMs)    -> Promise<number>, atomically adding to a counter
+ * The in-memory store is used by default; call setStore() to share limits
+ * between server instances (e.g. a Redis-backed store using INCRBY and PEXPIRE).
+ */
+
+const { normalizePhone } = require('./productionUtils');
+
+const AUTH_FAILURE_WINDOW_MINUTES = parseFloat(process.env.AUTH_FAILURE_WINDOW_MINUTES || '15');
+const AUTH_MAX_FAILURES_PER_IP = parseInt(process.env.AUTH_MAX_FAILURES_PER_IP || '10', 10);
+const AUTH_MAX_FAILURES_PER_PHONE = parseInt(process.env.AUTH_MAX_FAILURES_PER_PHONE || '5', 10);
+const AUTH_MAX_FAILURES_PER_PRODUCTION = parseInt(process.env.AUTH_MAX_FAILURES_PER_PRODUCTION || '30', 10);
+const AUTH_IP_LOCKOUT_MINUTES = parseFloat(process.env.AUTH_IP_LOCKOUT_MINUTES || '15');
+const AUTH_PHONE_LOCKOUT_MINUTES = parseFloat(process.env.AUTH_PHONE_LOCKOUT_MINUTES || '15');
+const OTP_SEND_WINDOW_MINUTES = parseFloat(process.env.OTP_SEND_WINDOW_MINUTES || '15');
+const OTP_MAX_SENDS_PER_PHONE = parseInt(process.env.OTP_MAX_SENDS_PER_PHONE || '3', 10);
+const OTP_MAX_SENDS_PER_IP = parseInt(process.env.OTP_MAX_SENDS_PER_IP || '10', 10);
+
+// Progressive delay: no delay for the first failures, then doubling up to a cap
+const AUTH_DELAY_FREE_FAILURES = 2;
+const AUTH_DELAY_BASE_MS = 500;
+const AUTH_DELAY_MAX_MS = 8000;
+
+/**
+ * Create an in-memory store (limits reset when the server restarts)
+ */
+function createMemoryStore() {
+    const entries = new Map();
+
+    return {
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+        async set(key, value, ttlMs) {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+            // Opportunistically drop expired entries so the map doesn't grow forever
+            if (entries.size > 10000) {
+                const now = Date.now();
+                for (const [k, e] of entries) {
+                    if (e.expiresAt <= now) entries.delete(k);
+                }
+            }
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async increment(key, amount, ttlMs) {
+            // No await between reading and writing, so concurrent requests can't interleave
+            const entry = entries.get(key);
+            const current = entry && entry.expiresAt > Date.now() ? entry.value : 0;
+            const value = current + amount;
+
+            if (value > 0) {
+                entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+            } else {
+                entries.delete(key);
+            }
+            return Math.max(value, 0);
+        },
+    };
+}
+
+let store = createMemoryStore();
+
+/**
+ * Replace the counter store
+ */
+function setStore(newStore) {
+    store = newStore;
+}
+
+/**
+ * Counter keys and limits for a login attempt
+ * Limits with a lockoutMs lock out when reached; the others only slow attempts down
+ * @param {string} scope - Production ID, or the crew portal scope
+ * @param {string} phone - Number the attempt is for, if known
+ */
+function getLimits(ip, scope, phone) {
+    const limits = [
+        {
+            key: `auth:ip:${ip}`,
+            maxFailures: AUTH_MAX_FAILURES_PER_IP,
+            lockoutMs: AUTH_IP_LOCKOUT_MINUTES * 60 * 1000,
+        },
+        {
+            key: `auth:production:${scope}`,
+            maxFailures: AUTH_MAX_FAILURES_PER_PRODUCTION,
+            lockoutMs: null,
+        },
+    ];
+
+    const digits = normalizePhone(phone);
+    if (digits) {
+        limits.push({
+            key: `auth:phone:${scope}:${digits}`,
+            maxFailures: AUTH_MAX_FAILURES_PER_PHONE,
+            lockoutMs: AUTH_PHONE_LOCKOUT_MINUTES * 60 * 1000,
+        });
+    }
+    return limits;
+}
+
+/**
+ * Progressive delay after a number of failures
+ */
+function getDelayMs(failures) {
+    const extra = failures - AUTH_DELAY_FREE_FAILURES;
+    return extra >= 0 ? Math.min(AUTH_DELAY_BASE_MS * 2 ** extra, AUTH_DELAY_MAX_MS) : 0;
+}
+
+/**
+ * Lock a limit's key out
+ */
+async function lockOut(limit, failures) {
+    await store.set(`${limit.key}:locked`, Date.now() + limit.lockoutMs, limit.lockoutMs);
+    console.warn(`🔒 Login locked for ${limit.key} after ${failures} failed attempts`);
+}
+
+/**
+ * Check whether a login attempt may proceed, counting it as a failure until it's
+ * refunded by recordAuthSuccess() or releaseAuthAttempt()
+ * @param {string} scope - Production ID, or the crew portal scope
+ * @param {string} phone - Number the attempt is for, if known
+ * @returns {Object} { allowed: true, delayMs } or { allowed: false, retryAfterSeconds, scope }
+ */
+async function reserveAuthAttempt(ip, scope, phone) {
+    const limits = getLimits(ip, scope, phone);
+    const denied = limit => ({
+        allowed: false,
+        retryAfterSeconds: Math.ceil(limit.lockoutMs / 1000),
+        scope: limit.key.split(':')[1],
+    });
+
+    for (const limit of limits) {
+        const lockedUntil = limit.lockoutMs && await store.get(`${limit.key}:locked`);
+        if (lockedUntil && lockedUntil > Date.now()) {
+            return { ...denied(limit), retryAfterSeconds: Math.ceil((lockedUntil - Date.now()) / 1000) };
+        }
+    }
+
+    const windowMs = AUTH_FAILURE_WINDOW_MINUTES * 60 * 1000;
+    const counts = [];
+    for (const limit of limits) {
+        counts.push(await store.increment(limit.key, 1, windowMs));
+    }
+
+    let delayMs = 0;
+    for (const [i, limit] of limits.entries()) {
+        const previousFailures = counts[i] - 1;
+
+        if (limit.lockoutMs && previousFailures >= limit.maxFailures) {
+            // Parallel attempts got past the lock check before the last failure locked it
+            await releaseAuthAttempt(ip, scope, phone);
+            if (!await store.get(`${limit.key}:locked`)) await lockOut(limit, previousFailures);
+            return denied(limit);
+        }
+
+        // Delays follow this client's own failures, and everyone's only once a production is over its limit
+        if (limit.lockoutMs) {
+            delayMs = Math.max(delayMs, getDelayMs(previousFailures));
+        } else if (previousFailures >= limit.maxFailures) {
+            delayMs = Math.max(delayMs, getDelayMs(AUTH_DELAY_FREE_FAILURES + previousFailures - limit.maxFailures));
+        }
+    }
+
+    return { allowed: true, delayMs };
+}
+
+/**
+ * Refund an attempt reserved by reserveAuthAttempt() that wasn't a guess (e.g. a passcode was sent)
+ */
+async function releaseAuthAttempt(ip, scope, phone) {
+    const windowMs = AUTH_FAILURE_WINDOW_MINUTES * 60 * 1000;
+    for (const limit of getLimits(ip, scope, phone)) {
+        await store.increment(limit.key, -1, windowMs);
+    }
+}
+
+/**
+ * Record that a reserved login attempt failed, locking out the IP or phone number when a limit is reached
+ * @param {string} scope - Production ID, or the crew portal scope
+ * @param {Object} context - The attempt's phone number, and extra detail for the log (e.g. { phone, reason, userAgent })
+ */
+async function recordAuthFailure(ip, scope, context = {}) {
+    const counts = {};
+
+    for (const limit of getLimits(ip, scope, context.phone)) {
+        const failures = (await store.get(limit.key)) || 0;
+
+        if (limit.lockoutMs && failures >= limit.maxFailures && !await store.get(`${limit.key}:locked`)) {
+            await lockOut(limit, failures);
+        }
+        counts[limit.key.split(':')[1]] = failures;
+    }
+
+    // Mask the phone so logs show a pattern without collecting numbers
+    const digits = (context.phone || '').replace(/\D/g, '');
+    console.warn('⚠️  Failed login', JSON.stringify({
+        ip,
+        productionId: scope,
+        phone: digits ? `***${digits.slice(-3)}` : null,
+        reason: context.reason,
+        userAgent: context.userAgent,
+        ipFailures: counts.ip,
+        phoneFailures: counts.phone,
+        productionFailures: counts.production,
+    }));
+}
+
+/**
+ * Clear an IP's and phone number's failure counts after a successful login
+ * The production-wide count only has this attempt refunded, so a valid login can't mask an attack
+ */
+async function recordAuthSuccess(ip, scope, phone) {
+    await store.delete(`auth:ip:${ip}`);
+    if (normalizePhone(phone)) {
+        await store.delete(`auth:phone:${scope}:${normalizePhone(phone)}`);
+    }
+    await store.increment(`auth:production:${scope}`, -1, AUTH_FAILURE_WINDOW_MINUTES * 60 * 1000);
+}
+
+/**
+ * Check whether a passcode may be texted to a phone number, counting the send if so
+ * Decoy challenges for unknown numbers should be counted too, so limits don't reveal which numbers are real
+ * @returns {Object} { allowed: true } or { allowed: false, retryAfterSeconds, scope }
+ */
+async function reservePasscodeSend(ip, phone) {
+    const windowMs = OTP_SEND_WINDOW_MINUTES * 60 * 1000;
+    const limits = [{ key: `otp:ip:${ip}`, maxSends: OTP_MAX_SENDS_PER_IP }];
+
+    const digits = normalizePhone(phone);
+    if (digits) {
+        limits.push({ key: `otp:phone:${digits}`, maxSends: OTP_MAX_SENDS_PER_PHONE });
+    }
+
+    const counts = [];
+    for (const limit of limits) {
+        counts.push(await store.increment(limit.key, 1, windowMs));
+    }
+
+    const exceeded = limits.find((limit, i) => counts[i] > limit.maxSends);
+    if (!exceeded) return { allowed: true };
+
+    // Don't count refused sends, so the window isn't extended forever
+    for (const limit of limits) {
+        await store.increment(limit.key, -1, windowMs);
+    }
+    const scope = exceeded.key.split(':')[1];
+    console.warn(`🔒 Passcode sends limited for ${scope === 'ip' ? ip : `phone ***${digits.slice(-3)}`}`);
+    return {
+        allowed: false,
+        retryAfterSeconds: Math.ceil(windowMs / 1000),
+        scope,
+    };
+}
+
+module.exports = {
+    createMemoryStore,
+    setStore,
+    reserveAuthAttempt,
+    releaseAuthAttempt,
+    recordAuthFailure,
+    recordAuthSuccess,
+    reservePasscodeSend,
+};
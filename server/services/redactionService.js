@@ -0,0 +1,212 @@
+/**
+ * Redaction Service
+ * Decides, per field and per audience, what each viewer of a production can see
+ *
+ * A policy maps "<section>.<field>" to the audiences allowed to see it, where
+ * section is crew, cast or scenes. Audiences:
+ *   anonymous     - everyone, including viewers who skipped the phone screen
+ *   authenticated - anyone who logged in with their phone
+ *   crew, cast    - logged-in viewers from the crew or cast table
+ *   ad, producer,
+ *   casting       - logged-in crew whose Role matches an AD, producer or casting title
+ *   self          - the person the row describes
+ * Fields are matched case-insensitively, so "crew.Phone" also covers a "phone" column.
+ * Fields not in the policy are visible to everyone.
+ *
+ * The policy is built from DEFAULT_POLICY, then the VISIBILITY_POLICY environment
+ * variable (JSON), then the production's `visibility_policy` property (JSON).
+ * People can also opt out of sharing their number with a "Share Phone" column set to No.
+ */
+
+const { normalizePhone } = require('./productionUtils');
+
+const DEFAULT_POLICY = {
+    'crew.Phone': ['authenticated'],
+    'cast.Phone': ['authenticated'],
+    // Notification contact details and preferences (see notificationService.js)
+    'crew.Email': ['ad', 'producer', 'self'],
+    'cast.Email': ['ad', 'producer', 'self'],
+    'crew.Notify': ['self'],
+    'cast.Notify': ['self'],
+    // Receipt acknowledgements (see acknowledgementService.js)
+    'crew.Confirmed': ['ad', 'producer', 'self'],
+    'cast.Confirmed': ['ad', 'producer', 'self'],
+};
+
+// Who can still see the number of someone who opted out of sharing it
+const DEFAULT_OPT_OUT_AUDIENCES = ['self'];
+
+const ROLE_AUDIENCES = {
+    ad: /\b((1st|2nd|3rd|first|second|third)\s*)?(AD|assistant director)\b/i,
+    producer: /\bproducer\b/i,
+    casting: /\bcasting\b/i,
+};
+
+const POLICY_SECTIONS = ['crew', 'cast', 'scenes'];
+
+/**
+ * Check a policy's entries, each of which should be a list of audiences
+ * A single audience (e.g. "ad") is accepted as a list of one; anything else is dropped with a warning
+ */
+function normalizePolicy(policy, source) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        console.error(`Ignoring invalid visibility policy from ${source}: expected an object`);
+        return {};
+    }
+
+    const normalized = {};
+    for (const [key, value] of Object.entries(policy)) {
+        if (typeof value === 'string') {
+            normalized[key] = [value];
+        } else if (Array.isArray(value) && value.every(audience => typeof audience === 'string')) {
+            normalized[key] = value;
+        } else {
+            console.error(`Ignoring invalid visibility policy entry "${key}" from ${source}: expected a list of audiences`);
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Parse a policy that may be stored as a JSON string (e.g. a Craft property)
+ */
+function parsePolicy(value, source) {
+    if (!value) return {};
+    if (typeof value === 'object') return normalizePolicy(value, source);
+
+    try {
+        return normalizePolicy(JSON.parse(value), source);
+    } catch (error) {
+        console.error(`Ignoring invalid visibility policy from ${source}:`, error.message);
+        return {};
+    }
+}
+
+/**
+ * Build the effective policy for a production
+ * @returns {Object} { fields: { "section.field": [audiences] }, optOut: [audiences] } with lowercase field keys
+ */
+function getPolicy(production) {
+    const sources = [
+        DEFAULT_POLICY,
+        parsePolicy(process.env.VISIBILITY_POLICY, 'VISIBILITY_POLICY'),
+        parsePolicy(production.properties?.visibility_policy, `production ${production.id}`),
+    ];
+
+    // Lowercase keys so a later "crew.phone" overrides an earlier "crew.Phone"
+    const merged = {};
+    for (const source of sources) {
+        for (const [key, value] of Object.entries(source)) {
+            merged[key === 'optOut' ? key : key.toLowerCase()] = value;
+        }
+    }
+
+    const { optOut, ...fields } = merged;
+    return {
+        fields,
+        optOut: Array.isArray(optOut) ? optOut : DEFAULT_OPT_OUT_AUDIENCES,
+    };
+}
+
+/**
+ * Get the audiences a viewer belongs to (excluding "self", which depends on the row)
+ * @param {Object|null} viewer - userInfo from findUserByPhone(), or null when anonymous
+ */
+function getViewerAudiences(viewer) {
+    const audiences = new Set(['anonymous']);
+    if (!viewer) return audiences;
+
+    audiences.add('authenticated');
+    audiences.add(viewer.type);
+
+    for (const [audience, pattern] of Object.entries(ROLE_AUDIENCES)) {
+        if (viewer.type === 'crew' && pattern.test(viewer.role || '')) {
+            audiences.add(audience);
+        }
+    }
+    return audiences;
+}
+
+/**
+ * Check whether a viewer belongs to an audience (e.g. hasAudience(userInfo, 'ad'))
+ */
+function hasAudience(viewer, audience) {
+    return getViewerAudiences(viewer).has(audience);
+}
+
+/**
+ * Check whether a person has opted out of sharing their phone number
+ */
+function hasOptedOut(row) {
+    const value = (row['Share Phone'] || '').trim().toLowerCase();
+    return ['no', 'n', 'false', 'opt out', 'private'].includes(value);
+}
+
+/**
+ * Redact one row, recording why each hidden field was hidden in `_redacted`
+ */
+function redactRow(row, section, policy, viewer, viewerAudiences) {
+    const audiences = new Set(viewerAudiences);
+    if (viewer && row.Phone && normalizePhone(row.Phone) === normalizePhone(viewer.phone)) {
+        audiences.add('self');
+    }
+
+    const redacted = {};
+    const result = { ...row };
+
+    for (const field of Object.keys(row)) {
+        const allowed = policy.fields[`${section}.${field}`.toLowerCase()];
+        const isPhone = field === 'Phone' || field === 'phone';
+
+        if (isPhone && hasOptedOut(row) && !policy.optOut.some(a => audiences.has(a))) {
+            redacted[field] = { reason: 'opt_out' };
+        } else if (allowed && !allowed.some(a => audiences.has(a))) {
+            redacted[field] = viewer
+                ? { reason: 'restricted', visibleTo: allowed }
+                : { reason: 'authentication' };
+        } else {
+            continue;
+        }
+
+        // Only mark fields that actually had a value, so empty cells stay empty
+        if (!row[field]) {
+            delete redacted[field];
+        }
+        delete result[field];
+    }
+
+    if (Object.keys(redacted).length > 0) {
+        result._redacted = redacted;
+    }
+    return result;
+}
+
+/**
+ * Apply a production's visibility policy for a viewer
+ * @param {Object} production - Full production
+ * @param {Object|null} viewer - userInfo from findUserByPhone(), or null when anonymous
+ * @returns {Object} Deep-cloned production with hidden fields removed and explained in `_redacted`
+ */
+function applyPolicy(production, viewer) {
+    const policy = getPolicy(production);
+    const viewerAudiences = getViewerAudiences(viewer);
+    const redacted = JSON.parse(JSON.stringify(production)); // Deep clone
+
+    for (const section of POLICY_SECTIONS) {
+        if (!Array.isArray(redacted[section])) continue;
+        redacted[section] = redacted[section].map(row =>
+            redactRow(row, section, policy, viewer, viewerAudiences)
+        );
+    }
+
+    // The policy itself is configuration, not call sheet content
+    delete redacted.properties?.visibility_policy;
+
+    return redacted;
+}
+
+module.exports = {
+    getPolicy,
+    hasAudience,
+    applyPolicy,
+};
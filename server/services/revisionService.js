@@ -0,0 +1,275 @@
+/**
+ * Revision Service
+ * Snapshots each production as it is read, numbers the revisions and diffs them
+ *
+ * A new revision is recorded whenever a production's content differs from its
+ * latest snapshot. Enriched GEM data is not part of the snapshot, so re-running
+ * enrichment never creates a revision. Revisions follow the usual call sheet
+ * colour sequence (White, Blue, Pink, ...).
+ *
+ * Snapshots are stored as one JSON file per production in REVISIONS_DIR
+ * (default data/revisions).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { ACKNOWLEDGEMENT_FIELD } = require('./productionUtils');
+
+const REVISIONS_DIR = path.resolve(process.env.REVISIONS_DIR || path.join(__dirname, '../../data/revisions'));
+
+const REVISION_COLORS = [
+    { name: 'White', hex: '#f5f5f7' },
+    { name: 'Blue', hex: '#7aa7ff' },
+    { name: 'Pink', hex: '#ff9ec7' },
+    { name: 'Yellow', hex: '#ffe66d' },
+    { name: 'Green', hex: '#8fe388' },
+    { name: 'Goldenrod', hex: '#e0b040' },
+    { name: 'Buff', hex: '#f0dc82' },
+    { name: 'Salmon', hex: '#ff9a8a' },
+    { name: 'Cherry', hex: '#de3163' },
+];
+
+// Writes are serialised per production so concurrent fetches can't both append
+const pendingWrites = new Map();
+
+/**
+ * Get the colour of a revision number, cycling through "Double", "Triple", ... colours
+ */
+function getColor(number) {
+    const color = REVISION_COLORS[(number - 1) % REVISION_COLORS.length];
+    const cycle = Math.floor((number - 1) / REVISION_COLORS.length);
+    const prefix = ['', 'Double ', 'Triple '][cycle] ?? `${cycle + 1}x `;
+    return { name: `${prefix}${color.name}`, hex: color.hex };
+}
+
+/**
+ * Public description of a stored revision
+ */
+function toMeta(revision) {
+    const color = getColor(revision.number);
+    return {
+        number: revision.number,
+        color: color.name,
+        hex: color.hex,
+        label: `Revision ${revision.number} – ${color.name}`,
+        createdAt: revision.createdAt,
+    };
+}
+
+/**
+ * Drop bookkeeping columns from people rows (confirming receipt isn't a change to the call sheet)
+ */
+function withoutBookkeeping(rows = []) {
+    return rows.map(({ [ACKNOWLEDGEMENT_FIELD]: _, ...row }) => row);
+}
+
+/**
+ * The call sheet content of a production, without enrichment or data source bookkeeping
+ */
+function toSnapshot(production) {
+    return {
+        title: production.title,
+        properties: production.properties || {},
+        crew: withoutBookkeeping(production.crew),
+        cast: withoutBookkeeping(production.cast),
+        locations: (production.locations || []).map(loc => ({ data: loc.data || {} })),
+        scenes: production.scenes || [],
+    };
+}
+
+/**
+ * Path of a production's revision file
+ */
+function getFilePath(productionId) {
+    const safeId = String(productionId).replace(/[^a-z0-9_-]/gi, '_');
+    return path.join(REVISIONS_DIR, `${safeId}.json`);
+}
+
+/**
+ * Read a production's revision history
+ */
+async function readHistory(productionId) {
+    try {
+        return JSON.parse(await fs.readFile(getFilePath(productionId), 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return { productionId, revisions: [] };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Write a production's revision history (via a temp file, so readers never see half a file)
+ */
+async function writeHistory(productionId, history) {
+    await fs.mkdir(REVISIONS_DIR, { recursive: true });
+    const filePath = getFilePath(productionId);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(history, null, 2));
+    await fs.rename(tempPath, filePath);
+}
+
+/**
+ * Record a snapshot of a production if it changed since the latest revision
+ * @returns {Promise<Object>} Meta of the current revision, plus `created` if it was just recorded
+ */
+function recordRevision(production) {
+    const previous = pendingWrites.get(production.id) || Promise.resolve();
+
+    const task = previous.catch(() => {}).then(async () => {
+        const snapshot = toSnapshot(production);
+        const hash = crypto.createHash('sha256').update(JSON.stringify(snapshot)).digest('hex');
+
+        const history = await readHistory(production.id);
+        const latest = history.revisions[history.revisions.length - 1];
+
+        if (latest?.hash === hash) {
+            return toMeta(latest);
+        }
+
+        const revision = {
+            number: (latest?.number || 0) + 1,
+            createdAt: new Date().toISOString(),
+            hash,
+            snapshot,
+        };
+        history.revisions.push(revision);
+        await writeHistory(production.id, history);
+
+        console.log(`📝 Recorded revision ${revision.number} of ${production.title}`);
+        return { ...toMeta(revision), created: true };
+    });
+
+    pendingWrites.set(production.id, task);
+    task.finally(() => {
+        if (pendingWrites.get(production.id) === task) {
+            pendingWrites.delete(production.id);
+        }
+    }).catch(() => {});
+
+    return task;
+}
+
+/**
+ * List a production's revisions, oldest first
+ */
+async function listRevisions(productionId) {
+    const history = await readHistory(productionId);
+    return history.revisions.map(toMeta);
+}
+
+/**
+ * Get one revision with its snapshot
+ * @returns {Promise<Object|null>} { ...meta, snapshot }
+ */
+async function getRevision(productionId, number) {
+    const history = await readHistory(productionId);
+    const revision = history.revisions.find(r => r.number === number);
+    return revision ? { ...toMeta(revision), snapshot: revision.snapshot } : null;
+}
+
+/**
+ * Compare two flat objects, ignoring redaction markers
+ * @returns {Array} [{ field, before, after }]
+ */
+function diffFields(before = {}, after = {}) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+
+    for (const field of fields) {
+        if (field === '_redacted') continue;
+        const oldValue = before[field] ?? '';
+        const newValue = after[field] ?? '';
+        if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+            changes.push({ field, before: oldValue, after: newValue });
+        }
+    }
+    return changes;
+}
+
+/**
+ * Compare two lists of rows matched by key
+ * @returns {Object} { added, removed, changed: [{ key, row, changes }], reordered: { before, after } | null }
+ */
+function diffRows(beforeRows = [], afterRows = [], getKey) {
+    const keyed = rows => {
+        const map = new Map();
+        rows.forEach((row, index) => {
+            const key = getKey(row, index);
+            if (!map.has(key)) map.set(key, row);
+        });
+        return map;
+    };
+
+    const before = keyed(beforeRows);
+    const after = keyed(afterRows);
+
+    const added = [...after].filter(([key]) => !before.has(key)).map(([key, row]) => ({ key, row }));
+    const removed = [...before].filter(([key]) => !after.has(key)).map(([key, row]) => ({ key, row }));
+    const changed = [];
+
+    for (const [key, row] of after) {
+        if (!before.has(key)) continue;
+        const changes = diffFields(before.get(key), row);
+        if (changes.length > 0) {
+            changed.push({ key, row, changes });
+        }
+    }
+
+    // Order only counts for rows present in both revisions
+    const beforeOrder = [...before.keys()].filter(key => after.has(key));
+    const afterOrder = [...after.keys()].filter(key => before.has(key));
+    const reordered = beforeOrder.join('\n') !== afterOrder.join('\n')
+        ? { before: beforeOrder, after: afterOrder }
+        : null;
+
+    return { added, removed, changed, reordered };
+}
+
+/**
+ * Row keys used to match rows between revisions (and by the frontend to find changed cells)
+ */
+const ROW_KEYS = {
+    crew: (row, index) => row.Name?.trim().toLowerCase() || `#${index + 1}`,
+    cast: (row, index) => row.Name?.trim().toLowerCase() || `#${index + 1}`,
+    scenes: (row, index) => row['Scene Number']?.trim() || `#${index + 1}`,
+    locations: (loc, index) => loc.data?.['Script Location']?.trim() || loc.data?.['Location Address']?.trim() || `#${index + 1}`,
+};
+
+/**
+ * Diff two snapshots
+ * Pass snapshots that have already been prepared for the viewer, so hidden fields stay hidden
+ */
+function diffSnapshots(before, after) {
+    const diff = {
+        properties: diffFields(before.properties, after.properties),
+    };
+
+    for (const [section, getKey] of Object.entries(ROW_KEYS)) {
+        diff[section] = diffRows(before[section], after[section], getKey);
+    }
+
+    // Locations are compared on their call sheet data only
+    diff.locations.changed = diff.locations.changed.map(change => ({
+        ...change,
+        changes: diffFields(
+            before.locations.find((loc, i) => ROW_KEYS.locations(loc, i) === change.key)?.data,
+            change.row.data
+        ),
+    }));
+
+    if (before.title !== after.title) {
+        diff.title = { before: before.title, after: after.title };
+    }
+
+    return diff;
+}
+
+module.exports = {
+    recordRevision,
+    listRevisions,
+    getRevision,
+    diffSnapshots,
+};
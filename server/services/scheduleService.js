@@ -0,0 +1,93 @@
+/**
+ * Schedule Service
+ * Builds one person's timeline across every shoot day of a production
+ *
+ * Each day is matched by phone, so a person who's only on some days sees the
+ * other days flagged as "not called" (without any of that day's details).
+ * Pass days that have already been prepared for the person, so hidden fields stay hidden,
+ * along with the person as found on each day before it was prepared.
+ */
+
+const { getBaseTitle, getScenesFor } = require('./productionUtils');
+
+/**
+ * Describe a day's locations for the schedule
+ */
+function summarizeLocations(production) {
+    return (production.locations || [])
+        .map(loc => ({
+            name: loc.data?.['Script Location'] || null,
+            address: loc.data?.['Location Address'] || null,
+            unitBase: loc.data?.['Unit Base Address'] || null,
+        }))
+        .filter(loc => loc.name || loc.address);
+}
+
+/**
+ * Describe a person's scenes on a day for the schedule
+ */
+function summarizeScenes(production, userInfo) {
+    return getScenesFor(production, userInfo).map(scene => ({
+        number: scene['Scene Number'] || null,
+        intExt: scene['Int/Ext'] || null,
+        location: scene['Script Location'] || null,
+        description: scene['Scene Description'] || null,
+        onSetTime: scene['On-Set Time'] || null,
+    }));
+}
+
+/**
+ * Build one shoot day of the timeline
+ * @param {Object} production - The day, prepared for the person
+ * @param {Object|null} userInfo - The person on that day, or null if they're not called
+ */
+function buildDay(production, userInfo) {
+    const props = production.properties || {};
+
+    const day = {
+        id: production.id,
+        shootDay: props.shoot_day_ || 1,
+        date: props.date_of_shoot || null,
+        called: !!userInfo,
+    };
+    if (!userInfo) return day;
+
+    return {
+        ...day,
+        type: userInfo.type,
+        role: userInfo.role || null,
+        character: userInfo.character || null,
+        callTime: userInfo.callTime || null,
+        crewCall: props.crew_call_time || null,
+        castCall: props.cast_call_time || null,
+        estimatedWrap: props.estimated_wrap || null,
+        locations: summarizeLocations(production),
+        scenes: summarizeScenes(production, userInfo),
+    };
+}
+
+/**
+ * Build a person's schedule across a production's shoot days
+ * @param {Array} days - Every shoot day of the production, sorted by shoot day, as
+ *   [{ production, person }]: the day prepared for the person, and the person found on
+ *   that day by findUserByPhone() (null if they're not called)
+ * @param {Object} userInfo - The person, from findUserByPhone()
+ * @returns {Object} { title, person, days, summary: { called, total } }
+ */
+function buildSchedule(days, userInfo) {
+    const timeline = days.map(({ production, person }) => buildDay(production, person));
+
+    return {
+        title: getBaseTitle(days[0]?.production.title),
+        person: { name: userInfo.name, type: userInfo.type },
+        days: timeline,
+        summary: {
+            called: timeline.filter(day => day.called).length,
+            total: timeline.length,
+        },
+    };
+}
+
+module.exports = {
+    buildSchedule,
+};
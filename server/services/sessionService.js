@@ -0,0 +1,116 @@
+/**
+ * Session Service
+ * Issues and verifies signed, expiring session tokens after phone authentication
+ *
+ * Tokens are `<payload>.<signature>` (both base64url), signed with HMAC-SHA256.
+ * The payload scopes the session to one production and one person (by phone).
+ * Tokens also carry a scope: "session" for app logins, or a narrower scope such as
+ * "calendar" for long-lived feed URLs that must not unlock the full call sheet.
+ * Session tokens may name the production group (base title) they were issued in,
+ * so one login covers every shoot day of that production, and whether the login
+ * was confirmed with a one-time passcode.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS || '72');
+
+let secret = null;
+
+/**
+ * Get the signing secret
+ * Falls back to a random per-process secret, which logs everyone out on restart
+ */
+function getSecret() {
+    if (!secret) {
+        secret = process.env.SESSION_SECRET;
+        if (!secret) {
+            console.warn('⚠️  SESSION_SECRET not configured. Sessions will not survive a server restart.');
+            secret = crypto.randomBytes(32).toString('hex');
+        }
+    }
+    return secret;
+}
+
+/**
+ * Sign a string with the session secret
+ */
+function sign(value) {
+    return crypto.createHmac('sha256', getSecret()).update(value).digest('base64url');
+}
+
+/**
+ * Issue a session token for a person in a production
+ * @param {Object} claims - { productionId, phone, group, verified, scope = 'session', ttlHours = SESSION_TTL_HOURS }
+ * @returns {Object} { token, expiresAt }
+ */
+function issueToken({ productionId, phone, group, verified = false, scope = 'session', ttlHours = SESSION_TTL_HOURS }) {
+    const now = Date.now();
+    const expiresAt = now + ttlHours * 60 * 60 * 1000;
+
+    const payload = Buffer.from(JSON.stringify({
+        pid: productionId,
+        sub: phone,
+        grp: group || undefined,
+        otp: verified || undefined,
+        scp: scope,
+        iat: Math.floor(now / 1000),
+        exp: Math.floor(expiresAt / 1000),
+    })).toString('base64url');
+
+    return {
+        token: `${payload}.${sign(payload)}`,
+        expiresAt: new Date(expiresAt).toISOString(),
+    };
+}
+
+/**
+ * Verify a session token
+ * @returns {Object|null} { productionId, phone, group, verified, scope, expiresAt } or null if invalid/expired
+ */
+function verifyToken(token) {
+    if (typeof token !== 'string') return null;
+
+    const [payload, signature] = token.split('.');
+    if (!payload || !signature) return null;
+
+    // Constant-time signature comparison
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch {
+        return null;
+    }
+
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) return null;
+
+    return {
+        productionId: claims.pid,
+        phone: claims.sub,
+        group: claims.grp || null,
+        verified: claims.otp === true,
+        scope: claims.scp || 'session',
+        expiresAt: new Date(claims.exp * 1000).toISOString(),
+    };
+}
+
+/**
+ * Read a bearer token from a request's Authorization header
+ */
+function getTokenFromRequest(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+module.exports = {
+    issueToken,
+    verifyToken,
+    getTokenFromRequest,
+};
@@ -0,0 +1,78 @@
+/**
+ * SMS Service
+ * Sends text messages through a pluggable sender
+ *
+ * Every sender implements: send({ to, message }) -> Promise
+ * Configure with SMS_SENDER:
+ *   console - print messages to the server log (default, for development)
+ *   file    - append messages to SMS_LOG_FILE (default logs/sms.log)
+ *   http    - POST { to, message } as JSON to SMS_GATEWAY_URL (real SMS gateway)
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const senders = {
+    console: {
+        async send({ to, message }) {
+            console.log(`📱 SMS to ${to}: ${message}`);
+        },
+    },
+
+    file: {
+        async send({ to, message }) {
+            const logFile = path.resolve(process.env.SMS_LOG_FILE || path.join(__dirname, '../../logs/sms.log'));
+            await fs.mkdir(path.dirname(logFile), { recursive: true });
+            await fs.appendFile(logFile, `${new Date().toISOString()}\t${to}\t${message}\n`, 'utf8');
+        },
+    },
+
+    http: {
+        async send({ to, message }) {
+            const url = process.env.SMS_GATEWAY_URL;
+            if (!url) {
+                throw new Error('SMS_GATEWAY_URL not configured');
+            }
+
+            const headers = { 'Content-Type': 'application/json' };
+            if (process.env.SMS_GATEWAY_TOKEN) {
+                headers['Authorization'] = `Bearer ${process.env.SMS_GATEWAY_TOKEN}`;
+            }
+
+            const response = await fetch(url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ to, message, from: process.env.SMS_SENDER_ID || undefined }),
+            });
+            if (!response.ok) {
+                throw new Error(`Failed to send SMS: ${response.statusText}`);
+            }
+        },
+    },
+};
+
+/**
+ * Get the configured sender
+ */
+function getSender() {
+    const name = (process.env.SMS_SENDER || 'console').toLowerCase();
+    const sender = senders[name];
+
+    if (!sender) {
+        throw new Error(`Unknown SMS_SENDER "${name}". Expected one of: ${Object.keys(senders).join(', ')}`);
+    }
+    return sender;
+}
+
+/**
+ * Send a text message
+ * @param {string} to - Destination phone number as entered in the call sheet
+ * @param {string} message - Message body
+ */
+async function sendSms(to, message) {
+    await getSender().send({ to, message });
+}
+
+module.exports = {
+    sendSms,
+};
@@ -0,0 +1,456 @@
+/**
+ * Solar Service
+ * Calculates sun and moon times for a location and shoot date, locally and deterministically
+ *
+ * Times come from the standard low-precision solar and lunar position formulas
+ * (as used by NOAA and suncalc), which are accurate to about a minute, and are
+ * given in the shoot's local time. Sun elevations used:
+ *   sunrise/sunset   -0.833° (upper limb, with refraction)
+ *   civil twilight   -6° (dawn before sunrise, dusk after sunset)
+ *   blue hour        -6° to -4°
+ *   golden hour      -4° to +6°
+ * Coordinates come from the location's Latitude/Longitude (or "lat, lng" Coordinates)
+ * fields, or else its geocoded GEMlatitude/GEMlongitude. The time zone is the location's Time Zone field, or SHOOT_TIME_ZONE
+ * (an IANA name, default Australia/Sydney). Zones that aren't IANA names (e.g. "AEST") are
+ * logged and replaced with the default.
+ *
+ * Results are keyed like the other enriched fields, without the GEM prefix
+ * (e.g. sunriseTime), so they can be written back alongside them. sunTimesFor records
+ * the date, coordinates and time zone they were calculated for, so a location isn't
+ * calculated again until one of those changes, even when some times never occur
+ * (no moonrise that day, or no sunset in polar summer).
+ */
+
+const { parseDate, formatTime } = require('./timeUtils');
+
+const FALLBACK_TIME_ZONE = 'Australia/Sydney';
+const DEFAULT_TIME_ZONE = getDefaultTimeZone();
+
+// Invalid zones already logged, so each is only warned about once
+const warnedTimeZones = new Set();
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = RAD * 23.4397;
+
+// Sun elevations, in degrees
+const SUN_ANGLES = {
+    sunrise: -0.833,
+    civil: -6,
+    blue: -4,
+    golden: 6,
+};
+
+// Fields calculated here, keyed without the GEM prefix
+const SOLAR_FIELDS = [
+    'sunriseTime',
+    'sunsetTime',
+    'civilDawn',
+    'civilDusk',
+    'goldenHourMorning',
+    'goldenHourEvening',
+    'blueHourMorning',
+    'blueHourEvening',
+    'moonPhase',
+    'moonrise',
+    'moonset',
+];
+
+/* ----- Astronomy (angles in radians, time in days since J2000) ----- */
+
+function toDays(ms) {
+    return ms / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+function fromJulian(julian) {
+    return (julian + 0.5 - J1970) * DAY_MS;
+}
+
+function rightAscension(longitude, latitude) {
+    return Math.atan2(
+        Math.sin(longitude) * Math.cos(OBLIQUITY) - Math.tan(latitude) * Math.sin(OBLIQUITY),
+        Math.cos(longitude)
+    );
+}
+
+function declination(longitude, latitude) {
+    return Math.asin(
+        Math.sin(latitude) * Math.cos(OBLIQUITY) + Math.cos(latitude) * Math.sin(OBLIQUITY) * Math.sin(longitude)
+    );
+}
+
+function solarMeanAnomaly(days) {
+    return RAD * (357.5291 + 0.98560028 * days);
+}
+
+function eclipticLongitude(meanAnomaly) {
+    const center = RAD * (1.9148 * Math.sin(meanAnomaly) + 0.02 * Math.sin(2 * meanAnomaly) + 0.0003 * Math.sin(3 * meanAnomaly));
+    const perihelion = RAD * 102.9372;
+    return meanAnomaly + center + perihelion + Math.PI;
+}
+
+function sunCoords(days) {
+    const longitude = eclipticLongitude(solarMeanAnomaly(days));
+    return { dec: declination(longitude, 0), ra: rightAscension(longitude, 0) };
+}
+
+function moonCoords(days) {
+    const longitude = RAD * (218.316 + 13.176396 * days);
+    const anomaly = RAD * (134.963 + 13.064993 * days);
+    const distance = RAD * (93.272 + 13.229350 * days);
+
+    const l = longitude + RAD * 6.289 * Math.sin(anomaly);
+    const b = RAD * 5.128 * Math.sin(distance);
+
+    return {
+        ra: rightAscension(l, b),
+        dec: declination(l, b),
+        dist: 385001 - 20905 * Math.cos(anomaly),
+    };
+}
+
+function siderealTime(days, lw) {
+    return RAD * (280.16 + 360.9856235 * days) - lw;
+}
+
+function altitude(hourAngle, phi, dec) {
+    return Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle));
+}
+
+function refraction(height) {
+    const h = Math.max(height, 0);
+    return 0.0002967 / Math.tan(h + 0.00312536 / (h + 0.08901179));
+}
+
+/**
+ * Times the sun crosses each elevation on the day containing a moment
+ * @returns {Object} { [angle]: { rise, set } } as UTC milliseconds (NaN if never crossed)
+ */
+function getSunCrossings(ms, lat, lng, angles) {
+    const lw = RAD * -lng;
+    const phi = RAD * lat;
+    const J0 = 0.0009;
+
+    const days = toDays(ms);
+    const cycle = Math.round(days - J0 - lw / (2 * Math.PI));
+    const approxNoon = J0 + lw / (2 * Math.PI) + cycle;
+    const meanAnomaly = solarMeanAnomaly(approxNoon);
+    const longitude = eclipticLongitude(meanAnomaly);
+    const dec = declination(longitude, 0);
+
+    const transit = ds => J2000 + ds + 0.0053 * Math.sin(meanAnomaly) - 0.0069 * Math.sin(2 * longitude);
+    const noon = transit(approxNoon);
+
+    const crossings = {};
+    for (const angle of angles) {
+        const hourAngle = Math.acos(
+            (Math.sin(angle * RAD) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec))
+        );
+        const set = transit(J0 + (hourAngle + lw) / (2 * Math.PI) + cycle);
+        crossings[angle] = { rise: fromJulian(noon - (set - noon)), set: fromJulian(set) };
+    }
+    return crossings;
+}
+
+/**
+ * Moon altitude at a moment, in radians (with refraction)
+ */
+function getMoonAltitude(ms, lat, lng) {
+    const lw = RAD * -lng;
+    const phi = RAD * lat;
+    const days = toDays(ms);
+    const coords = moonCoords(days);
+    const height = altitude(siderealTime(days, lw) - coords.ra, phi, coords.dec);
+    return height + refraction(height);
+}
+
+/**
+ * Moonrise and moonset within 24 hours of a moment, found hour by hour
+ * @returns {Object} { rise, set } as UTC milliseconds (null if the moon doesn't rise or set)
+ */
+function getMoonCrossings(startMs, lat, lng) {
+    const horizon = 0.133 * RAD;
+    const hoursLater = hours => startMs + hours * DAY_MS / 24;
+    let h0 = getMoonAltitude(startMs, lat, lng) - horizon;
+    let rise = null;
+    let set = null;
+
+    // Fit a parabola through each two-hour window and look for where it crosses the horizon
+    for (let i = 1; i <= 24; i += 2) {
+        const h1 = getMoonAltitude(hoursLater(i), lat, lng) - horizon;
+        const h2 = getMoonAltitude(hoursLater(i + 1), lat, lng) - horizon;
+
+        const a = (h0 + h2) / 2 - h1;
+        const b = (h2 - h0) / 2;
+        const xe = -b / (2 * a);
+        const ye = (a * xe + b) * xe + h1;
+        const discriminant = b * b - 4 * a * h1;
+
+        if (discriminant >= 0) {
+            const dx = Math.sqrt(discriminant) / (Math.abs(a) * 2);
+            let x1 = xe - dx;
+            const x2 = xe + dx;
+            let roots = 0;
+            if (Math.abs(x1) <= 1) roots++;
+            if (Math.abs(x2) <= 1) roots++;
+            if (x1 < -1) x1 = x2;
+
+            if (roots === 1) {
+                if (h0 < 0) rise = rise ?? hoursLater(i + x1);
+                else set = set ?? hoursLater(i + x1);
+            } else if (roots === 2) {
+                rise = rise ?? hoursLater(i + (ye < 0 ? x2 : x1));
+                set = set ?? hoursLater(i + (ye < 0 ? x1 : x2));
+            }
+        }
+
+        if (rise !== null && set !== null) break;
+        h0 = h2;
+    }
+
+    return { rise, set };
+}
+
+/**
+ * Moon phase at a moment
+ * @returns {Object} { phase: 0-1 through the cycle, fraction: illuminated 0-1 }
+ */
+function getMoonIllumination(ms) {
+    const days = toDays(ms);
+    const sun = sunCoords(days);
+    const moon = moonCoords(days);
+    const sunDistance = 149598000;
+
+    const elongation = Math.acos(
+        Math.sin(sun.dec) * Math.sin(moon.dec) + Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra)
+    );
+    const incidence = Math.atan2(sunDistance * Math.sin(elongation), moon.dist - sunDistance * Math.cos(elongation));
+    const angle = Math.atan2(
+        Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+        Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra)
+    );
+
+    return {
+        phase: 0.5 + 0.5 * incidence * (angle < 0 ? -1 : 1) / Math.PI,
+        fraction: (1 + Math.cos(incidence)) / 2,
+    };
+}
+
+/* ----- Local time ----- */
+
+/**
+ * Check whether a time zone is an IANA name Intl can use
+ */
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Get SHOOT_TIME_ZONE, or the fallback if it isn't set or isn't valid
+ */
+function getDefaultTimeZone() {
+    const timeZone = process.env.SHOOT_TIME_ZONE?.trim();
+    if (!timeZone) return FALLBACK_TIME_ZONE;
+    if (isValidTimeZone(timeZone)) return timeZone;
+
+    console.warn(`⚠️  SHOOT_TIME_ZONE "${timeZone}" isn't a known time zone, using ${FALLBACK_TIME_ZONE}`);
+    return FALLBACK_TIME_ZONE;
+}
+
+/**
+ * Get a usable time zone: the one given if it's valid, otherwise the default (with a warning)
+ */
+function resolveTimeZone(timeZone) {
+    const name = String(timeZone || '').trim();
+    if (!name) return DEFAULT_TIME_ZONE;
+    if (isValidTimeZone(name)) return name;
+
+    if (!warnedTimeZones.has(name)) {
+        warnedTimeZones.add(name);
+        console.warn(`⚠️  Time zone "${name}" isn't a known time zone, using ${DEFAULT_TIME_ZONE}. Use an IANA name such as Australia/Sydney.`);
+    }
+    return DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Offset of a time zone from UTC at a moment, in minutes
+ */
+function getTimeZoneOffset(timeZone, ms) {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+        }).formatToParts(new Date(ms)).map(part => [part.type, part.value])
+    );
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return Math.round((local - Math.floor(ms / 60000) * 60000) / 60000);
+}
+
+/**
+ * UTC milliseconds of a local time on a date
+ */
+function fromLocal(date, minutes, timeZone) {
+    const guess = Date.UTC(date.year, date.month - 1, date.day, 0, minutes);
+    return guess - getTimeZoneOffset(timeZone, guess) * 60000;
+}
+
+/**
+ * Format a moment as local time ("6:42 AM"), or '' if it never happens
+ */
+function formatLocal(ms, timeZone) {
+    if (ms === null || !Number.isFinite(ms)) return '';
+    const minutes = Math.round(ms / 60000) + getTimeZoneOffset(timeZone, ms);
+    return formatTime(minutes);
+}
+
+/**
+ * Format a span of local times ("6:12 AM – 6:58 AM"), or '' if either end never happens
+ */
+function formatRange(from, to, timeZone) {
+    const start = formatLocal(from, timeZone);
+    const end = formatLocal(to, timeZone);
+    return start && end ? `${start} – ${end}` : '';
+}
+
+/* ----- Locations ----- */
+
+/**
+ * Read a coordinate, or null if it isn't a number in range
+ */
+function parseCoordinate(value, limit) {
+    const number = parseFloat(String(value ?? '').trim());
+    return Number.isFinite(number) && Math.abs(number) <= limit ? number : null;
+}
+
+/**
+ * Get a location's coordinates
+ * @returns {Object|null} { lat, lng }, or null if the location has none
+ */
+function getCoordinates(location) {
+    const data = location.data || {};
+    let lat = parseCoordinate(data.Latitude, 90);
+    let lng = parseCoordinate(data.Longitude, 180);
+
+    if ((lat === null || lng === null) && data.Coordinates) {
+        const [latText, lngText] = String(data.Coordinates).split(',');
+        lat = parseCoordinate(latText, 90);
+        lng = parseCoordinate(lngText, 180);
+    }
+
+    // Fall back to the geocoded coordinates
+    if (lat === null || lng === null) {
+        lat = parseCoordinate(location.gemData?.GEMlatitude, 90);
+        lng = parseCoordinate(location.gemData?.GEMlongitude, 180);
+    }
+
+    return lat === null || lng === null ? null : { lat, lng };
+}
+
+/**
+ * Describe a moon phase ("Waxing gibbous, 78% lit")
+ * New, full and quarter moons are named within a few percent of exact, as they look it
+ */
+function describeMoonPhase({ phase, fraction }) {
+    const waxing = phase < 0.5;
+    let name;
+    if (fraction < 0.03) name = 'New moon';
+    else if (fraction > 0.97) name = 'Full moon';
+    else if (Math.abs(fraction - 0.5) < 0.05) name = waxing ? 'First quarter' : 'Last quarter';
+    else if (fraction < 0.5) name = waxing ? 'Waxing crescent' : 'Waning crescent';
+    else name = waxing ? 'Waxing gibbous' : 'Waning gibbous';
+
+    return `${name}, ${Math.round(fraction * 100)}% lit`;
+}
+
+/**
+ * Calculate sun and moon times for a place and date
+ * @param {string} dateText - Shoot date
+ * @param {Object} coordinates - { lat, lng }
+ * @param {string} timeZone - IANA time zone of the shoot (the default if missing or invalid)
+ * @returns {Object|null} Fields keyed without the GEM prefix (see SOLAR_FIELDS), or null if the date can't be read
+ */
+function calculate(dateText, { lat, lng }, timeZone) {
+    const date = parseDate(dateText);
+    if (!date) return null;
+
+    timeZone = resolveTimeZone(timeZone);
+
+    const midnight = fromLocal(date, 0, timeZone);
+    const noon = fromLocal(date, 12 * 60, timeZone);
+    const sun = getSunCrossings(noon, lat, lng, Object.values(SUN_ANGLES));
+    const moon = getMoonCrossings(midnight, lat, lng);
+
+    const at = (name, edge) => sun[SUN_ANGLES[name]][edge];
+
+    return {
+        sunriseTime: formatLocal(at('sunrise', 'rise'), timeZone),
+        sunsetTime: formatLocal(at('sunrise', 'set'), timeZone),
+        civilDawn: formatLocal(at('civil', 'rise'), timeZone),
+        civilDusk: formatLocal(at('civil', 'set'), timeZone),
+        goldenHourMorning: formatRange(at('blue', 'rise'), at('golden', 'rise'), timeZone),
+        goldenHourEvening: formatRange(at('golden', 'set'), at('blue', 'set'), timeZone),
+        blueHourMorning: formatRange(at('civil', 'rise'), at('blue', 'rise'), timeZone),
+        blueHourEvening: formatRange(at('blue', 'set'), at('civil', 'set'), timeZone),
+        // The moon's phase at nightfall is the one that matters for night shoots
+        moonPhase: describeMoonPhase(getMoonIllumination(at('sunrise', 'set') || noon)),
+        moonrise: formatLocal(moon.rise, timeZone),
+        moonset: formatLocal(moon.set, timeZone),
+    };
+}
+
+/**
+ * Describe what a location's sun and moon times are calculated from
+ * @returns {string|null} e.g. "2026-03-02 -33.8610,151.2126 Australia/Sydney", or null
+ *   without coordinates or a readable shoot date
+ */
+function getCalculationKey(production, location) {
+    const coordinates = getCoordinates(location);
+    const date = parseDate(production.properties?.date_of_shoot);
+    if (!coordinates || !date) return null;
+
+    const day = [date.year, date.month, date.day].map(part => String(part).padStart(2, '0')).join('-');
+    const timeZone = resolveTimeZone(location.data?.['Time Zone']);
+    return `${day} ${coordinates.lat.toFixed(4)},${coordinates.lng.toFixed(4)} ${timeZone}`;
+}
+
+/**
+ * Calculate sun and moon times for a production's location
+ * @returns {Object|null} From calculate(), plus sunTimesFor (see getCalculationKey),
+ *   or null without coordinates or a readable shoot date
+ */
+function calculateForLocation(production, location) {
+    const key = getCalculationKey(production, location);
+    if (!key) return null;
+
+    const times = calculate(production.properties?.date_of_shoot, getCoordinates(location), location.data?.['Time Zone']);
+    return { ...times, sunTimesFor: key };
+}
+
+/**
+ * Check whether a location's sun and moon times haven't been calculated for its current
+ * date, coordinates and time zone
+ */
+function needsSunTimes(production, location) {
+    const key = getCalculationKey(production, location);
+    return !!key && location.gemData?.GEMsunTimesFor !== key;
+}
+
+module.exports = {
+    SOLAR_FIELDS,
+    getCoordinates,
+    calculate,
+    calculateForLocation,
+    needsSunTimes,
+};
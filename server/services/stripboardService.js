@@ -0,0 +1,253 @@
+/**
+ * Stripboard Service
+ * Gathers the scenes of every shoot day into one shooting schedule (a stripboard)
+ *
+ * Each scene becomes a strip coloured by Int/Ext and day/night, using the usual
+ * stripboard colours: INT DAY white, EXT DAY yellow, INT NIGHT blue, EXT NIGHT green.
+ * Day/night comes from a "Day/Night" (or "D/N", "Time of Day") scenes column when the
+ * call sheet has one, otherwise from words like NIGHT in the Int/Ext column, and
+ * defaults to day.
+ *
+ * The schedule also flags scene numbers scheduled more than once, and gaps in the
+ * numbering (scene 12A counts as scene 12).
+ */
+
+const pdfService = require('./pdfService');
+const { getBaseTitle } = require('./productionUtils');
+const csvUtils = require('./csvUtils');
+
+const DAY_NIGHT_COLUMNS = ['Day/Night', 'D/N', 'Time of Day'];
+const NIGHT_PATTERN = /\b(night|evening|dusk|n)\b/i;
+const EXTERIOR_PATTERN = /\b(ext|exterior|i\/e|int\/ext)\b/i;
+
+const STRIP_COLORS = {
+    'int-day': { label: 'INT / DAY', hex: '#ffffff' },
+    'ext-day': { label: 'EXT / DAY', hex: '#ffe66d' },
+    'int-night': { label: 'INT / NIGHT', hex: '#7aa7ff' },
+    'ext-night': { label: 'EXT / NIGHT', hex: '#8fe388' },
+};
+
+const CSV_COLUMNS = [
+    ['Shoot Day', strip => strip.shootDay],
+    ['Date', strip => strip.date],
+    ['Scene Number', strip => strip.sceneNumber],
+    ['Int/Ext', strip => strip.intExt],
+    ['Day/Night', strip => strip.dayNight],
+    ['Script Location', strip => strip.location],
+    ['Scene Description', strip => strip.description],
+    ['Characters', strip => strip.characters.join(', ')],
+    ['On-Set Time', strip => strip.onSetTime],
+];
+
+/**
+ * Work out whether a scene is set at night
+ */
+function getDayNight(scene) {
+    const column = DAY_NIGHT_COLUMNS.find(name => scene[name]?.trim());
+    const text = column ? scene[column] : scene['Int/Ext'] || '';
+    return NIGHT_PATTERN.test(text) ? 'NIGHT' : 'DAY';
+}
+
+/**
+ * Build the strip for one scene
+ */
+function buildStrip(scene, day) {
+    const intExt = (scene['Int/Ext'] || '').trim();
+    const dayNight = getDayNight(scene);
+    const colorKey = `${EXTERIOR_PATTERN.test(intExt) ? 'ext' : 'int'}-${dayNight.toLowerCase()}`;
+
+    return {
+        shootDay: day.shootDay,
+        date: day.date,
+        sceneNumber: (scene['Scene Number'] || '').trim(),
+        intExt,
+        dayNight,
+        location: scene['Script Location'] || '',
+        description: scene['Scene Description'] || '',
+        // Hidden character lists stay hidden; the strip just shows none
+        characters: (scene.Characters || '').split(',').map(name => name.trim()).filter(Boolean),
+        onSetTime: scene['On-Set Time'] || '',
+        color: colorKey,
+    };
+}
+
+/**
+ * Number part of a scene number ("12A" -> 12), or null if it doesn't start with one
+ */
+function getSceneBase(sceneNumber) {
+    const match = sceneNumber.match(/^(\d+)/);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Find scene numbers scheduled twice, gaps in the numbering, and unnumbered scenes
+ * @returns {Object} { duplicates: [{ sceneNumber, shootDays }], missing: [numbers], unnumbered: [{ shootDay, description }] }
+ */
+function findIssues(strips) {
+    const bySceneNumber = new Map();
+    const unnumbered = [];
+
+    for (const strip of strips) {
+        if (!strip.sceneNumber) {
+            unnumbered.push({ shootDay: strip.shootDay, description: strip.description });
+            continue;
+        }
+        const key = strip.sceneNumber.toUpperCase();
+        if (!bySceneNumber.has(key)) bySceneNumber.set(key, []);
+        bySceneNumber.get(key).push(strip.shootDay);
+    }
+
+    const duplicates = [...bySceneNumber]
+        .filter(([, shootDays]) => shootDays.length > 1)
+        .map(([sceneNumber, shootDays]) => ({ sceneNumber, shootDays }));
+
+    const bases = new Set([...bySceneNumber.keys()].map(getSceneBase).filter(base => base !== null));
+    const highest = Math.max(0, ...bases);
+    const missing = [];
+    for (let number = 1; number < highest; number++) {
+        if (!bases.has(number)) missing.push(number);
+    }
+
+    return { duplicates, missing, unnumbered };
+}
+
+/**
+ * Build the stripboard for a production's shoot days
+ * Pass days that have already been prepared for the viewer, so hidden fields stay hidden
+ * @param {Array} days - Every shoot day of the production, sorted by shoot day
+ * @returns {Object} { title, days: [{ id, shootDay, date, restricted, strips }], issues, summary, colors }
+ */
+function buildStripboard(days) {
+    const boardDays = days.map(production => {
+        const day = {
+            id: production.id,
+            shootDay: production.properties?.shoot_day_ || 1,
+            date: production.properties?.date_of_shoot || null,
+            // Closed-set days the viewer isn't on have no scenes to show
+            restricted: production.restricted === true,
+        };
+        return { ...day, strips: (production.scenes || []).map(scene => buildStrip(scene, day)) };
+    });
+
+    const strips = boardDays.flatMap(day => day.strips);
+    const issues = findIssues(strips);
+
+    return {
+        title: getBaseTitle(days[0]?.title),
+        days: boardDays,
+        issues: {
+            ...issues,
+            // Gaps can't be trusted when some days' scenes are hidden
+            incomplete: boardDays.some(day => day.restricted),
+        },
+        summary: {
+            days: boardDays.length,
+            scenes: strips.length,
+            night: strips.filter(strip => strip.dayNight === 'NIGHT').length,
+            exterior: strips.filter(strip => strip.color.startsWith('ext')).length,
+        },
+        colors: STRIP_COLORS,
+    };
+}
+
+/**
+ * Export a stripboard as CSV, one row per scene
+ */
+function toCsv(stripboard) {
+    const rows = stripboard.days.flatMap(day =>
+        day.strips.map(strip => CSV_COLUMNS.map(([, getValue]) => getValue(strip)))
+    );
+    return csvUtils.toCsv([CSV_COLUMNS.map(([header]) => header), ...rows]);
+}
+
+/**
+ * Describe a stripboard's issues as one line each
+ */
+function describeIssues(issues) {
+    const lines = [];
+    for (const { sceneNumber, shootDays } of issues.duplicates) {
+        lines.push(`Scene ${sceneNumber} is scheduled ${shootDays.length} times (Day ${shootDays.join(', Day ')})`);
+    }
+    if (issues.missing.length > 0) {
+        lines.push(`Not scheduled: scene${issues.missing.length > 1 ? 's' : ''} ${issues.missing.join(', ')}`);
+    }
+    if (issues.unnumbered.length > 0) {
+        lines.push(`${issues.unnumbered.length} scene${issues.unnumbered.length > 1 ? 's have' : ' has'} no scene number`);
+    }
+    return lines;
+}
+
+/**
+ * Render a stripboard to a PDF document, one table per shoot day
+ * @param {Object} stripboard - From buildStripboard()
+ * @param {Object} options - { lightMode }
+ * @returns {PDFDocument} Ended document, ready to pipe to a response
+ */
+function renderPdf(stripboard, { lightMode = false } = {}) {
+    const theme = lightMode ? pdfService.THEMES.light : pdfService.THEMES.dark;
+    const doc = pdfService.createDocument(theme, `${stripboard.title} - Shooting Schedule`);
+
+    doc.font('Helvetica-Bold').fontSize(20).fillColor(theme.text).text(stripboard.title);
+    doc.font('Helvetica').fontSize(11).fillColor(theme.secondary)
+        .text(`Shooting schedule • ${stripboard.summary.scenes} scenes over ${stripboard.summary.days} days`);
+    doc.moveDown(0.8);
+
+    const issues = describeIssues(stripboard.issues);
+    if (issues.length > 0) {
+        pdfService.drawCallout(doc, theme, {
+            title: 'Check the schedule',
+            body: issues.join('\n'),
+            color: theme.warning,
+        });
+    }
+
+    for (const day of stripboard.days) {
+        pdfService.drawTable(doc, theme, {
+            title: [`Day ${day.shootDay}`, pdfService.formatDate(day.date)].filter(Boolean).join(' • '),
+            columns: [
+                { header: 'Sc', width: 0.6 },
+                { header: 'I/E', width: 0.7 },
+                { header: 'D/N', width: 0.8 },
+                { header: 'Location', width: 2 },
+                { header: 'Description', width: 3 },
+                { header: 'Characters', width: 2 },
+                { header: 'On-Set', width: 1 },
+            ],
+            // Strip colours are light, so strips always use dark text
+            rows: day.strips.map(strip => ({
+                fill: STRIP_COLORS[strip.color].hex,
+                color: '#111111',
+                cells: [
+                    strip.sceneNumber,
+                    strip.intExt,
+                    strip.dayNight,
+                    strip.location,
+                    strip.description,
+                    strip.characters.join(', '),
+                    strip.onSetTime,
+                ],
+            })),
+            emptyText: day.restricted ? 'Closed set – log in to this day to see its scenes' : 'No scenes scheduled',
+        });
+    }
+
+    pdfService.drawPageNumbers(doc, theme, `${stripboard.title} – Shooting Schedule`);
+
+    doc.end();
+    return doc;
+}
+
+/**
+ * Build a safe download filename for a production's stripboard
+ * @param {string} extension - 'csv' or 'pdf'
+ */
+function getFilename(stripboard, extension) {
+    return `${(stripboard.title || 'Production').replace(/[^a-z0-9]/gi, '_')}_Stripboard.${extension}`;
+}
+
+module.exports = {
+    buildStripboard,
+    toCsv,
+    renderPdf,
+    getFilename,
+};
@@ -0,0 +1,130 @@
+/**
+ * Time Utilities
+ * Parses the free-text times and dates used in call sheets
+ * ("7:00 AM", "7am", "19:30", "0730", "noon") into numbers we can compare
+ *
+ * A day's times can also be read relative to its start, rolling past midnight
+ * (see resolveDayTimes), or placed on one timeline as minutes since 1970-01-01 in
+ * the shoot's local time, to measure between days (see resolveShift).
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Parse a time of day into minutes after midnight
+ * @returns {number|null} Minutes (0-1439), or null if the text isn't a recognisable time
+ */
+function parseTime(text) {
+    if (text === null || text === undefined) return null;
+    const value = String(text).trim().toLowerCase();
+    if (!value) return null;
+
+    if (value === 'noon' || value === 'midday') return 12 * 60;
+    if (value === 'midnight') return 0;
+
+    // 7, 7am, 7:30, 7.30pm, 19:30, 0730, 7:30 a.m.
+    const match = value.match(/^(\d{1,2})(?:[:.h]?(\d{2}))?\s*(a\.?m\.?|p\.?m\.?)?$/);
+    if (!match) return null;
+
+    let hours = parseInt(match[1], 10);
+    const minutes = match[2] ? parseInt(match[2], 10) : 0;
+    const meridiem = match[3]?.[0];
+
+    if (minutes > 59) return null;
+
+    if (meridiem) {
+        if (hours < 1 || hours > 12) return null;
+        if (meridiem === 'a' && hours === 12) hours = 0;
+        if (meridiem === 'p' && hours !== 12) hours += 12;
+    } else if (hours > 23) {
+        return null;
+    }
+
+    return hours * 60 + minutes;
+}
+
+/**
+ * Parse a shoot date (ISO "2026-03-02", or anything Date understands) into its parts
+ * @returns {Object|null} { year, month, day } (month is 1-12)
+ */
+function parseDate(text) {
+    if (!text) return null;
+    const value = String(text).trim();
+
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (iso) {
+        return { year: +iso[1], month: +iso[2], day: +iso[3] };
+    }
+
+    const date = new Date(value);
+    if (isNaN(date)) return null;
+    return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+}
+
+/**
+ * Days since 1970-01-01 of a parsed date
+ */
+function toDayNumber({ year, month, day }) {
+    return Math.round(Date.UTC(year, month - 1, day) / (MINUTES_PER_DAY * 60 * 1000));
+}
+
+/**
+ * Read a day's times relative to its start
+ * Times earlier than the start roll over past midnight (a 2:00 AM wrap after a 6:00 PM call)
+ * @param {Object} times - { start, ...others } free-text times
+ * @param {Object} options - { leadMinutes } how long before the start a time is still read as
+ *   the same morning rather than rolled over (e.g. makeup before crew call); default 0
+ * @returns {Object|null} The same keys as minutes after midnight of the start's day, which may
+ *   pass 1440 or be before the start (null where unreadable), or null if the start can't be read
+ */
+function resolveDayTimes({ start, ...others }, { leadMinutes = 0 } = {}) {
+    const startMinutes = parseTime(start);
+    if (startMinutes === null) return null;
+
+    const resolved = { start: startMinutes };
+    for (const [key, text] of Object.entries(others)) {
+        const minutes = parseTime(text);
+        resolved[key] = minutes === null ? null : minutes + (minutes < startMinutes - leadMinutes ? MINUTES_PER_DAY : 0);
+    }
+
+    return resolved;
+}
+
+/**
+ * Place a shift's times on the timeline of its shoot date (see resolveDayTimes)
+ * @param {string} dateText - Shoot date
+ * @param {Object} times - { start, ...others } free-text times
+ * @returns {Object|null} The same keys as minutes since 1970-01-01 (null where unreadable),
+ *   or null if the date or start can't be read
+ */
+function resolveShift(dateText, times) {
+    const date = parseDate(dateText);
+    const resolved = resolveDayTimes(times);
+    if (!date || !resolved) return null;
+
+    const midnight = toDayNumber(date) * MINUTES_PER_DAY;
+    return Object.fromEntries(Object.entries(resolved).map(([key, minutes]) =>
+        [key, minutes === null ? null : midnight + minutes]
+    ));
+}
+
+/**
+ * Format minutes after midnight as "7:30 AM"
+ */
+function formatTime(minutes) {
+    const normalized = ((minutes % 1440) + 1440) % 1440;
+    const hours = Math.floor(normalized / 60);
+    const mins = normalized % 60;
+    const period = hours >= 12 ? 'PM' : 'AM';
+    const displayHours = hours % 12 || 12;
+    return `${displayHours}:${String(mins).padStart(2, '0')} ${period}`;
+}
+
+module.exports = {
+    parseTime,
+    parseDate,
+    toDayNumber,
+    resolveDayTimes,
+    resolveShift,
+    formatTime,
+};
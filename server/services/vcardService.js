@@ -0,0 +1,127 @@
+/**
+ * vCard Service
+ * Builds multi-contact vCard (.vcf, version 3.0) files from crew and cast lists
+ * Long lines are folded at 75 octets (RFC 6350 §3.2)
+ *
+ * Contacts are built from production data that has already been prepared for
+ * the viewer, so anything the call sheet hides from them (e.g. phone numbers of
+ * people who opted out) is left out of the export too.
+ */
+
+const { getBaseTitle, getDepartment } = require('./productionUtils');
+const { escapeText, foldLine } = require('./contentLineUtils');
+
+/**
+ * Format a phone number for dialling, matching the tel: links in the app
+ * (see Components.formatPhoneForLink)
+ * Australian numbers with an area or mobile prefix (02, 04, ...) get +61 in place of
+ * the leading 0; 13, 1300 and 1800 numbers only work locally, so are left as they are
+ */
+function formatPhoneForLink(phone) {
+    const digits = phone.replace(/\D/g, '');
+    if (phone.trim().startsWith('+') || digits.startsWith('61')) {
+        return `+${digits}`;
+    }
+    if (digits.startsWith('0')) {
+        return `+61${digits.slice(1)}`;
+    }
+    if (digits.startsWith('1')) {
+        return digits;
+    }
+    return `+61${digits}`;
+}
+
+/**
+ * Get everyone in a production as contacts, with their department
+ * Only people whose phone number is visible to the viewer are included
+ * @returns {Array} [{ name, title, phone, department, type }]
+ */
+function getContacts(production) {
+    const people = [
+        ...(production.crew || []).map(member => ({ member, type: 'crew' })),
+        ...(production.cast || []).map(member => ({ member, type: 'cast' })),
+    ];
+
+    return people
+        .filter(({ member }) => member.Name && member.Phone)
+        .map(({ member, type }) => ({
+            name: member.Name.trim(),
+            title: type === 'cast' ? member.Character : member.Role,
+            phone: member.Phone,
+            department: getDepartment(member, type),
+            type,
+        }));
+}
+
+/**
+ * List the departments that have exportable contacts
+ * @returns {Array} [{ name, count }] in call sheet order
+ */
+function getDepartments(production) {
+    const counts = new Map();
+    for (const contact of getContacts(production)) {
+        counts.set(contact.department, (counts.get(contact.department) || 0) + 1);
+    }
+    return [...counts].map(([name, count]) => ({ name, count }));
+}
+
+/**
+ * Build one vCard
+ */
+function buildCard(contact, organisation) {
+    const parts = contact.name.split(/\s+/);
+    const lastName = parts.length > 1 ? parts.pop() : '';
+    const firstNames = parts.join(' ');
+    const title = contact.type === 'cast' && contact.title ? `Cast - ${contact.title}` : contact.title;
+
+    const lines = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${escapeText(contact.name)}`,
+        `N:${escapeText(lastName)};${escapeText(firstNames)};;;`,
+        `ORG:${escapeText(organisation)};${escapeText(contact.department)}`,
+    ];
+    if (title) lines.push(`TITLE:${escapeText(title)}`);
+    lines.push(`TEL;TYPE=CELL:${formatPhoneForLink(contact.phone)}`);
+    lines.push('END:VCARD');
+
+    return lines.map(foldLine).join('\r\n');
+}
+
+/**
+ * Build a .vcf with everyone in a production, or one department
+ * @param {Object} production - Production already prepared for the viewer
+ * @param {Object} options - { department } name from getDepartments(), case-insensitive
+ * @returns {Object} { vcf, count }
+ */
+function buildContacts(production, { department } = {}) {
+    const organisation = getBaseTitle(production.title);
+    const wanted = department?.trim().toLowerCase();
+
+    const contacts = getContacts(production).filter(contact =>
+        !wanted || contact.department.toLowerCase() === wanted
+    );
+
+    return {
+        vcf: contacts.map(contact => buildCard(contact, organisation)).join('\r\n') + (contacts.length ? '\r\n' : ''),
+        count: contacts.length,
+    };
+}
+
+/**
+ * Build a filename for a contacts export
+ */
+function getFilename(production, department) {
+    const name = [getBaseTitle(production.title), department, 'Contacts']
+        .filter(Boolean)
+        .join('_')
+        .replace(/[^a-z0-9]+/gi, '_')
+        .replace(/^_|_$/g, '');
+    return `${name}.vcf`;
+}
+
+module.exports = {
+    getDepartments,
+    buildContacts,
+    getFilename,
+};
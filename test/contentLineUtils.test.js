@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { escapeText, foldLine } = require('../server/services/contentLineUtils');
+const vcardService = require('../server/services/vcardService');
+
+test('text values escape backslashes, separators and line breaks', () => {
+    assert.equal(escapeText('a\\b; c, d\r\ne\nf'), 'a\\\\b\\; c\\, d\\ne\\nf');
+});
+
+test('short lines are left alone', () => {
+    assert.equal(foldLine('SUMMARY:Call'), 'SUMMARY:Call');
+});
+
+test('long lines are folded to 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'Café scène '.repeat(20)}`;
+    const folded = foldLine(line);
+    const parts = folded.split('\r\n');
+
+    assert.ok(parts.length > 1);
+    for (const part of parts) {
+        assert.ok(Buffer.byteLength(part) <= 75);
+    }
+    assert.ok(parts.slice(1).every(part => part.startsWith(' ')));
+    assert.equal(parts.map((part, i) => (i ? part.slice(1) : part)).join(''), line);
+});
+
+test('vCards fold long lines', () => {
+    const production = {
+        title: 'A Very Long Production Title That Goes On And On - Day 1',
+        crew: [{ Role: 'Key Grip', Department: 'Grip & Electric Department For Very Large Productions', Name: 'Riley Chen', Phone: '0491 570 158' }],
+        cast: [],
+    };
+    const { vcf, count } = vcardService.buildContacts(production);
+
+    assert.equal(count, 1);
+    assert.ok(vcf.split('\r\n').every(line => Buffer.byteLength(line) <= 75));
+    assert.match(vcf, /\r\n ./);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.CRAFT_CACHE_TTL_MS = '0';
+const craftService = require('../server/services/craftService');
+
+const ITEM = { id: 'day-1', title: 'Test Short - Day 1', properties: { date_of_shoot: '2026-03-02' } };
+
+/**
+ * Stand in for the Craft API, answering single-item lookups with itemStatus
+ * @returns {Array} URLs requested
+ */
+function mockCraft(t, itemStatus) {
+    const requests = [];
+    t.mock.method(global, 'fetch', async url => {
+        requests.push(url);
+        const json = body => ({ ok: true, status: 200, json: async () => body });
+
+        if (url.endsWith('/collections')) return json({ items: [{ id: 'c1', name: 'CallSheetAPI' }] });
+        if (url.includes('/items/')) {
+            return itemStatus === 200
+                ? json(ITEM)
+                : { ok: false, status: itemStatus, statusText: `Status ${itemStatus}`, json: async () => ({}) };
+        }
+        return json({ items: [ITEM] });
+    });
+    return requests;
+}
+
+const itemLookups = requests => requests.filter(url => url.includes('/items/')).length;
+
+test.beforeEach(t => {
+    t.mock.method(console, 'warn', () => {});
+});
+
+test('an item route Craft lacks (404 or 405) reads as unavailable', async t => {
+    for (const status of [404, 405]) {
+        mockCraft(t, status);
+        assert.equal(await craftService.getCollectionItem('c1', 'day-1'), null);
+    }
+});
+
+test('rate limiting and other errors are not mistaken for a missing route', async t => {
+    for (const status of [429, 403, 500]) {
+        mockCraft(t, status);
+        await assert.rejects(craftService.getCollectionItem('c1', 'day-1'), /Failed to fetch collection item/);
+    }
+});
+
+test('a rate-limited lookup fails rather than falling back to a full read', async t => {
+    const requests = mockCraft(t, 429);
+    await assert.rejects(craftService.getProductionById('day-1'));
+    assert.equal(requests.some(url => url.endsWith('/items?maxDepth=-1')), false);
+});
+
+test('direct lookups are paused when Craft cannot serve them, then tried again', async t => {
+    let now = Date.now();
+    t.mock.method(Date, 'now', () => now);
+
+    let requests = mockCraft(t, 404);
+    assert.equal((await craftService.getProductionById('day-1')).id, 'day-1');
+    assert.equal((await craftService.getProductionById('day-1')).id, 'day-1');
+    assert.equal(itemLookups(requests), 1);
+
+    now += 11 * 60 * 1000;
+    requests = mockCraft(t, 200);
+    assert.equal((await craftService.getProductionById('day-1')).id, 'day-1');
+    assert.equal(itemLookups(requests), 1);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toCsv } = require('../server/services/csvUtils');
+
+test('fields with commas, quotes or line breaks are quoted', () => {
+    assert.equal(toCsv([['a', 'b,c', 'say "hi"', 'two\nlines']]), 'a,"b,c","say ""hi""","two\nlines"\r\n');
+});
+
+test('empty values become empty fields', () => {
+    assert.equal(toCsv([['a', null, undefined, '']]), 'a,,,\r\n');
+});
+
+test('text a spreadsheet would run as a formula is neutralised', () => {
+    assert.equal(
+        toCsv([['=HYPERLINK("http://x")', '+61 491', '-1+2', '@SUM(A1)', '\tx']]),
+        `"'=HYPERLINK(""http://x"")",'+61 491,'-1+2,'@SUM(A1),'\tx\r\n`
+    );
+});
+
+test('numbers are left alone', () => {
+    assert.equal(toCsv([[-3, 0, 4.5]]), '-3,0,4.5\r\n');
+});
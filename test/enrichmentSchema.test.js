@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateResponse } = require('../server/services/enrichmentSchema');
+
+const requested = [
+    { id: '1', fields: ['nearestHospital', 'sunriseTime'] },
+    { id: '2', fields: ['weatherTemp'] },
+];
+
+test('valid responses are matched to locations by locationId, not position', () => {
+    const { results, errors } = validateResponse([
+        { locationId: '2', weatherTemp: '24°C / 16°C' },
+        { locationId: 1, nearestHospital: ' Sydney Hospital ', sunriseTime: '6:42 AM' },
+    ], requested);
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(results.get('1'), { nearestHospital: 'Sydney Hospital', sunriseTime: '6:42 AM' });
+    assert.deepEqual(results.get('2'), { weatherTemp: '24°C / 16°C' });
+});
+
+test('invalid fields are dropped and reported, keeping the valid ones', () => {
+    const { results, errors } = validateResponse([
+        { locationId: '1', nearestHospital: '', sunriseTime: 'dawn' },
+        { locationId: '2', weatherTemp: 24 },
+    ], requested);
+
+    assert.deepEqual(results.get('1'), {});
+    assert.deepEqual(results.get('2'), {});
+    assert.equal(errors.length, 3);
+});
+
+test('unknown, repeated and missing locations are reported', () => {
+    const { results, errors } = validateResponse([
+        { locationId: '1', nearestHospital: 'A', sunriseTime: '6:00 AM' },
+        { locationId: '1', nearestHospital: 'B', sunriseTime: '6:00 AM' },
+        { locationId: '9', weatherTemp: 'x' },
+        'nope',
+    ], requested);
+
+    assert.equal(results.get('1').nearestHospital, 'A');
+    assert.equal(results.has('2'), false);
+    assert.deepEqual(errors, [
+        'Entry 2 repeats locationId "1"',
+        'Entry 3 has unknown locationId "9"',
+        "Entry 4 isn't an object",
+        'Location 2 is missing from the response',
+    ]);
+});
+
+test('anything but an array is rejected outright', () => {
+    assert.deepEqual(validateResponse({ locationId: '1' }, requested).errors, ['Expected an array, got object']);
+    assert.deepEqual(validateResponse(null, requested).errors, ['Expected an array, got null']);
+});
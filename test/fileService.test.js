@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-source-test-'));
+process.env.DATA_DIR = dataDir;
+const fileService = require('../server/services/fileService');
+
+const YAML_DAY = `# Comments must survive write-backs
+title: Test Short - Day 1
+properties:
+  date_of_shoot: "2026-03-02"
+  shoot_day_: 1
+crew:
+  - Role: Director
+    Name: Alex Rivera
+    Phone: "0491 570 006"
+    Call Time: 7:00 AM   # an unquoted time
+  - {}
+locations:
+  - Script Location: Harbour Café
+    Location Address: 1 Macquarie St, Sydney NSW 2000
+    GEMnearestHospital: Sydney Hospital
+`;
+
+const JSON_DAY = {
+    title: 'Test Short - Day 2',
+    properties: { date_of_shoot: '2026-03-03', shoot_day_: 2 },
+    cast: [{ Character: 'Mara', Name: 'Taylor Brooks', Phone: 491570159 }],
+    locations: [{ data: { 'Location Address': '2 Macquarie St' }, gemData: {} }],
+};
+
+test.beforeEach(() => {
+    fs.writeFileSync(path.join(dataDir, 'day-1.yaml'), YAML_DAY);
+    fs.writeFileSync(path.join(dataDir, 'day-2.json'), JSON.stringify(JSON_DAY));
+    fs.writeFileSync(path.join(dataDir, 'notes.txt'), 'not a production');
+});
+
+test('files parse into the same shape as Craft productions', async () => {
+    const production = await fileService.getProductionById('day-1');
+
+    assert.equal(production.title, 'Test Short - Day 1');
+    assert.equal(production.properties.shoot_day_, 1);
+    assert.deepEqual(production.crew, [{ Role: 'Director', Name: 'Alex Rivera', Phone: '0491 570 006', 'Call Time': '7:00 AM' }]);
+    assert.deepEqual(production.locations[0], {
+        index: 1,
+        tableId: null,
+        data: { 'Script Location': 'Harbour Café', 'Location Address': '1 Macquarie St, Sydney NSW 2000' },
+        gemData: { GEMnearestHospital: 'Sydney Hospital' },
+    });
+});
+
+test('values are read as strings, and split locations are accepted', async () => {
+    const production = await fileService.getProductionById('day-2');
+    assert.equal(production.cast[0].Phone, '491570159');
+    assert.deepEqual(production.locations[0].data, { 'Location Address': '2 Macquarie St' });
+});
+
+test('days are grouped by base title', async () => {
+    const grouped = await fileService.getProductionList();
+    assert.deepEqual(grouped.map(group => [group.title, group.days.map(day => day.id)]), [['Test Short', ['day-1', 'day-2']]]);
+});
+
+test('GEM data written back to YAML keeps its comments', async t => {
+    t.mock.method(console, 'log', () => {});
+    const production = await fileService.getProductionById('day-1');
+
+    assert.equal(await fileService.updateLocationGemData(production, production.locations[0], { latitude: '-33.8610' }), true);
+    assert.equal(await fileService.updatePersonField(production, 'crew', '0491570006', 'Confirmed', 'Yes'), true);
+
+    const text = fs.readFileSync(path.join(dataDir, 'day-1.yaml'), 'utf8');
+    assert.match(text, /^# Comments must survive write-backs$/m);
+    assert.match(text, /# an unquoted time/);
+    assert.match(text, /GEMlatitude: "-33.8610"/);
+    assert.match(text, /Confirmed: Yes/);
+});
+
+test('GEM data written back to JSON goes into split gemData', async t => {
+    t.mock.method(console, 'log', () => {});
+    const production = await fileService.getProductionById('day-2');
+    await fileService.updateLocationGemData(production, production.locations[0], { latitude: '-33.8614' });
+
+    const raw = JSON.parse(fs.readFileSync(path.join(dataDir, 'day-2.json'), 'utf8'));
+    assert.deepEqual(raw.locations[0].gemData, { GEMlatitude: '-33.8614' });
+});
+
+test('unknown productions are an error', async () => {
+    await assert.rejects(fileService.getProductionById('missing'), /Production not found/);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+process.env.GEMINI_API_KEY = 'test-key';
+delete process.env.GEMINI_FALLBACK_MODELS;
+const geminiService = require('../server/services/geminiService');
+const { validateResponse } = require('../server/services/enrichmentSchema');
+
+const request = { locations: [{ id: '1', address: '1 Macquarie St, Sydney', fields: ['weatherTemp'] }], date: '2026-03-02' };
+
+// What the model answers, replaced by each test
+let reply;
+
+test.before(() => {
+    GoogleGenerativeAI.prototype.getGenerativeModel = () => ({
+        generateContent: async () => {
+            const text = reply();
+            return { response: { text: () => text } };
+        },
+    });
+});
+
+test.beforeEach(t => {
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+});
+
+test('JSON wrapped in markdown is parsed', async () => {
+    reply = () => '```json\n[{"locationId": "1", "weatherTemp": "28°C / 19°C"}]\n```';
+    const response = await geminiService.enrichLocations(request);
+
+    assert.deepEqual(validateResponse(response, request.locations).results.get('1'), { weatherTemp: '28°C / 19°C' });
+});
+
+test("an answer that isn't JSON is an invalid response, not a request error", async () => {
+    reply = () => "I couldn't find weather for that address.";
+    const response = await geminiService.enrichLocations(request);
+
+    assert.deepEqual(validateResponse(response, request.locations).errors, ['Expected an array, got string']);
+});
+
+test('failed requests still throw', async () => {
+    reply = () => {
+        throw new Error('503 Service Unavailable');
+    };
+    await assert.rejects(geminiService.enrichLocations(request), /503/);
+});
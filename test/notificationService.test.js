@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+process.env.REVISIONS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'notification-test-'));
+process.env.NOTIFY_CHANNELS = 'email';
+process.env.SMTP_URL = 'smtp://localhost:2525';
+const revisionService = require('../server/services/revisionService');
+const notificationService = require('../server/services/notificationService');
+
+const crew = [
+    { Role: 'Director', Name: 'Alex Rivera', Phone: '0491 570 006', Email: 'bounce@example.com', 'Call Time': '7:00 AM' },
+    { Role: '1st AD', Name: 'Sam Okafor', Phone: '0491 570 156', Email: 'sam@example.com', 'Call Time': '6:30 AM' },
+    { Role: 'DOP', Name: 'Jordan Lee', Phone: '0491 570 157', Email: 'jordan@example.com', 'Call Time': '7:00 AM' },
+];
+
+function buildDay(callTime) {
+    return {
+        id: 'day-1',
+        title: 'Test Short - Day 1',
+        properties: { date_of_shoot: '2026-03-02', crew_call_time: callTime },
+        crew,
+        cast: [],
+        scenes: [],
+        locations: [],
+    };
+}
+
+test('one rejected address does not stop the other emails', async t => {
+    t.mock.method(console, 'log', () => {});
+    const errors = t.mock.method(console, 'error', () => {});
+    const sent = [];
+    t.mock.method(nodemailer, 'createTransport', () => ({
+        async sendMail(message) {
+            if (message.to.includes('bounce@')) throw new Error('550 Mailbox unavailable');
+            sent.push(message.to);
+        },
+    }));
+
+    await revisionService.recordRevision(buildDay('7:00 AM'));
+    await revisionService.recordRevision(buildDay('8:00 AM'));
+    await notificationService.notifyRevision('day-1', 2);
+
+    assert.deepEqual(sent.sort(), ['"Jordan Lee" <jordan@example.com>', '"Sam Okafor" <sam@example.com>']);
+
+    const logged = errors.mock.calls.map(call => call.arguments.join(' '));
+    assert.ok(logged.some(line => line.includes('Failed to email Alex Rivera') && line.includes('550')));
+    assert.ok(logged.some(line => line.includes('1 of 3 emails failed')));
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const smsLog = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'otp-test-')), 'sms.log');
+process.env.SMS_SENDER = 'file';
+process.env.SMS_LOG_FILE = smsLog;
+process.env.OTP_MAX_ATTEMPTS = '3';
+const otpService = require('../server/services/otpService');
+
+/**
+ * Read the code from the last text sent
+ */
+function lastCode() {
+    const lines = fs.readFileSync(smsLog, 'utf8').trim().split('\n');
+    return lines[lines.length - 1].split('\t')[2].match(/^\d+/)[0];
+}
+
+function createChallenge(scope = 'day-1') {
+    return otpService.createChallenge({ scope, phone: '0491570006', destination: '0491 570 006', label: 'Test Short' });
+}
+
+test('the texted code verifies once, for the phone it was sent to', async () => {
+    const { challengeId, sentTo } = await createChallenge();
+    const code = lastCode();
+
+    assert.equal(sentTo, '••• 006');
+    assert.deepEqual(otpService.verifyChallenge(challengeId, code, 'day-1'), { ok: true, phone: '0491570006' });
+    assert.deepEqual(otpService.verifyChallenge(challengeId, code, 'day-1'), { ok: false, reason: 'expired' });
+});
+
+test('a code only unlocks the scope it was issued for', async () => {
+    const { challengeId } = await createChallenge('day-1');
+    assert.equal(otpService.verifyChallenge(challengeId, lastCode(), 'day-2').ok, false);
+});
+
+test('a challenge is dropped after too many wrong codes', async () => {
+    const { challengeId } = await createChallenge();
+    const code = lastCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    assert.equal(otpService.verifyChallenge(challengeId, wrong, 'day-1').reason, 'invalid');
+    assert.equal(otpService.verifyChallenge(challengeId, wrong, 'day-1').reason, 'invalid');
+    assert.equal(otpService.verifyChallenge(challengeId, wrong, 'day-1').reason, 'too_many_attempts');
+    assert.equal(otpService.verifyChallenge(challengeId, code, 'day-1').ok, false);
+});
+
+test('decoy challenges look real but can never be satisfied', () => {
+    const decoy = otpService.createDecoyChallenge({ scope: 'day-1', phone: '0400 000 123' });
+
+    assert.equal(decoy.sentTo, '••• 123');
+    assert.equal(otpService.getChallengePhone(decoy.challengeId), null);
+    assert.equal(otpService.verifyChallenge(decoy.challengeId, '000000', 'day-1').ok, false);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUTH_MAX_FAILURES_PER_IP = '4';
+process.env.AUTH_MAX_FAILURES_PER_PHONE = '3';
+process.env.AUTH_MAX_FAILURES_PER_PRODUCTION = '5';
+process.env.OTP_MAX_SENDS_PER_PHONE = '2';
+process.env.OTP_MAX_SENDS_PER_IP = '3';
+const rateLimiter = require('../server/services/rateLimiter');
+
+/**
+ * Make a login attempt that fails, as the login routes do
+ */
+async function fail(ip, scope, phone) {
+    const limit = await rateLimiter.reserveAuthAttempt(ip, scope, phone);
+    if (limit.allowed) await rateLimiter.recordAuthFailure(ip, scope, { phone });
+    return limit;
+}
+
+test.beforeEach(t => {
+    rateLimiter.setStore(rateLimiter.createMemoryStore());
+    t.mock.method(console, 'warn', () => {});
+});
+
+test('an IP is locked out once it reaches its limit', async () => {
+    for (let i = 0; i < 4; i++) {
+        await fail('10.0.0.1', 'day-1', `0400 000 00${i}`);
+    }
+
+    const limit = await rateLimiter.reserveAuthAttempt('10.0.0.1', 'day-1', '0491 570 006');
+    assert.equal(limit.allowed, false);
+    assert.equal(limit.scope, 'ip');
+    assert.ok(limit.retryAfterSeconds > 0);
+});
+
+test('failed attempts on one number lock out that number, from any IP', async () => {
+    for (let i = 0; i < 3; i++) {
+        await fail(`10.0.1.${i}`, 'day-1', '0491 570 006');
+    }
+
+    const limit = await rateLimiter.reserveAuthAttempt('10.0.2.1', 'day-1', '0491570006');
+    assert.equal(limit.allowed, false);
+    assert.equal(limit.scope, 'phone');
+    assert.equal((await rateLimiter.reserveAuthAttempt('10.0.2.1', 'day-2', '0491570006')).allowed, true);
+});
+
+test('parallel guesses are counted before any of them fails', async () => {
+    const limits = await Promise.all(
+        Array.from({ length: 10 }, () => rateLimiter.reserveAuthAttempt('10.0.6.1', 'day-1', '0491 570 006'))
+    );
+
+    assert.equal(limits.filter(limit => limit.allowed).length, 3);
+    assert.equal((await rateLimiter.reserveAuthAttempt('10.0.7.1', 'day-1', '0491 570 006')).allowed, false);
+});
+
+test("strangers' failures slow a production down but never lock its crew out", async () => {
+    for (let i = 0; i < 8; i++) {
+        await fail(`10.0.3.${i}`, 'day-1', `0400 111 00${i}`);
+    }
+
+    const limit = await rateLimiter.reserveAuthAttempt('10.0.4.1', 'day-1', '0491 570 006');
+    assert.equal(limit.allowed, true);
+    assert.ok(limit.delayMs > 0);
+});
+
+test('a successful login clears the IP and number', async () => {
+    for (let i = 0; i < 2; i++) {
+        await fail('10.0.5.1', 'day-1', '0491 570 006');
+    }
+    await rateLimiter.reserveAuthAttempt('10.0.5.1', 'day-1', '0491 570 006');
+    await rateLimiter.recordAuthSuccess('10.0.5.1', 'day-1', '0491 570 006');
+
+    assert.deepEqual(await rateLimiter.reserveAuthAttempt('10.0.5.1', 'day-1', '0491 570 006'), { allowed: true, delayMs: 0 });
+});
+
+test('released attempts are not counted', async () => {
+    for (let i = 0; i < 6; i++) {
+        await rateLimiter.reserveAuthAttempt('10.0.8.1', 'day-1', '0491 570 006');
+        await rateLimiter.releaseAuthAttempt('10.0.8.1', 'day-1', '0491 570 006');
+    }
+    assert.deepEqual(await rateLimiter.reserveAuthAttempt('10.0.8.1', 'day-1', '0491 570 006'), { allowed: true, delayMs: 0 });
+});
+
+test('passcode texts are limited per phone number', async () => {
+    assert.equal((await rateLimiter.reservePasscodeSend('10.1.0.1', '0491 570 006')).allowed, true);
+    assert.equal((await rateLimiter.reservePasscodeSend('10.1.0.2', '0491570006')).allowed, true);
+
+    const limit = await rateLimiter.reservePasscodeSend('10.1.0.3', '0491 570 006');
+    assert.equal(limit.allowed, false);
+    assert.equal(limit.scope, 'phone');
+    assert.equal((await rateLimiter.reservePasscodeSend('10.1.0.3', '0491 570 156')).allowed, true);
+});
+
+test('passcode texts are limited per IP', async () => {
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await rateLimiter.reservePasscodeSend('10.1.1.1', `0491 570 10${i}`)).allowed, true);
+    }
+
+    const limit = await rateLimiter.reservePasscodeSend('10.1.1.1', '0491 570 200');
+    assert.equal(limit.allowed, false);
+    assert.equal(limit.scope, 'ip');
+});
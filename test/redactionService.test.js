@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.VISIBILITY_POLICY;
+const redactionService = require('../server/services/redactionService');
+
+function buildProduction(properties = {}) {
+    return {
+        id: 'day-1',
+        title: 'Test Short - Day 1',
+        properties,
+        crew: [
+            { Role: 'Director', Name: 'Alex Rivera', Phone: '0491 570 006', Email: 'alex@example.com' },
+            { Role: '1st AD', Name: 'Sam Okafor', Phone: '0491 570 156' },
+            { Role: 'DOP', Name: 'Jordan Lee', Phone: '0491 570 157', 'Share Phone': 'No' },
+        ],
+        cast: [
+            { Character: 'Mara', Name: 'Taylor Brooks', Phone: '0491 570 159' },
+        ],
+        scenes: [],
+        locations: [],
+    };
+}
+
+const director = { name: 'Alex Rivera', phone: '0491 570 006', role: 'Director', type: 'crew' };
+const ad = { name: 'Sam Okafor', phone: '0491 570 156', role: '1st AD', type: 'crew' };
+const dop = { name: 'Jordan Lee', phone: '0491 570 157', role: 'DOP', type: 'crew' };
+
+test('anonymous viewers get no phone numbers', () => {
+    const prepared = redactionService.applyPolicy(buildProduction(), null);
+
+    for (const row of [...prepared.crew, ...prepared.cast]) {
+        assert.equal(row.Phone, undefined);
+    }
+    assert.deepEqual(prepared.crew[0]._redacted.Phone, { reason: 'authentication' });
+});
+
+test('the phone policy covers lowercase phone columns too', () => {
+    const production = buildProduction();
+    production.crew.push({ Role: 'Gaffer', Name: 'Riley Chen', phone: '0491 570 158' });
+
+    assert.equal(redactionService.applyPolicy(production, null).crew[3].phone, undefined);
+    assert.equal(redactionService.applyPolicy(production, director).crew[3].phone, '0491 570 158');
+});
+
+test('policy fields override each other regardless of case', () => {
+    const production = buildProduction({ visibility_policy: '{"crew.phone":["anonymous"]}' });
+    assert.equal(redactionService.applyPolicy(production, null).crew[0].Phone, '0491 570 006');
+});
+
+test('authenticated viewers see numbers, except from people who opted out', () => {
+    const prepared = redactionService.applyPolicy(buildProduction(), director);
+
+    assert.equal(prepared.crew[1].Phone, '0491 570 156');
+    assert.equal(prepared.cast[0].Phone, '0491 570 159');
+    assert.equal(prepared.crew[2].Phone, undefined);
+    assert.deepEqual(prepared.crew[2]._redacted.Phone, { reason: 'opt_out' });
+});
+
+test('people who opted out still see their own number', () => {
+    const prepared = redactionService.applyPolicy(buildProduction(), dop);
+    assert.equal(prepared.crew[2].Phone, '0491 570 157');
+});
+
+test('emails are only shown to ADs, producers and the person themselves', () => {
+    assert.equal(redactionService.applyPolicy(buildProduction(), ad).crew[0].Email, 'alex@example.com');
+    assert.equal(redactionService.applyPolicy(buildProduction(), director).crew[0].Email, 'alex@example.com');
+    assert.equal(redactionService.applyPolicy(buildProduction(), dop).crew[0].Email, undefined);
+});
+
+test('a production policy overrides the defaults, and is not sent to viewers', () => {
+    const production = buildProduction({ visibility_policy: '{"cast.Phone":["ad"]}' });
+
+    assert.equal(redactionService.applyPolicy(production, director).cast[0].Phone, undefined);
+    assert.equal(redactionService.applyPolicy(production, ad).cast[0].Phone, '0491 570 159');
+    assert.equal(redactionService.applyPolicy(production, ad).properties.visibility_policy, undefined);
+});
+
+test('invalid policy entries are normalised or dropped instead of breaking requests', t => {
+    t.mock.method(console, 'error', () => {});
+    const production = buildProduction({ visibility_policy: '{"cast.Phone":"ad","crew.Phone":5}' });
+
+    const policy = redactionService.getPolicy(production);
+    assert.deepEqual(policy.fields['cast.phone'], ['ad']);
+    assert.deepEqual(policy.fields['crew.phone'], ['authenticated']);
+    assert.doesNotThrow(() => redactionService.applyPolicy(production, director));
+});
+
+test('unreadable policies are ignored', t => {
+    t.mock.method(console, 'error', () => {});
+    const policy = redactionService.getPolicy(buildProduction({ visibility_policy: '{not json' }));
+    assert.deepEqual(policy.fields['crew.phone'], ['authenticated']);
+});
+
+test('hasAudience recognises AD roles', () => {
+    assert.equal(redactionService.hasAudience(ad, 'ad'), true);
+    assert.equal(redactionService.hasAudience(director, 'ad'), false);
+    assert.equal(redactionService.hasAudience(null, 'authenticated'), false);
+});
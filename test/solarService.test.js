@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.SHOOT_TIME_ZONE;
+const solarService = require('../server/services/solarService');
+const { parseTime } = require('../server/services/timeUtils');
+
+const sydney = { lat: -33.8688, lng: 151.2093 };
+
+/**
+ * Assert a calculated time is within a few minutes of a published one
+ */
+function assertNear(actual, expected, toleranceMinutes = 3) {
+    const difference = Math.abs(parseTime(actual) - parseTime(expected));
+    assert.ok(difference <= toleranceMinutes, `${actual} should be within ${toleranceMinutes} min of ${expected}`);
+}
+
+test('sunrise and sunset match published times, in local time', () => {
+    // Geoscience Australia: Sydney, 21 December 2026 - sunrise 5:41 AM, sunset 8:05 PM (AEDT)
+    const summer = solarService.calculate('2026-12-21', sydney, 'Australia/Sydney');
+    assertNear(summer.sunriseTime, '5:41 AM');
+    assertNear(summer.sunsetTime, '8:05 PM');
+
+    // 21 June 2026 - sunrise 7:00 AM, sunset 4:54 PM (AEST)
+    const winter = solarService.calculate('2026-06-21', sydney, 'Australia/Sydney');
+    assertNear(winter.sunriseTime, '7:00 AM');
+    assertNear(winter.sunsetTime, '4:54 PM');
+});
+
+test('twilight, golden and blue hours are in order around sunrise', () => {
+    const times = solarService.calculate('2026-03-02', sydney, 'Australia/Sydney');
+    const [blueStart, blueEnd] = times.blueHourMorning.split(' – ').map(parseTime);
+    const [goldenStart] = times.goldenHourMorning.split(' – ').map(parseTime);
+
+    assert.equal(parseTime(times.civilDawn), blueStart);
+    assert.equal(blueEnd, goldenStart);
+    assert.ok(goldenStart < parseTime(times.sunriseTime));
+    assert.match(times.moonPhase, /% lit$/);
+});
+
+test('times that never occur are empty, e.g. polar summer', () => {
+    const times = solarService.calculate('2026-06-21', { lat: 78.2, lng: 15.6 }, 'Arctic/Longyearbyen');
+    assert.equal(times.sunriseTime, '');
+    assert.equal(times.sunsetTime, '');
+});
+
+test('unreadable dates give no times', () => {
+    assert.equal(solarService.calculate('someday', sydney), null);
+});
+
+test('invalid time zones fall back to the default instead of throwing', t => {
+    t.mock.method(console, 'warn', () => {});
+    const fallback = solarService.calculate('2026-03-02', sydney, 'AEST');
+    assert.deepEqual(fallback, solarService.calculate('2026-03-02', sydney, 'Australia/Sydney'));
+});
+
+test('locations are only calculated again when their date, coordinates or zone change', () => {
+    const production = { properties: { date_of_shoot: '2026-03-02' } };
+    const location = { data: { Latitude: '-33.8688', Longitude: '151.2093' }, gemData: {} };
+    assert.equal(solarService.needsSunTimes(production, location), true);
+
+    const { sunTimesFor } = solarService.calculateForLocation(production, location);
+    location.gemData.GEMsunTimesFor = sunTimesFor;
+    assert.equal(solarService.needsSunTimes(production, location), false);
+
+    production.properties.date_of_shoot = '2026-03-03';
+    assert.equal(solarService.needsSunTimes(production, location), true);
+});